@@ -0,0 +1,216 @@
+/**
+ * API keys and roles
+ * Callers identify themselves with an API key, and the key's role decides how much customer detail
+ * they see. Each kind of detail (name, email, phone, street address) is full, masked or hidden.
+ * Only roles with fullAccess get raw Shopify orders and the debug and GraphQL routes, where
+ * customer details can't be masked. Routes that change stored data name the roles allowed to call them.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { selectColumns } = require('./reportExport');
+
+const ROLES = {
+  // Everything, including raw Shopify orders (view=full)
+  admin: { fullAccess: true, pii: { name: 'full', email: 'full', phone: 'full', address: 'full' } },
+  // Fulfilment: who the order goes to, where, and how to reach them
+  ops: { fullAccess: false, pii: { name: 'full', email: 'masked', phone: 'full', address: 'full' } },
+  // Payments: enough to recognise a customer, no contact details or street address
+  finance: { fullAccess: false, pii: { name: 'full', email: 'masked', phone: 'masked', address: 'hidden' } },
+  // Order and payment figures, no customer details
+  viewer: { fullAccess: false, pii: { name: 'hidden', email: 'hidden', phone: 'hidden', address: 'hidden' } }
+};
+
+// Keys shorter than this are refused - they'd be guessable
+const MIN_KEY_LENGTH = 16;
+
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Read API keys: API_KEYS_FILE (path to a JSON file) or API_KEYS_JSON (the JSON itself), an array of
+ * { name, key, role }. Returns null when neither is set.
+ */
+function loadApiKeys({ file, json }) {
+  if (!file && !json) return null;
+
+  const entries = JSON.parse(file ? fs.readFileSync(file, 'utf8') : json);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('the API keys must be a non-empty JSON array');
+  }
+
+  const keys = new Map();
+  entries.forEach((entry, index) => {
+    const label = entry?.name ? `API key "${entry.name}"` : `API key #${index + 1}`;
+    if (!entry?.name || typeof entry.key !== 'string' || entry.key.length < MIN_KEY_LENGTH) {
+      throw new Error(`${label} needs a "name" and a "key" of at least ${MIN_KEY_LENGTH} characters`);
+    }
+    if (!ROLES[entry.role]) {
+      throw new Error(`${label} has an unknown role "${entry.role}" (expected ${Object.keys(ROLES).join(', ')})`);
+    }
+    const hash = hashKey(entry.key);
+    if (keys.has(hash)) throw new Error(`${label} reuses another key`);
+    keys.set(hash, { name: entry.name, role: entry.role });
+  });
+  return keys;
+}
+
+/**
+ * The access a request has: the API key's role, or anonymousRole for requests without a key.
+ * Returns null for an unknown key, or a missing one when there is no anonymous role.
+ */
+function resolveAccess(keys, apiKey, anonymousRole) {
+  const entry = apiKey ? keys?.get(hashKey(apiKey)) : anonymousRole && { name: null, role: anonymousRole };
+  return entry ? { keyName: entry.name, role: entry.role, ...ROLES[entry.role] } : null;
+}
+
+/**
+ * s***@example.com
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+}
+
+/**
+ * Every digit but the last four starred, formatting kept (+966 5* *** 4567)
+ */
+function maskPhone(phone) {
+  const text = String(phone);
+  let digitsLeft = text.replace(/\D/g, '').length;
+  return text.replace(/\d/g, digit => (digitsLeft-- > 4 ? '*' : digit));
+}
+
+/**
+ * Initials (Sara Khan -> S. K.)
+ */
+function maskName(name) {
+  return String(name).trim().split(/\s+/).map(word => `${word.slice(0, 1)}.`).join(' ');
+}
+
+const MASKERS = { name: maskName, email: maskEmail, phone: maskPhone, address: () => null };
+
+/**
+ * Apply one kind of detail's level to a value
+ */
+function maskValue(value, kind, pii) {
+  if (value === null || value === undefined || value === '' || pii[kind] === 'full') return value;
+  return pii[kind] === 'masked' ? MASKERS[kind](value) : null;
+}
+
+// Address fields by kind of detail - city, province and country are always kept
+const ADDRESS_FIELDS = {
+  first_name: 'name', last_name: 'name', name: 'name',
+  phone: 'phone',
+  address1: 'address', address2: 'address', zip: 'address', company: 'address', latitude: 'address', longitude: 'address'
+};
+
+function maskAddress(address, pii) {
+  if (!address) return address;
+  const masked = { ...address };
+  for (const [field, kind] of Object.entries(ADDRESS_FIELDS)) {
+    if (field in masked) masked[field] = maskValue(masked[field], kind, pii);
+  }
+  return masked;
+}
+
+function maskPerson(person, pii) {
+  if (!person) return person;
+  const masked = { ...person };
+  for (const [field, kind] of [['first_name', 'name'], ['last_name', 'name'], ['full_name', 'name'], ['email', 'email'], ['phone', 'phone']]) {
+    if (field in masked) masked[field] = maskValue(masked[field], kind, pii);
+  }
+  if ('default_address' in masked) masked.default_address = maskAddress(masked.default_address, pii);
+  if (Array.isArray(masked.addresses)) masked.addresses = masked.addresses.map(address => maskAddress(address, pii));
+  return masked;
+}
+
+/**
+ * Mask an enriched order's customer details for a role: the order's email and phone, customer,
+ * customer_info and both addresses. Everything the report view shows comes from these.
+ */
+function maskOrder(order, access) {
+  const { pii } = access;
+  if (Object.values(pii).every(level => level === 'full')) return order;
+
+  return {
+    ...order,
+    ...('email' in order && { email: maskValue(order.email, 'email', pii) }),
+    ...('contact_email' in order && { contact_email: maskValue(order.contact_email, 'email', pii) }),
+    ...('phone' in order && { phone: maskValue(order.phone, 'phone', pii) }),
+    ...('customer' in order && { customer: maskPerson(order.customer, pii) }),
+    ...('customer_info' in order && { customer_info: maskPerson(order.customer_info, pii) }),
+    ...('shipping_address' in order && { shipping_address: maskAddress(order.shipping_address, pii) }),
+    ...('billing_address' in order && { billing_address: maskAddress(order.billing_address, pii) })
+  };
+}
+
+/**
+ * Only roles with full access (admin): routes that return raw Shopify data, which can't be masked
+ */
+function requireFullAccess(req, res, next) {
+  if (req.access.fullAccess) return next();
+  res.status(403).json({
+    success: false,
+    error: `The ${req.access.role} role cannot use this route`
+  });
+}
+
+/**
+ * Only the given roles (e.g. requireRole('admin', 'finance')): routes that change stored data
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (roles.includes(req.access.role)) return next();
+    res.status(403).json({
+      success: false,
+      error: `The ${req.access.role} role cannot use this route (allowed: ${roles.join(', ')})`
+    });
+  };
+}
+
+// How orders can be returned: the full enriched Shopify order, or only the report columns
+const ORDER_VIEWS = ['full', 'report'];
+
+/**
+ * How orders are returned to this caller (req.orderView): view=full, or view=report with the
+ * columns picked by `fields` (the same columns as the CSV / XLSX export). `fields` implies the
+ * report view, and roles without full access only get the report view.
+ */
+function parseOrderView(req, res, next) {
+  const { view = req.query.fields || !req.access.fullAccess ? 'report' : 'full', fields, rows } = req.query;
+
+  if (!ORDER_VIEWS.includes(view)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported view "${view}" (expected ${ORDER_VIEWS.join(' or ')})`
+    });
+  }
+
+  if (view === 'full' && !req.access.fullAccess) {
+    return res.status(403).json({
+      success: false,
+      error: `The ${req.access.role} role can only use view=report`
+    });
+  }
+
+  try {
+    if (view === 'full' && fields) throw new Error('fields needs view=report');
+    req.orderView = { view, columns: view === 'report' ? selectColumns(fields, { lineItems: rows === 'line_items' }) : null };
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  next();
+}
+
+module.exports = {
+  ROLES,
+  loadApiKeys,
+  resolveAccess,
+  maskOrder,
+  requireFullAccess,
+  requireRole,
+  parseOrderView
+};
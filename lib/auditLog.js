@@ -0,0 +1,42 @@
+/**
+ * Append-only audit log (JSON lines)
+ * One line per entry so the file can be tailed, grepped or shipped to a log service as-is.
+ * Entries are written in order; a failed write is reported but never fails the request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+function createAuditLog(filePath) {
+  let pending = Promise.resolve();
+
+  function record(entry) {
+    const line = `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`;
+    pending = pending
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, line);
+      })
+      .catch(error => logger.error('Failed to write audit log', { file: filePath, error }));
+    return pending;
+  }
+
+  /**
+   * Most recent entries, newest first
+   */
+  async function tail(limit = 50) {
+    let text;
+    try {
+      text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.trim().split('\n').filter(Boolean).slice(-limit).reverse().map(line => JSON.parse(line));
+  }
+
+  return { record, tail };
+}
+
+module.exports = { createAuditLog };
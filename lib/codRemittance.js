@@ -0,0 +1,222 @@
+/**
+ * COD remittance tracking
+ * Matches courier remittance files (order number, amount collected, remittance date) against
+ * cash-on-delivery orders and works out whether each order has been paid to us.
+ */
+
+const crypto = require('crypto');
+const { parseCsv, normalizeHeader } = require('./csv');
+const { toMinorUnits, fromMinorUnits, classifyGateway } = require('./paymentSummary');
+
+// Candidate column names (normalised) used by the couriers' settlement files
+const REMITTANCE_COLUMNS = {
+  orderNumber: ['order_number', 'order_no', 'order', 'order_id', 'order_name', 'reference'],
+  amount: ['amount_collected', 'collected_amount', 'cod_amount', 'amount', 'collected'],
+  date: ['remittance_date', 'remitted_at', 'settlement_date', 'date']
+};
+
+// Optional courier reference for each collection, which identifies a row across files
+const ROW_ID_COLUMNS = ['remittance_id', 'collection_id', 'transaction_id', 'receipt_number', 'receipt_no'];
+
+// Collected amount as couriers write it: 1200.50 or 1,200.50, with an optional currency code (AED 1,200.50)
+const AMOUNT = /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+
+const COD_STATUS = {
+  PENDING: 'pending',
+  COLLECTED: 'collected',
+  SHORT_PAID: 'short_paid'
+};
+
+// Aging buckets for delivered but unremitted orders (days since delivery)
+const AGING_BUCKETS = [
+  { label: '0-7', max: 7 },
+  { label: '8-14', max: 14 },
+  { label: '15-30', max: 30 },
+  { label: '31+', max: Infinity }
+];
+
+/**
+ * Normalise an order reference (#1033, 1033, ZW-1033) to its number
+ */
+function toOrderNumber(value) {
+  return String(value ?? '').replace(/[^0-9]/g, '');
+}
+
+/**
+ * A collected amount as a plain decimal string ("AED 1,200.50" -> "1200.50"), or null when it isn't one
+ */
+function parseAmount(value) {
+  const text = String(value ?? '').trim().replace(/^[A-Z]{3}\s*|\s*[A-Z]{3}$/gi, '');
+  return AMOUNT.test(text) ? text.replace(/,/g, '') : null;
+}
+
+/**
+ * Parse a courier remittance CSV into rows. Each row gets an id: the courier's own reference when the
+ * file has one, otherwise the file's content hash and line, so re-uploading a file is recognised
+ * while two equal collections for one order (a split payment) both count.
+ */
+function parseRemittanceFile(text) {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) {
+    throw new Error('Remittance file is empty');
+  }
+
+  const headers = headerRow.map(normalizeHeader);
+  const columnIndex = {};
+  for (const [field, candidates] of Object.entries(REMITTANCE_COLUMNS)) {
+    const name = candidates.find(candidate => headers.includes(candidate));
+    columnIndex[field] = name ? headers.indexOf(name) : -1;
+  }
+
+  const missing = Object.keys(REMITTANCE_COLUMNS).filter(field => columnIndex[field] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Remittance file is missing columns: ${missing.join(', ')} (expected order number, amount collected and remittance date)`);
+  }
+
+  const rowIdIndex = headers.findIndex(header => ROW_ID_COLUMNS.includes(header));
+  const fileHash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+  const rows = [];
+  const invalid = [];
+  dataRows.forEach((row, index) => {
+    const line = index + 2;
+    const orderNumber = toOrderNumber(row[columnIndex.orderNumber]);
+    const amount = parseAmount(row[columnIndex.amount]);
+    const remittedAt = (row[columnIndex.date] || '').trim();
+
+    const reason = (!orderNumber && 'missing order number')
+      || (!amount && `invalid amount "${(row[columnIndex.amount] || '').trim()}"`)
+      || (!remittedAt && 'missing remittance date');
+    if (reason) {
+      invalid.push({ line, reason, row });
+      return;
+    }
+
+    const rowId = rowIdIndex === -1 ? '' : (row[rowIdIndex] || '').trim();
+    rows.push({
+      id: rowId ? `ref:${rowId}` : `file:${fileHash}:${line}`,
+      order_number: orderNumber,
+      amount,
+      remitted_at: remittedAt
+    });
+  });
+
+  return { rows, invalid };
+}
+
+/**
+ * Whether an order was paid cash on delivery (by gateway names or its transactions)
+ */
+function isCodOrder(order) {
+  return (order.payment_gateway_names || []).some(name => classifyGateway(name) === 'cod')
+    || (order.transactions || []).some(t => classifyGateway(t.gateway) === 'cod');
+}
+
+/**
+ * Add remittance rows to the stored remittances, skipping rows already imported (same row id) so
+ * re-uploading a file doesn't double count. Rows stored before rows had ids are matched by amount and date.
+ */
+function mergeRemittances(stored, rows, { courier = null, importedAt = new Date().toISOString() } = {}) {
+  let imported = 0;
+  let duplicates = 0;
+
+  for (const row of rows) {
+    const existing = stored[row.order_number] || (stored[row.order_number] = []);
+    const isDuplicate = existing.some(r => (r.id
+      ? r.id === row.id
+      : r.remitted_at === row.remitted_at && toMinorUnits(r.amount) === toMinorUnits(row.amount)));
+
+    if (isDuplicate) {
+      duplicates++;
+      continue;
+    }
+    existing.push({ ...row, courier, imported_at: importedAt });
+    imported++;
+  }
+
+  return { imported, duplicates };
+}
+
+/**
+ * Collection status of a COD order from its remittances
+ */
+function computeCodStatus(order, remittances = []) {
+  const expected = toMinorUnits(order.current_total_price ?? order.total_price);
+  const collected = remittances.reduce((sum, r) => sum + toMinorUnits(r.amount), 0);
+
+  let status = COD_STATUS.PENDING;
+  if (remittances.length > 0) {
+    status = collected >= expected ? COD_STATUS.COLLECTED : COD_STATUS.SHORT_PAID;
+  }
+
+  return {
+    order_id: order.id,
+    order_name: order.name,
+    order_number: String(order.order_number),
+    currency: order.currency,
+    expected_amount: fromMinorUnits(expected),
+    collected_amount: fromMinorUnits(collected),
+    outstanding_amount: fromMinorUnits(Math.max(expected - collected, 0)),
+    status,
+    remittance_count: remittances.length,
+    last_remitted_at: remittances.map(r => r.remitted_at).sort().pop() || null
+  };
+}
+
+/**
+ * Date the parcel was marked delivered by the carrier, if it has been
+ */
+function getDeliveredAt(order) {
+  const delivered = (order.fulfillments || []).filter(f => f.shipment_status === 'delivered');
+  return delivered.map(f => f.updated_at).sort().pop() || null;
+}
+
+/**
+ * Delivered COD orders that haven't been (fully) remitted, bucketed by days since delivery
+ */
+function buildAgingReport(orders, statuses, { now = new Date(), minDays = 0 } = {}) {
+  const items = [];
+
+  for (const order of orders) {
+    const status = statuses[String(order.order_number)];
+    const deliveredAt = getDeliveredAt(order);
+    if (!status || status.status === COD_STATUS.COLLECTED || !deliveredAt) continue;
+
+    const daysSinceDelivery = Math.floor((now - new Date(deliveredAt)) / (24 * 60 * 60 * 1000));
+    if (daysSinceDelivery < minDays) continue;
+
+    items.push({
+      ...status,
+      delivered_at: deliveredAt,
+      days_since_delivery: daysSinceDelivery,
+      bucket: AGING_BUCKETS.find(b => daysSinceDelivery <= b.max).label
+    });
+  }
+
+  items.sort((a, b) => b.days_since_delivery - a.days_since_delivery);
+
+  const buckets = AGING_BUCKETS.map(({ label }) => {
+    const inBucket = items.filter(item => item.bucket === label);
+    return {
+      bucket: label,
+      order_count: inBucket.length,
+      outstanding_by_currency: inBucket.reduce((totals, item) => {
+        totals[item.currency] = fromMinorUnits(toMinorUnits(totals[item.currency]) + toMinorUnits(item.outstanding_amount));
+        return totals;
+      }, {})
+    };
+  });
+
+  return { buckets, orders: items };
+}
+
+module.exports = {
+  COD_STATUS,
+  toOrderNumber,
+  parseRemittanceFile,
+  isCodOrder,
+  mergeRemittances,
+  computeCodStatus,
+  getDeliveredAt,
+  buildAgingReport
+};
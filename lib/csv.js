@@ -0,0 +1,75 @@
+/**
+ * CSV parsing (RFC 4180)
+ * Handles quoted fields containing commas and line breaks, "" escaped quotes, CRLF/LF line endings and a UTF-8 BOM.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are dropped unless keepBlankLines is set (to keep row numbers matching the source).
+ * Throws on a quoted field that is never closed, rather than reading the rest of the file into it.
+ */
+function parseCsv(text, { keepBlankLines = false } = {}) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+
+  // Last record when the file doesn't end with a newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return keepBlankLines ? rows : rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Normalise a header for matching: "Created (UTC)" -> "created_utc". Letters and digits of any
+ * script are kept, so "رقم الطلب" -> "رقم_الطلب" rather than nothing.
+ */
+function normalizeHeader(header) {
+  return String(header || '').normalize('NFKC').trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+}
+
+module.exports = {
+  parseCsv,
+  normalizeHeader
+};
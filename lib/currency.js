@@ -0,0 +1,218 @@
+/**
+ * Shop currency normalization
+ * Orders can be paid in a presentment currency (what the customer saw, e.g. USD) that differs from
+ * the shop's own currency (e.g. SAR). Every order and transaction gets its amounts in the shop
+ * currency too: from Shopify's *_set.shop_money fields when they are there, otherwise converted
+ * with the local rate table in force on the order's (or transaction's) date.
+ * Conversions are exact: integer thousandths times the rate's digits as BigInt, rounded once at the end.
+ */
+
+const fs = require('fs');
+const { toMinorUnits, fromMinorUnits } = require('./paymentSummary');
+
+// Currencies whose minor unit isn't cents (ISO 4217); everything else has 2 decimals
+const CURRENCY_DECIMALS = {
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLP: 0, ISK: 0, JPY: 0, KRW: 0, UGX: 0, VND: 0, XAF: 0, XOF: 0
+};
+
+// Order money fields normalized to the shop currency, and the *_set field Shopify reports them in
+const ORDER_MONEY_FIELDS = {
+  total_price: 'total_price_set',
+  current_total_price: 'current_total_price_set',
+  subtotal_price: 'subtotal_price_set',
+  total_tax: 'total_tax_set',
+  total_discounts: 'total_discounts_set',
+  total_shipping_price: 'total_shipping_price_set'
+};
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const RATE = /^\d+(\.\d+)?$/;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Thousandths in one of a currency's minor units (1 for KWD, 10 for USD, 1000 for JPY)
+ */
+function minorUnitStep(currency) {
+  return 10n ** BigInt(3 - (CURRENCY_DECIMALS[currency] ?? 2));
+}
+
+/**
+ * BigInt division rounded half away from zero
+ */
+function roundedDivide(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+  if (twice < denominator) return quotient;
+  return numerator < 0n ? quotient - 1n : quotient + 1n;
+}
+
+/**
+ * Convert a decimal amount string at a decimal rate string, rounded to the target currency
+ */
+function convertAmount(amount, rate, currency) {
+  const [whole, fraction = ''] = String(rate).split('.');
+  const step = minorUnitStep(currency);
+  // One division straight to the currency's minor unit: rounding to thousandths first would round twice
+  const units = roundedDivide(BigInt(toMinorUnits(amount)) * BigInt(whole + fraction), 10n ** BigInt(fraction.length) * step);
+  return fromMinorUnits(Number(units * step));
+}
+
+/**
+ * Check a rate table (array of { from, to, rate, effective_from }) and index it by currency pair,
+ * newest first. Rates are only used in the direction given - add the reverse pair if it's needed.
+ */
+function parseRateTable(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('the rate table must be a JSON array');
+  }
+
+  const table = new Map();
+  entries.forEach((entry, index) => {
+    const label = `Rate #${index + 1}`;
+    const { from, to, rate, effective_from: effectiveFrom } = entry || {};
+    if (!CURRENCY_CODE.test(from || '') || !CURRENCY_CODE.test(to || '')) {
+      throw new Error(`${label} needs "from" and "to" currency codes such as USD`);
+    }
+    // Strings only, so a rate is never read through a float
+    if (typeof rate !== 'string' || !RATE.test(rate) || !/[1-9]/.test(rate)) {
+      throw new Error(`${label} (${from}->${to}) needs a positive "rate" as a decimal string, e.g. "3.75"`);
+    }
+    if (!DAY.test(effectiveFrom || '') || Number.isNaN(Date.parse(effectiveFrom))) {
+      throw new Error(`${label} (${from}->${to}) needs "effective_from" as YYYY-MM-DD`);
+    }
+
+    const key = `${from}->${to}`;
+    const rates = table.get(key) || [];
+    if (rates.some(r => r.effective_from === effectiveFrom)) {
+      throw new Error(`Duplicate ${key} rate effective from ${effectiveFrom}`);
+    }
+    rates.push({ from, to, rate, effective_from: effectiveFrom });
+    table.set(key, rates);
+  });
+
+  for (const rates of table.values()) {
+    rates.sort((a, b) => b.effective_from.localeCompare(a.effective_from));
+  }
+  return table;
+}
+
+/**
+ * Load the rate table from a JSON file (an empty table when no file is configured)
+ */
+function loadRateTable(file) {
+  if (!file) return new Map();
+  return parseRateTable(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * The rate in force for a currency pair on a day (YYYY-MM-DD), or null
+ */
+function findRate(table, from, to, day) {
+  return (table.get(`${from}->${to}`) || []).find(r => r.effective_from <= day) || null;
+}
+
+/**
+ * An amount in the shop currency: { amount, currency, source, rate, rate_effective_from }.
+ * source is shop_money (Shopify's own conversion), same_currency, rate_table or missing_rate
+ * (amount null - add the pair to the rate table).
+ */
+function toShopMoney(amount, currency, { shopCurrency, moneySet, rates, date }) {
+  const money = (value, source, rate = null) => ({
+    amount: value,
+    currency: shopCurrency,
+    source,
+    rate: rate?.rate ?? null,
+    rate_effective_from: rate?.effective_from ?? null
+  });
+
+  if (moneySet?.shop_money?.amount !== undefined) {
+    return money(fromMinorUnits(toMinorUnits(moneySet.shop_money.amount)), 'shop_money');
+  }
+  if (amount === undefined || amount === null) {
+    return money(null, null);
+  }
+  if (!currency || currency === shopCurrency) {
+    return money(fromMinorUnits(toMinorUnits(amount)), 'same_currency');
+  }
+
+  // Shopify timestamps carry the shop's UTC offset, so the date part is the shop's local day
+  const rate = findRate(rates, currency, shopCurrency, String(date || '').slice(0, 10));
+  return rate
+    ? money(convertAmount(amount, rate.rate, shopCurrency), 'rate_table', rate)
+    : money(null, 'missing_rate');
+}
+
+/**
+ * The shop currency of an order: whatever Shopify's shop_money says, then the store's configured
+ * currency, then the order's currency field (the shop currency in the REST API)
+ */
+function getShopCurrency(order, fallbackCurrency) {
+  for (const setField of Object.values(ORDER_MONEY_FIELDS)) {
+    const code = order[setField]?.shop_money?.currency_code;
+    if (code) return code;
+  }
+  return fallbackCurrency || order.currency || null;
+}
+
+/**
+ * Add shop currency amounts to an order (shop_money) and to each of its transactions.
+ * Order totals without a *_set field are taken to be in the order's currency; transactions are in
+ * their own currency (the presentment currency) and use the rate on the day they happened.
+ */
+function normalizeOrderMoney(order, { shopCurrency: configuredCurrency, rates = new Map() } = {}) {
+  const shopCurrency = getShopCurrency(order, configuredCurrency);
+  const presentmentCurrency = order.presentment_currency
+    || order.total_price_set?.presentment_money?.currency_code
+    || order.currency
+    || null;
+
+  const amounts = {};
+  const sources = new Set();
+  for (const [field, setField] of Object.entries(ORDER_MONEY_FIELDS)) {
+    if (order[field] === undefined && !order[setField]) continue;
+    const money = toShopMoney(order[field], order.currency, {
+      shopCurrency,
+      moneySet: order[setField],
+      rates,
+      date: order.created_at
+    });
+    amounts[field] = money.amount;
+    if (money.source) sources.add(money.source);
+  }
+
+  const transactions = order.transactions?.map(transaction => ({
+    ...transaction,
+    shop_money: toShopMoney(transaction.amount, transaction.currency, {
+      shopCurrency,
+      moneySet: transaction.amount_set,
+      rates,
+      date: transaction.created_at
+    })
+  }));
+
+  return {
+    ...order,
+    ...(transactions && { transactions }),
+    shop_money: {
+      currency: shopCurrency,
+      presentment_currency: presentmentCurrency,
+      ...amounts,
+      // missing_rate wins so an incomplete conversion is never mistaken for a complete one
+      source: sources.has('missing_rate') ? 'missing_rate' : [...sources][0] || null
+    }
+  };
+}
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  convertAmount,
+  parseRateTable,
+  loadRateTable,
+  findRate,
+  toShopMoney,
+  normalizeOrderMoney
+};
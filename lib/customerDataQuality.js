@@ -0,0 +1,164 @@
+/**
+ * Customer data quality
+ * Orders take their customer details from the Google Sheets row when it has a value and from Shopify
+ * otherwise. This compares the two field by field: where they disagree, sheet rows for order numbers
+ * that don't exist, and orders with no email or phone from either source. It also records which
+ * source each merged field came from.
+ */
+
+const { phoneDigits } = require('./orderSearch');
+
+// Customer fields a sheet row can fill
+const CUSTOMER_DATA_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'address1', 'city', 'province', 'zip', 'country'];
+
+// Shortest phone suffix that counts as the same number (country codes and trunk zeros differ)
+const MIN_PHONE_MATCH_DIGITS = 6;
+
+/**
+ * The order's own customer details, from the same Shopify fields (in the same order) as the merge
+ */
+function shopifyCustomerFields(order) {
+  const shipping = order.shipping_address || {};
+  const billing = order.billing_address || {};
+  return {
+    first_name: order.customer?.first_name || shipping.first_name || billing.first_name || null,
+    last_name: order.customer?.last_name || shipping.last_name || billing.last_name || null,
+    email: order.customer?.email || order.email || order.contact_email || null,
+    phone: order.customer?.phone || order.phone || shipping.phone || billing.phone || null,
+    address1: shipping.address1 || null,
+    city: shipping.city || null,
+    province: shipping.province || null,
+    zip: shipping.zip || null,
+    country: shipping.country || null
+  };
+}
+
+/**
+ * Which source supplied each merged field: sheets, shopify, or null when neither had it.
+ * The sheet wins whenever it has a value.
+ */
+function customerDataSources(sheetRow, merged) {
+  return Object.fromEntries(CUSTOMER_DATA_FIELDS.map(field => [
+    field,
+    sheetRow?.[field] ? 'sheets' : merged[field] ? 'shopify' : null
+  ]));
+}
+
+/**
+ * Case, Unicode forms, spacing and punctuation don't count as differences
+ */
+const normalizeText = value => String(value).normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Whether the sheet's value and Shopify's mean the same thing
+ */
+function sameValue(field, sheetValue, shopifyValue, order) {
+  if (field === 'email') {
+    return String(sheetValue).trim().toLowerCase() === String(shopifyValue).trim().toLowerCase();
+  }
+  if (field === 'phone') {
+    const [a, b] = [phoneDigits(sheetValue), phoneDigits(shopifyValue)];
+    return a === b || (Math.min(a.length, b.length) >= MIN_PHONE_MATCH_DIGITS && (a.endsWith(b) || b.endsWith(a)));
+  }
+  if (field === 'country') {
+    // Sheets often hold the code (SA) where Shopify has the name (Saudi Arabia)
+    const countryCode = order.shipping_address?.country_code;
+    return normalizeText(sheetValue) === normalizeText(shopifyValue)
+      || Boolean(countryCode && normalizeText(sheetValue) === normalizeText(countryCode));
+  }
+  return normalizeText(sheetValue) === normalizeText(shopifyValue);
+}
+
+/**
+ * Sheet rows whose order number isn't known, with the fields they fill, in order number order
+ */
+function findOrphanRows(sheetData, knownOrderNumbers) {
+  return Object.entries(sheetData)
+    .filter(([orderNumber]) => !knownOrderNumbers.has(orderNumber))
+    .map(([orderNumber, row]) => ({
+      order_number: orderNumber,
+      fields: CUSTOMER_DATA_FIELDS.filter(field => row[field])
+    }))
+    .sort((a, b) => Number(a.order_number) - Number(b.order_number));
+}
+
+/**
+ * Compare orders (as fetched, before the merge) with the sheet's customer data (order number -> row).
+ * knownOrderNumbers is every order number that exists; sheet rows for any other number are orphans.
+ * Without it the orphan check is skipped (orphan fields are null): the orders given are only the ones
+ * fetched, so a row for any other order would look like an orphan.
+ */
+function buildCustomerDataReport(orders, sheetData, { knownOrderNumbers } = {}) {
+  const fieldSummary = Object.fromEntries(CUSTOMER_DATA_FIELDS.map(field => [
+    field,
+    { agree: 0, conflict: 0, sheets_only: 0, shopify_only: 0, missing: 0 }
+  ]));
+  const conflicts = [];
+  const noContact = [];
+  let ordersWithSheetRow = 0;
+
+  for (const order of orders) {
+    const orderNumber = order.order_number?.toString() || order.number?.toString();
+    const sheetRow = sheetData[orderNumber];
+    const shopify = shopifyCustomerFields(order);
+    if (sheetRow) ordersWithSheetRow++;
+
+    for (const field of CUSTOMER_DATA_FIELDS) {
+      const sheetValue = sheetRow?.[field] || null;
+      const shopifyValue = shopify[field];
+      const summary = fieldSummary[field];
+
+      if (sheetValue && shopifyValue) {
+        if (sameValue(field, sheetValue, shopifyValue, order)) {
+          summary.agree++;
+        } else {
+          summary.conflict++;
+          conflicts.push({
+            order_id: order.id,
+            order_name: order.name,
+            order_number: orderNumber,
+            field,
+            sheets: sheetValue,
+            shopify: shopifyValue
+          });
+        }
+      } else if (sheetValue) {
+        summary.sheets_only++;
+      } else if (shopifyValue) {
+        summary.shopify_only++;
+      } else {
+        summary.missing++;
+      }
+    }
+
+    if (!sheetRow?.email && !sheetRow?.phone && !shopify.email && !shopify.phone) {
+      noContact.push({
+        order_id: order.id,
+        order_name: order.name,
+        created_at: order.created_at,
+        has_sheet_row: Boolean(sheetRow)
+      });
+    }
+  }
+
+  const orphanRows = knownOrderNumbers ? findOrphanRows(sheetData, knownOrderNumbers) : null;
+
+  return {
+    order_count: orders.length,
+    orders_with_sheet_row: ordersWithSheetRow,
+    field_summary: fieldSummary,
+    conflict_count: conflicts.length,
+    conflicts,
+    orphan_sheet_row_count: orphanRows ? orphanRows.length : null,
+    orphan_sheet_rows: orphanRows,
+    no_contact_count: noContact.length,
+    no_contact_orders: noContact
+  };
+}
+
+module.exports = {
+  CUSTOMER_DATA_FIELDS,
+  shopifyCustomerFields,
+  customerDataSources,
+  buildCustomerDataReport
+};
@@ -0,0 +1,236 @@
+/**
+ * Google Sheets customer data import
+ * Turns the sheet's rows (from the Sheets API or the CSV export) into a map of order number -> customer fields, and reports
+ * what it couldn't use (skipped rows, duplicate order numbers, unmapped headers).
+ */
+
+const { parseCsv, normalizeHeader } = require('./csv');
+
+/**
+ * Customer fields and how to find their column when no explicit mapping is configured:
+ * exact normalised header names first, tried in the order listed (most specific first), then a
+ * looser match on columns nothing else claimed. Bare "name" and "id" are not order columns - in a
+ * customer sheet they are far more often the customer's name or a row ID.
+ */
+const CUSTOMER_FIELDS = {
+  order: {
+    exact: ['order', 'order_number', 'order_name', 'order_id', 'order_no', 'number'],
+    fuzzy: h => h.includes('order')
+  },
+  first_name: {
+    exact: ['first_name', 'shipping_first_name', 'firstname'],
+    fuzzy: h => h.includes('first')
+  },
+  last_name: {
+    exact: ['last_name', 'shipping_last_name', 'lastname', 'surname'],
+    fuzzy: h => h.includes('last')
+  },
+  email: {
+    exact: ['email', 'email_address', 'customer_email'],
+    fuzzy: h => h.includes('email')
+  },
+  phone: {
+    exact: ['phone', 'phone_number', 'shipping_phone', 'mobile'],
+    fuzzy: h => h.includes('phone') || h.includes('mobile')
+  },
+  address1: {
+    exact: ['address1', 'address', 'address_1', 'shipping_address1', 'shipping_street', 'street'],
+    fuzzy: h => (h.includes('address') || h.includes('street')) && !h.includes('2')
+  },
+  city: {
+    exact: ['city', 'shipping_city'],
+    fuzzy: h => h.includes('city')
+  },
+  province: {
+    exact: ['province', 'state', 'region', 'shipping_province'],
+    fuzzy: h => h.includes('province') || h.includes('state') || h.includes('region')
+  },
+  zip: {
+    exact: ['zip', 'postal_code', 'postcode', 'shipping_zip'],
+    fuzzy: h => h.includes('zip') || h.includes('postal')
+  },
+  country: {
+    exact: ['country', 'shipping_country'],
+    fuzzy: h => h.includes('country')
+  }
+};
+
+/**
+ * Parse a column mapping config (object of field -> sheet header name, or its JSON)
+ */
+function parseColumnMapping(config) {
+  if (!config) return {};
+
+  const mapping = typeof config === 'string' ? JSON.parse(config) : config;
+  const unknown = Object.keys(mapping).filter(field => !CUSTOMER_FIELDS[field]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fields in column mapping: ${unknown.join(', ')} (expected: ${Object.keys(CUSTOMER_FIELDS).join(', ')})`);
+  }
+  return mapping;
+}
+
+/**
+ * Work out which column holds each field: explicit mapping, then exact names, then loose matches.
+ * A mapped header that isn't in the sheet, or that names a column another field is mapped to, is an error.
+ */
+function resolveColumns(headers, columnMapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const taken = new Set();
+  const errors = [];
+
+  const assign = (field, index) => {
+    columns[field] = index;
+    taken.add(index);
+  };
+
+  for (const [field, header] of Object.entries(columnMapping)) {
+    const wanted = normalizeHeader(header);
+    const index = wanted ? normalized.indexOf(wanted) : -1;
+    if (index === -1) {
+      errors.push(`Mapped column "${header}" for ${field} is not in the sheet`);
+    } else if (taken.has(index)) {
+      const other = Object.keys(columns).find(mapped => columns[mapped] === index);
+      errors.push(`Mapped column "${header}" for ${field} is already mapped to ${other}`);
+    } else {
+      assign(field, index);
+    }
+  }
+
+  for (const [field, { exact }] of Object.entries(CUSTOMER_FIELDS)) {
+    if (field in columns) continue;
+    for (const candidate of exact) {
+      const index = normalized.findIndex((h, i) => !taken.has(i) && h === candidate);
+      if (index !== -1) {
+        assign(field, index);
+        break;
+      }
+    }
+  }
+
+  for (const [field, { fuzzy }] of Object.entries(CUSTOMER_FIELDS)) {
+    if (field in columns) continue;
+    const index = normalized.findIndex((h, i) => !taken.has(i) && fuzzy(h));
+    if (index !== -1) assign(field, index);
+  }
+
+  return { columns, errors };
+}
+
+/**
+ * Turn sheet rows (header first) into customer data keyed by order number, plus a validation report.
+ * Blank rows must be left in so row numbers in the report match the sheet.
+ */
+function importCustomerRows(rows, { columnMapping = {} } = {}) {
+  const [headerRow = [], ...dataRows] = rows;
+  const headers = headerRow.map(h => h.trim());
+  const { columns, errors } = resolveColumns(headers, columnMapping);
+
+  const isBlank = row => row.every(v => v.trim() === '');
+
+  const report = {
+    imported_at: new Date().toISOString(),
+    total_rows: dataRows.filter(row => !isBlank(row)).length,
+    imported: 0,
+    column_mapping: Object.fromEntries(
+      Object.keys(CUSTOMER_FIELDS).map(field => [field, field in columns ? headers[columns[field]] : null])
+    ),
+    mapping_errors: errors,
+    unmapped_headers: headers.filter((header, index) => header && !Object.values(columns).includes(index)),
+    skipped_rows: [],
+    duplicate_order_numbers: []
+  };
+
+  // Nothing is imported with a broken mapping: rows read from the wrong columns are worse than none
+  if (!('order' in columns) || errors.length > 0) {
+    if (!('order' in columns)) {
+      report.mapping_errors.push('No order number column found - set a mapping for "order"');
+    }
+    const reason = 'order' in columns ? 'column mapping errors' : 'no order number column';
+    report.skipped_rows = dataRows
+      .map((row, i) => ({ row: i + 2, reason, blank: isBlank(row) }))
+      .filter(r => !r.blank)
+      .map(({ row, reason }) => ({ row, reason }));
+    return { customerData: {}, report };
+  }
+
+  const customerData = {};
+  const rowsByOrder = {};
+  const value = (row, field) => (field in columns ? (row[columns[field]] || '').trim() || null : null);
+
+  dataRows.forEach((row, i) => {
+    const rowNumber = i + 2; // header is row 1
+    if (isBlank(row)) return;
+
+    const orderIdentifier = value(row, 'order');
+    if (!orderIdentifier) {
+      report.skipped_rows.push({ row: rowNumber, reason: 'missing order number' });
+      return;
+    }
+
+    // Extract order number from various formats (#1033, 1033, etc.)
+    const orderNum = orderIdentifier.replace(/[^0-9]/g, '');
+    if (!orderNum) {
+      report.skipped_rows.push({ row: rowNumber, reason: `order number "${orderIdentifier}" has no digits` });
+      return;
+    }
+
+    (rowsByOrder[orderNum] = rowsByOrder[orderNum] || []).push(rowNumber);
+
+    // Later rows win, as they always have - duplicates are listed in the report
+    customerData[orderNum] = {
+      first_name: value(row, 'first_name'),
+      last_name: value(row, 'last_name'),
+      email: value(row, 'email'),
+      phone: value(row, 'phone'),
+      address1: value(row, 'address1'),
+      city: value(row, 'city'),
+      province: value(row, 'province'),
+      zip: value(row, 'zip'),
+      country: value(row, 'country')
+    };
+  });
+
+  report.imported = Object.keys(customerData).length;
+  report.duplicate_order_numbers = Object.entries(rowsByOrder)
+    .filter(([, rows]) => rows.length > 1)
+    .map(([order_number, rows]) => ({ order_number, rows }));
+
+  return { customerData, report };
+}
+
+/**
+ * Order numbers added, changed and removed between two customer data snapshots
+ */
+function diffCustomerData(previous, next) {
+  const added = [];
+  const changed = [];
+
+  for (const [orderNum, customer] of Object.entries(next)) {
+    const before = previous[orderNum];
+    if (!before) {
+      added.push(orderNum);
+    } else if (Object.keys(customer).some(field => before[field] !== customer[field])) {
+      changed.push(orderNum);
+    }
+  }
+  const removed = Object.keys(previous).filter(orderNum => !(orderNum in next));
+
+  return { added, changed, removed };
+}
+
+/**
+ * Same as importCustomerRows, from the sheet's CSV export
+ */
+function importCustomerSheet(csvText, options) {
+  return importCustomerRows(parseCsv(csvText, { keepBlankLines: true }), options);
+}
+
+module.exports = {
+  CUSTOMER_FIELDS,
+  parseColumnMapping,
+  resolveColumns,
+  importCustomerRows,
+  importCustomerSheet,
+  diffCustomerData
+};
@@ -0,0 +1,108 @@
+/**
+ * Google Sheets API client
+ * Reads the customer sheet and writes reports back, authenticated with a service account
+ * (the sheet is shared with the service account's email, not with "anyone with the link").
+ * Pass `sheetsApi` to swap in a stub with the same shape as google.sheets({ version: 'v4' }).
+ */
+
+const { google } = require('googleapis');
+
+const SHEETS_SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+// Write modes for writeTab: replace the tab's contents, or add rows below what's there
+const WRITE_MODES = ['replace', 'append'];
+
+/**
+ * A1 reference to a whole tab, quoted so names with spaces or punctuation work
+ */
+function tabRange(tab, cells = '') {
+  const quoted = `'${String(tab).replace(/'/g, "''")}'`;
+  return cells ? `${quoted}!${cells}` : quoted;
+}
+
+/**
+ * Service account credentials from a key file path or the key JSON itself
+ */
+function createServiceAccountAuth({ keyFile, credentialsJson }) {
+  if (!keyFile && !credentialsJson) return null;
+
+  return new google.auth.GoogleAuth({
+    keyFile: keyFile || undefined,
+    credentials: credentialsJson ? JSON.parse(credentialsJson) : undefined,
+    scopes: SHEETS_SCOPES
+  });
+}
+
+function createSheetsClient({ auth, apiKey, sheetsApi } = {}) {
+  const sheets = sheetsApi || google.sheets({ version: 'v4', auth: auth || apiKey });
+
+  /**
+   * Cell values of a tab (or any A1 range) as rows of strings
+   */
+  async function readValues(spreadsheetId, range) {
+    const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+    return (response.data.values || []).map(row => row.map(value => (value === null || value === undefined ? '' : String(value))));
+  }
+
+  /**
+   * Make sure a tab exists, adding it if not. Returns true when it was created.
+   */
+  async function ensureTab(spreadsheetId, tab) {
+    const response = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+    const titles = (response.data.sheets || []).map(sheet => sheet.properties.title);
+    if (titles.includes(tab)) return false;
+
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title: tab } } }] }
+    });
+    return true;
+  }
+
+  /**
+   * Write a header row and data rows to a tab, creating the tab if needed.
+   * replace: clears the tab first. append: adds the rows below existing data, with the
+   * header only when the tab is empty.
+   */
+  async function writeTab(spreadsheetId, tab, { header, rows, mode = 'replace' }) {
+    if (!WRITE_MODES.includes(mode)) {
+      throw new Error(`Unsupported write mode "${mode}" (expected ${WRITE_MODES.join(' or ')})`);
+    }
+
+    const created = await ensureTab(spreadsheetId, tab);
+
+    if (mode === 'replace') {
+      if (!created) {
+        await sheets.spreadsheets.values.clear({ spreadsheetId, range: tabRange(tab) });
+      }
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: tabRange(tab, 'A1'),
+        valueInputOption: 'RAW',
+        requestBody: { values: [header, ...rows] }
+      });
+      return { created, mode, rows_written: rows.length };
+    }
+
+    const firstRow = created ? [] : await readValues(spreadsheetId, tabRange(tab, '1:1'));
+    const values = firstRow.length === 0 ? [header, ...rows] : rows;
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: tabRange(tab, 'A1'),
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values }
+    });
+    return { created, mode, rows_written: rows.length };
+  }
+
+  return { readValues, writeTab };
+}
+
+module.exports = {
+  WRITE_MODES,
+  tabRange,
+  createServiceAccountAuth,
+  createSheetsClient
+};
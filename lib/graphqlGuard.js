@@ -0,0 +1,178 @@
+/**
+ * GraphQL proxy guard
+ * The proxy runs queries with our full-access Admin API token, so ad-hoc documents are checked
+ * before they are forwarded: only read-only operations get through. Anything that needs to write
+ * has to be a persisted query - a reviewed .graphql file on the server that clients call by ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Operation types that change data or hold a connection open
+const WRITE_OPERATIONS = ['mutation', 'subscription'];
+
+// Persisted query IDs are file names, so keep them to something safe in a path
+const PERSISTED_QUERY_ID = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Blank out strings and comments so their contents can't be mistaken for keywords or braces
+ */
+function stripIgnored(document) {
+  return document.replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|#[^\n\r]*/g, ' ');
+}
+
+/**
+ * Operation type of every top-level definition in a GraphQL document, e.g. ['query', 'fragment'].
+ * A bare selection set ({ shop { name } }) is a query. Returns null when the document
+ * can't be read (unbalanced braces, or a definition we don't recognise).
+ */
+function getOperationTypes(document) {
+  const source = stripIgnored(String(document || ''));
+  const types = [];
+  let braceDepth = 0;
+  let parenDepth = 0;
+  let inDefinition = false;
+
+  for (const [token] of source.matchAll(/[{}()]|[_A-Za-z][_0-9A-Za-z]*/g)) {
+    if (token === '(') parenDepth++;
+    else if (token === ')') parenDepth--;
+    else if (token === '{') {
+      if (braceDepth === 0 && !inDefinition) {
+        types.push('query');
+        inDefinition = true;
+      }
+      braceDepth++;
+    } else if (token === '}') {
+      braceDepth--;
+      if (braceDepth === 0) inDefinition = false;
+    } else if (braceDepth === 0 && parenDepth === 0 && !inDefinition) {
+      if (!['query', 'mutation', 'subscription', 'fragment'].includes(token)) return null;
+      types.push(token);
+      inDefinition = true;
+    }
+
+    if (braceDepth < 0 || parenDepth < 0) return null;
+  }
+
+  if (braceDepth !== 0 || parenDepth !== 0 || inDefinition || types.length === 0) return null;
+  return types;
+}
+
+/**
+ * Whether a document contains a mutation or subscription
+ */
+function isWriteOperation(operationTypes) {
+  return operationTypes.some(type => WRITE_OPERATIONS.includes(type));
+}
+
+/**
+ * Stable key for a query document, for audit logs and cost tracking
+ */
+function hashQuery(document) {
+  return crypto.createHash('sha256').update(String(document)).digest('hex').slice(0, 16);
+}
+
+/**
+ * JSON with object keys sorted, so the same variables always serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cost tracking key for a query run with particular variables. Variables change the cost
+ * (first: 10 vs first: 250), so each set of values is tracked on its own.
+ */
+function queryCostKey(queryKey, variables) {
+  return `${queryKey}:${hashQuery(stableStringify(variables))}`;
+}
+
+/**
+ * Requested costs Shopify reported, by query cost key. Entries expire after ttlMs, so a cost seen
+ * once is an estimate to check before sending, not a permanent block; the oldest entries are
+ * dropped past maxEntries.
+ */
+function createQueryCostCache({ ttlMs, maxEntries = 1000, now = Date.now }) {
+  const costs = new Map();
+
+  return {
+    get(key) {
+      const entry = costs.get(key);
+      if (!entry) return undefined;
+      if (now() - entry.observedAt > ttlMs) {
+        costs.delete(key);
+        return undefined;
+      }
+      return entry.cost;
+    },
+
+    set(key, cost) {
+      costs.delete(key);
+      costs.set(key, { cost, observedAt: now() });
+      if (costs.size > maxEntries) costs.delete(costs.keys().next().value);
+    }
+  };
+}
+
+/**
+ * Load persisted queries from a directory of .graphql files; the file name (without extension)
+ * is the query ID and leading # comment lines are its description.
+ * Returns a Map of id -> { id, description, query, operation_types }.
+ */
+function loadPersistedQueries(dir) {
+  const queries = new Map();
+  if (!dir || !fs.existsSync(dir)) return queries;
+
+  for (const fileName of fs.readdirSync(dir).sort()) {
+    if (path.extname(fileName) !== '.graphql') continue;
+
+    const id = path.basename(fileName, '.graphql');
+    if (!PERSISTED_QUERY_ID.test(id)) {
+      throw new Error(`Persisted query file name "${fileName}" must be letters, numbers, - and _`);
+    }
+
+    const query = fs.readFileSync(path.join(dir, fileName), 'utf8');
+    const operationTypes = getOperationTypes(query);
+    if (!operationTypes) {
+      throw new Error(`Persisted query "${id}" is not a valid GraphQL document`);
+    }
+
+    const commentLines = [];
+    for (const line of query.split(/\r?\n/)) {
+      if (!line.trim().startsWith('#')) break;
+      commentLines.push(line.replace(/^\s*#\s?/, ''));
+    }
+    const description = commentLines.join(' ').trim();
+
+    queries.set(id, { id, description: description || null, query, operation_types: operationTypes });
+  }
+  return queries;
+}
+
+/**
+ * HTTP status for a GraphQL response that came back with errors and no data
+ */
+function statusForGraphqlErrors(errors) {
+  const codes = errors.map(error => error.extensions?.code);
+  if (codes.includes('THROTTLED')) return 429;
+  if (codes.includes('ACCESS_DENIED')) return 403;
+  if (codes.includes('MAX_COST_EXCEEDED')) return 422;
+  if (codes.includes('INTERNAL_SERVER_ERROR')) return 502;
+  return 400;
+}
+
+module.exports = {
+  WRITE_OPERATIONS,
+  getOperationTypes,
+  isWriteOperation,
+  hashQuery,
+  queryCostKey,
+  createQueryCostCache,
+  loadPersistedQueries,
+  statusForGraphqlErrors
+};
@@ -0,0 +1,52 @@
+/**
+ * Small JSON file store for data that must survive restarts
+ * The whole document is kept in memory; writes go to a temp file and are renamed into place
+ * so a crash mid-write never leaves a half-written file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonStore(filePath, defaultData = {}) {
+  let data = null;
+  let pending = Promise.resolve();
+
+  /**
+   * Load the document (once) - a missing file starts from defaultData
+   */
+  async function read() {
+    if (data) return data;
+
+    try {
+      data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = JSON.parse(JSON.stringify(defaultData));
+    }
+    return data;
+  }
+
+  async function save() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Apply a change and persist it. Updates are queued so concurrent requests never interleave.
+   */
+  function update(fn) {
+    const result = pending.then(async () => {
+      const value = await fn(await read());
+      await save();
+      return value;
+    });
+    pending = result.catch(() => {});
+    return result;
+  }
+
+  return { read, update };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,93 @@
+/**
+ * Structured JSON logging
+ * One JSON object per line: time, level, msg, plus the fields of the current log context
+ * (request_id, store, job_id, ...) and the fields passed with the message. The context follows
+ * async work started inside it, so Shopify calls made for a request are logged with its request ID.
+ * Customer details never belong in logs; fields with PII-looking names are redacted as a safety net.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names that hold customer details, at any depth
+const PII_FIELDS = new Set([
+  'email', 'contact_email', 'phone', 'first_name', 'last_name', 'full_name', 'customer_name',
+  'address1', 'address2', 'zip', 'customer', 'customer_info', 'shipping_address', 'billing_address'
+]);
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Replace PII fields with [redacted], and errors with their message, status and code
+ */
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      ...(value.response?.status && { status: value.response.status })
+    };
+  }
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(item => sanitize(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+    key,
+    PII_FIELDS.has(key.toLowerCase()) && fieldValue !== null && fieldValue !== undefined
+      ? '[redacted]'
+      : sanitize(fieldValue, depth + 1)
+  ]));
+}
+
+function createLogger({ level = 'info', fields = {}, write = line => process.stdout.write(line) } = {}) {
+  const minLevel = LEVELS[level] ?? LEVELS.info;
+
+  function log(entryLevel, msg, entryFields) {
+    if (LEVELS[entryLevel] < minLevel) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...fields,
+      ...logContext.getStore(),
+      ...sanitize(entryFields || {})
+    };
+    write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, entryFields) => log('debug', msg, entryFields),
+    info: (msg, entryFields) => log('info', msg, entryFields),
+    warn: (msg, entryFields) => log('warn', msg, entryFields),
+    error: (msg, entryFields) => log('error', msg, entryFields)
+  };
+}
+
+/**
+ * Run fn with extra log context fields (added to the enclosing context's)
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add fields to the current log context, e.g. the store once a request has been routed
+ */
+function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// Shared logger; LOG_LEVEL is debug, info (default), warn or error
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+  LEVELS,
+  sanitize,
+  createLogger,
+  withLogContext,
+  addLogContext,
+  logger
+};
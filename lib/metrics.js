@@ -0,0 +1,113 @@
+/**
+ * Prometheus metrics
+ * A small registry of counters, gauges and histograms rendered in the Prometheus text format
+ * for GET /metrics. Values that already live elsewhere (e.g. variant cache hit counts) are read
+ * when the metrics are scraped, through collect callbacks.
+ */
+
+// Request latency buckets in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Key for one label combination, with labels in the metric's declared order
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name, help, labelNames, series: new Map(), collect: null };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    const key = labelKey(metric.labelNames, labels);
+    if (!metric.series.has(key)) {
+      const ordered = Object.fromEntries(metric.labelNames.map(name => [name, labels[name] ?? '']));
+      metric.series.set(key, { labels: ordered, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Counter; collect() may return [{ labels, value }] read at scrape time instead
+   */
+  function counter(name, help, labelNames = [], { collect } = {}) {
+    const metric = register('counter', name, help, labelNames);
+    metric.collect = collect || null;
+    return {
+      inc: (labels = {}, value = 1) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      }
+    };
+  }
+
+  /**
+   * Gauge whose values are read at scrape time: collect() returns [{ labels, value }]
+   */
+  function gauge(name, help, labelNames = [], { collect }) {
+    const metric = register('gauge', name, help, labelNames);
+    metric.collect = collect;
+  }
+
+  function histogram(name, help, labelNames = [], { buckets = DEFAULT_BUCKETS } = {}) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+      observe: (labels, value) => {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'histogram') {
+      for (const { labels, counts, sum, count } of metric.series.values()) {
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+
+    const samples = metric.collect ? metric.collect() : [...metric.series.values()];
+    for (const { labels = {}, value } of samples) {
+      lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Every metric in the Prometheus text exposition format
+   */
+  function render() {
+    return `${metrics.flatMap(renderMetric).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics };
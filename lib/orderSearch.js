@@ -0,0 +1,188 @@
+/**
+ * Order search
+ * Filters and sorting for order reports, applied to enriched orders so they see the customer
+ * details merged from Google Sheets and the SKUs looked up from variants, not only Shopify's fields.
+ * A comma-separated value matches any of its parts; different parameters must all match.
+ */
+
+const { toMinorUnits, classifyGateway } = require('./paymentSummary');
+
+// Shopify's fulfillment_status values; unfulfilled is Shopify's null
+const FULFILLMENT_STATUSES = ['fulfilled', 'partial', 'restocked', 'unfulfilled'];
+
+// Phone searches shorter than this would match too many numbers
+const MIN_PHONE_DIGITS = 6;
+
+// Sortable fields and the value each sorts on (null sorts last either way)
+const SORT_FIELDS = {
+  created_at: order => Date.parse(order.created_at) || null,
+  updated_at: order => Date.parse(order.updated_at) || null,
+  order_number: order => Number(order.order_number) || null,
+  total_price: order => orderTotal(order),
+  outstanding: order => (order.payment_ledger ? toMinorUnits(order.payment_ledger.outstanding) : null)
+};
+
+/**
+ * Digits only, without the leading zeros of a national trunk prefix (0501234567 -> 501234567)
+ */
+const phoneDigits = phone => String(phone).replace(/\D/g, '').replace(/^0+/, '');
+
+/**
+ * The order total in the shop currency, in thousandths
+ */
+function orderTotal(order) {
+  const total = order.shop_money?.total_price ?? order.total_price;
+  return total === undefined || total === null ? null : toMinorUnits(total);
+}
+
+/**
+ * Parse the search parameters. Returns { filters, sort }, each null when not given.
+ * Throws on invalid values.
+ */
+function parseOrderSearch(query) {
+  const filters = {};
+
+  const list = key => {
+    const values = String(query[key]).split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+    if (values.length === 0) throw new Error(`${key} is empty`);
+    return values;
+  };
+
+  for (const key of ['email', 'order', 'sku', 'barcode', 'gateway', 'tag']) {
+    if (query[key] !== undefined) filters[key] = list(key);
+  }
+
+  if (query.phone !== undefined) {
+    filters.phone = list('phone').map(phoneDigits);
+    if (filters.phone.some(digits => digits.length < MIN_PHONE_DIGITS)) {
+      throw new Error(`phone needs at least ${MIN_PHONE_DIGITS} digits`);
+    }
+  }
+
+  if (query.fulfillment_status !== undefined) {
+    filters.fulfillment_status = list('fulfillment_status');
+    const unknown = filters.fulfillment_status.find(status => !FULFILLMENT_STATUSES.includes(status));
+    if (unknown) {
+      throw new Error(`Unsupported fulfillment_status "${unknown}" (expected ${FULFILLMENT_STATUSES.join(', ')})`);
+    }
+  }
+
+  for (const key of ['amount_min', 'amount_max']) {
+    if (query[key] === undefined) continue;
+    if (!/^-?\d+(\.\d+)?$/.test(String(query[key]).trim())) {
+      throw new Error(`${key} must be a number`);
+    }
+    filters[key] = toMinorUnits(query[key]);
+  }
+
+  let sort = null;
+  if (query.sort !== undefined) {
+    const descending = String(query.sort).startsWith('-');
+    const field = String(query.sort).replace(/^-/, '');
+    if (!SORT_FIELDS[field]) {
+      throw new Error(`Unsupported sort "${query.sort}" (expected ${Object.keys(SORT_FIELDS).join(', ')}, with - for descending)`);
+    }
+    sort = { field, descending };
+  }
+
+  return { filters: Object.keys(filters).length > 0 ? filters : null, sort };
+}
+
+/**
+ * Kinds of customer detail the filters search on (email, phone), so callers can check the role sees them
+ */
+function searchedDetails(filters) {
+  return ['email', 'phone'].filter(kind => filters?.[kind]);
+}
+
+function matchesPhone(candidate, digits) {
+  const candidateDigits = phoneDigits(candidate);
+  // Either side may carry the country code the other lacks
+  return candidateDigits.length >= MIN_PHONE_DIGITS && (candidateDigits.endsWith(digits) || digits.endsWith(candidateDigits));
+}
+
+/**
+ * Whether an enriched order passes the parsed filters
+ */
+function matchesOrderSearch(order, filters) {
+  const present = values => values.filter(value => value !== undefined && value !== null && value !== '');
+  const lineItems = order.line_items || [];
+
+  if (filters.email) {
+    // The merged customer_info email comes from Google Sheets when the sheet has one; Shopify's still match too
+    const emails = present([order.customer_info?.email, order.email, order.contact_email, order.customer?.email])
+      .map(email => String(email).toLowerCase());
+    if (!filters.email.some(search => emails.some(email => email.includes(search)))) return false;
+  }
+
+  if (filters.phone) {
+    const phones = present([
+      order.customer_info?.phone, order.phone, order.customer?.phone,
+      order.shipping_address?.phone, order.billing_address?.phone
+    ]);
+    if (!filters.phone.some(digits => phones.some(phone => matchesPhone(phone, digits)))) return false;
+  }
+
+  if (filters.order) {
+    const name = String(order.name || '').toLowerCase();
+    const number = String(order.order_number ?? '');
+    if (!filters.order.some(search => search === name || search.replace(/^#/, '') === number)) return false;
+  }
+
+  for (const key of ['sku', 'barcode']) {
+    if (!filters[key]) continue;
+    const codes = present(lineItems.map(item => item[key])).map(code => String(code).toLowerCase());
+    if (!filters[key].some(search => codes.includes(search))) return false;
+  }
+
+  if (filters.gateway) {
+    // A gateway matches by name (e.g. "stripe") or by its kind, so "cod" finds every cash-on-delivery gateway
+    const gateways = present([...(order.payment_gateway_names || []), order.gateway]);
+    const matches = search => gateways.some(gateway => String(gateway).toLowerCase().includes(search) || classifyGateway(gateway) === search);
+    if (!filters.gateway.some(matches)) return false;
+  }
+
+  if (filters.tag) {
+    const tags = String(order.tags || '').split(',').map(tag => tag.trim().toLowerCase());
+    if (!filters.tag.some(search => tags.includes(search))) return false;
+  }
+
+  if (filters.fulfillment_status && !filters.fulfillment_status.includes(order.fulfillment_status || 'unfulfilled')) {
+    return false;
+  }
+
+  if (filters.amount_min !== undefined || filters.amount_max !== undefined) {
+    const total = orderTotal(order);
+    if (total === null) return false;
+    if (filters.amount_min !== undefined && total < filters.amount_min) return false;
+    if (filters.amount_max !== undefined && total > filters.amount_max) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Orders sorted on one field (a new array; ties keep their order, nulls go last)
+ */
+function sortOrders(orders, { field, descending }) {
+  const valueOf = SORT_FIELDS[field];
+  return orders
+    .map((order, index) => ({ order, index, value: valueOf(order) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return a.value === b.value ? a.index - b.index : a.value === null ? 1 : -1;
+      }
+      return (descending ? b.value - a.value : a.value - b.value) || a.index - b.index;
+    })
+    .map(({ order }) => order);
+}
+
+module.exports = {
+  FULFILLMENT_STATUSES,
+  SORT_FIELDS,
+  phoneDigits,
+  parseOrderSearch,
+  searchedDetails,
+  matchesOrderSearch,
+  sortOrders
+};
@@ -0,0 +1,313 @@
+/**
+ * Local order store (SQLite)
+ * Keeps Shopify orders with their SKU-enriched line items and transactions so reports
+ * don't have to re-fetch and re-enrich everything on every request.
+ * Customer data from Google Sheets is NOT stored - it is merged at read time so Sheets
+ * changes show up without a re-sync.
+ * Received webhooks are logged here too, for idempotency and replay, and so are the Stripe
+ * disputes (chargebacks) found in uploaded Stripe exports, which Shopify's transactions don't show.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY,
+    order_number INTEGER,
+    created_at_ms INTEGER,
+    updated_at TEXT,
+    financial_status TEXT,
+    closed_at TEXT,
+    cancelled_at TEXT,
+    order_json TEXT NOT NULL,
+    transactions_json TEXT NOT NULL,
+    synced_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS orders_created_at ON orders (created_at_ms);
+  CREATE INDEX IF NOT EXISTS orders_order_number ON orders (order_number);
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS webhook_events (
+    webhook_id TEXT PRIMARY KEY,
+    topic TEXT NOT NULL,
+    shop TEXT,
+    payload TEXT NOT NULL,
+    received_at TEXT NOT NULL,
+    processed_at TEXT,
+    error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS webhook_events_received_at ON webhook_events (received_at);
+
+  CREATE TABLE IF NOT EXISTS stripe_disputes (
+    id TEXT PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    dispute_json TEXT NOT NULL,
+    imported_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS stripe_disputes_order_id ON stripe_disputes (order_id);
+`;
+
+// Shopify's financial_status groups, as the statuses they stand for
+const FINANCIAL_STATUS_GROUPS = {
+  unpaid: ['pending', 'authorized', 'partially_paid']
+};
+
+/**
+ * A cursor the local order store can't read, e.g. one from a fresh=true response
+ */
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor for the local order store (cursors from fresh=true requests only work with fresh=true)');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Store cursors carry the filters and the last returned order ID, like Shopify's page_info
+ */
+function encodeCursor(filters, lastId) {
+  return Buffer.from(JSON.stringify({ ...filters, before_id: lastId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let filters;
+  try {
+    filters = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidCursorError();
+  }
+  if (!filters || typeof filters !== 'object' || !Number.isSafeInteger(filters.before_id)) {
+    throw new InvalidCursorError();
+  }
+  return filters;
+}
+
+function createOrderStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const upsertOrder = db.prepare(`
+    INSERT INTO orders (id, order_number, created_at_ms, updated_at, financial_status, closed_at, cancelled_at, order_json, transactions_json, synced_at)
+    VALUES (@id, @order_number, @created_at_ms, @updated_at, @financial_status, @closed_at, @cancelled_at, @order_json, @transactions_json, @synced_at)
+    ON CONFLICT (id) DO UPDATE SET
+      order_number = excluded.order_number,
+      created_at_ms = excluded.created_at_ms,
+      updated_at = excluded.updated_at,
+      financial_status = excluded.financial_status,
+      closed_at = excluded.closed_at,
+      cancelled_at = excluded.cancelled_at,
+      order_json = excluded.order_json,
+      transactions_json = excluded.transactions_json,
+      synced_at = excluded.synced_at
+  `);
+  const selectOrder = db.prepare('SELECT order_json, transactions_json FROM orders WHERE id = ?');
+  const countOrders = db.prepare('SELECT COUNT(*) AS count FROM orders');
+  const selectOrderNumbers = db.prepare('SELECT order_number FROM orders').pluck();
+  const getState = db.prepare('SELECT value FROM sync_state WHERE key = ?');
+  const setState = db.prepare(`
+    INSERT INTO sync_state (key, value) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `);
+
+  const insertWebhook = db.prepare(`
+    INSERT OR IGNORE INTO webhook_events (webhook_id, topic, shop, payload, received_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const updateWebhook = db.prepare('UPDATE webhook_events SET processed_at = ?, error = ? WHERE webhook_id = ?');
+  const selectWebhook = db.prepare('SELECT * FROM webhook_events WHERE webhook_id = ?');
+  const selectWebhooks = db.prepare(`
+    SELECT webhook_id, topic, shop, received_at, processed_at, error FROM webhook_events
+    ORDER BY received_at DESC
+    LIMIT ?
+  `);
+
+  const upsertDispute = db.prepare(`
+    INSERT INTO stripe_disputes (id, order_id, dispute_json, imported_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET order_id = excluded.order_id, dispute_json = excluded.dispute_json
+  `);
+  const disputeExists = db.prepare('SELECT 1 FROM stripe_disputes WHERE id = ?');
+  const deleteDispute = db.prepare('DELETE FROM stripe_disputes WHERE id = ?');
+  const selectDisputes = db.prepare('SELECT dispute_json FROM stripe_disputes WHERE order_id = ? ORDER BY id').pluck();
+
+  const toOrder = row => ({ ...JSON.parse(row.order_json), transactions: JSON.parse(row.transactions_json) });
+
+  /**
+   * Insert or replace orders ([{ order, transactions }]) in one transaction
+   */
+  const saveOrders = db.transaction((entries, syncedAt = new Date().toISOString()) => {
+    for (const { order, transactions } of entries) {
+      upsertOrder.run({
+        id: order.id,
+        order_number: order.order_number ?? null,
+        created_at_ms: order.created_at ? Date.parse(order.created_at) : null,
+        updated_at: order.updated_at || null,
+        financial_status: order.financial_status || null,
+        closed_at: order.closed_at || null,
+        cancelled_at: order.cancelled_at || null,
+        order_json: JSON.stringify({ ...order, transactions: undefined }),
+        transactions_json: JSON.stringify(transactions || []),
+        synced_at: syncedAt
+      });
+    }
+  });
+
+  /**
+   * Query stored orders with the same filters as fetchShopifyOrders (newest first).
+   * Returns { orders, nextCursor } - nextCursor is set when max_orders cut the result short.
+   */
+  function findOrders(params = {}) {
+    const filters = params.page_info
+      ? decodeCursor(params.page_info)
+      : {
+        status: params.status || 'any',
+        financial_status: params.financial_status || null,
+        created_at_min: params.created_at_min || null,
+        created_at_max: params.created_at_max || null
+      };
+
+    const where = [];
+    const values = [];
+
+    if (filters.status === 'open') where.push('closed_at IS NULL AND cancelled_at IS NULL');
+    if (filters.status === 'closed') where.push('closed_at IS NOT NULL');
+    if (filters.status === 'cancelled') where.push('cancelled_at IS NOT NULL');
+    if (filters.financial_status && filters.financial_status !== 'any') {
+      const statuses = FINANCIAL_STATUS_GROUPS[filters.financial_status] || [filters.financial_status];
+      where.push(`financial_status IN (${statuses.map(() => '?').join(', ')})`);
+      values.push(...statuses);
+    }
+    if (filters.created_at_min) {
+      where.push('created_at_ms >= ?');
+      values.push(Date.parse(filters.created_at_min));
+    }
+    if (filters.created_at_max) {
+      where.push('created_at_ms <= ?');
+      values.push(Date.parse(filters.created_at_max));
+    }
+    if (filters.before_id) {
+      where.push('id < ?');
+      values.push(filters.before_id);
+    }
+
+    // Fetch one extra row to know whether anything is left after max_orders
+    const limit = params.max_orders ? params.max_orders + 1 : -1;
+    const rows = db.prepare(`
+      SELECT id, order_json, transactions_json FROM orders
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...values, limit);
+
+    const hasMore = params.max_orders && rows.length > params.max_orders;
+    const pageRows = hasMore ? rows.slice(0, params.max_orders) : rows;
+    const { before_id, ...cursorFilters } = filters;
+
+    return {
+      orders: pageRows.map(toOrder),
+      nextCursor: hasMore ? encodeCursor(cursorFilters, pageRows[pageRows.length - 1].id) : null
+    };
+  }
+
+  function getOrder(orderId) {
+    const row = selectOrder.get(orderId);
+    return row ? toOrder(row) : null;
+  }
+
+  /**
+   * Insert or update Stripe dispute rows ([{ id, order_id, ... }]); re-uploading an export doesn't
+   * count the same balance transaction twice. Returns how many were new.
+   */
+  const saveDisputes = db.transaction((disputes, importedAt = new Date().toISOString()) => {
+    let added = 0;
+    for (const dispute of disputes) {
+      const isNew = !disputeExists.get(dispute.id);
+      upsertDispute.run(dispute.id, dispute.order_id, JSON.stringify(dispute), importedAt);
+      if (isNew) added++;
+    }
+    return added;
+  });
+
+  /**
+   * Replace the stored disputes of the given orders that fall in an export's window (inWindow tells
+   * whether a stored dispute does) with the disputes the export has for them, so a corrected or
+   * re-cut export overrides what an earlier one recorded. Disputes of other orders, or outside the
+   * window, are left alone.
+   * Returns { added, removed }: new dispute rows, and stored ones the export no longer has.
+   */
+  const replaceDisputes = db.transaction(({ orderIds, inWindow }, disputes) => {
+    const incoming = new Set(disputes.map(dispute => dispute.id));
+    let replaced = 0;
+    let removed = 0;
+
+    for (const orderId of orderIds) {
+      for (const stored of listDisputes(orderId)) {
+        if (!inWindow(stored)) continue;
+        deleteDispute.run(stored.id);
+        if (incoming.has(stored.id)) replaced++;
+        else removed++;
+      }
+    }
+
+    return { added: saveDisputes(disputes) - replaced, removed };
+  });
+
+  function listDisputes(orderId) {
+    return selectDisputes.all(orderId).map(json => JSON.parse(json));
+  }
+
+  function getSyncState(key) {
+    return getState.get(key)?.value ?? null;
+  }
+
+  function setSyncState(key, value) {
+    setState.run(key, value === null || value === undefined ? null : String(value));
+  }
+
+  /**
+   * Log a received webhook. Returns false when this webhook ID was already recorded (a Shopify retry).
+   */
+  function recordWebhook({ webhookId, topic, shop, payload, receivedAt = new Date().toISOString() }) {
+    return insertWebhook.run(webhookId, topic, shop || null, payload, receivedAt).changes > 0;
+  }
+
+  function markWebhookProcessed(webhookId, error = null) {
+    updateWebhook.run(new Date().toISOString(), error, webhookId);
+  }
+
+  function getWebhook(webhookId) {
+    return selectWebhook.get(webhookId) || null;
+  }
+
+  function listWebhooks(limit = 50) {
+    return selectWebhooks.all(limit);
+  }
+
+  return {
+    saveOrders,
+    findOrders,
+    getOrder,
+    countOrders: () => countOrders.get().count,
+    // Every stored order number, as strings (the customer data keys)
+    listOrderNumbers: () => new Set(selectOrderNumbers.all().map(String)),
+    saveDisputes,
+    replaceDisputes,
+    listDisputes,
+    getSyncState,
+    setSyncState,
+    recordWebhook,
+    markWebhookProcessed,
+    getWebhook,
+    listWebhooks,
+    close: () => db.close()
+  };
+}
+
+module.exports = { InvalidCursorError, createOrderStore };
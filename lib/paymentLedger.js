@@ -0,0 +1,150 @@
+/**
+ * Per-order payment ledger
+ * Works out from an order's transactions what was authorized, captured, refunded and voided,
+ * what was actually received and what is still owed, and whether Shopify's financial_status agrees.
+ * Only successful transactions move money; failed and pending attempts are counted separately.
+ * Chargebacks are not in Shopify's transaction list, so they come from the Stripe disputes matched to
+ * the order by the Stripe reconciliation; an order whose Stripe export was never uploaded shows none.
+ */
+
+const { toMinorUnits, fromMinorUnits } = require('./paymentSummary');
+
+/**
+ * The financial_status Shopify should report for these ledger totals (all in thousandths)
+ */
+function expectedFinancialStatus({ total, authorized, captured, refunded, voided }) {
+  if (captured > 0) {
+    if (refunded >= captured) return 'refunded';
+    if (refunded > 0) return 'partially_refunded';
+    return captured >= total ? 'paid' : 'partially_paid';
+  }
+  if (authorized > 0) return voided >= authorized ? 'voided' : 'authorized';
+  // Nothing captured: a zero-total order is paid, anything else is still pending (e.g. COD before delivery)
+  return total === 0 ? 'paid' : 'pending';
+}
+
+/**
+ * Net amount taken back by chargebacks (dispute rows minus reversals, in thousandths) and how many
+ * there were. Only rows in the ledger currency are summed - Stripe reports disputes in the balance
+ * currency, which can differ from what the customer paid in.
+ */
+function sumDisputes(disputes, currency) {
+  let disputed = 0;
+  let count = 0;
+  let otherCurrency = 0;
+
+  for (const dispute of disputes) {
+    if (dispute.category === 'dispute') count++;
+    if (dispute.currency && currency && dispute.currency.toUpperCase() !== currency.toUpperCase()) {
+      otherCurrency++;
+      continue;
+    }
+    disputed -= toMinorUnits(dispute.amount);
+  }
+  return { disputed, count, otherCurrency };
+}
+
+/**
+ * Build the payment ledger for an order with formatted transactions, and the Stripe disputes
+ * recorded for it
+ */
+function buildPaymentLedger(order, { disputes = [] } = {}) {
+  const totals = { authorized: 0, captured: 0, refunded: 0, voided: 0, pending: 0 };
+  let failedAttempts = 0;
+
+  for (const transaction of order.transactions || []) {
+    const amount = toMinorUnits(transaction.amount);
+
+    if (transaction.status === 'failure' || transaction.status === 'error') {
+      failedAttempts++;
+      continue;
+    }
+    if (transaction.status === 'pending') {
+      totals.pending += amount;
+      continue;
+    }
+    if (transaction.status !== 'success') continue;
+
+    if (transaction.kind === 'authorization' || transaction.kind === 'emv_authorization') totals.authorized += amount;
+    if (transaction.kind === 'capture' || transaction.kind === 'sale') totals.captured += amount;
+    if (transaction.kind === 'refund') totals.refunded += amount;
+    if (transaction.kind === 'void') totals.voided += amount;
+  }
+
+  // What the order is worth now (after refunds and edits; nothing once cancelled), and what it was when placed.
+  // Transactions are in the presentment currency, so the totals are too wherever Shopify gives them.
+  const presentment = field => order[`${field}_set`]?.presentment_money?.amount ?? order[field];
+  const currentTotal = order.cancelled_at ? 0 : toMinorUnits(presentment('current_total_price') ?? presentment('total_price'));
+  const originalTotal = toMinorUnits(presentment('total_price'));
+  const currency = order.presentment_currency || order.currency || null;
+  const chargebacks = sumDisputes(disputes, currency);
+  const netReceived = totals.captured - totals.refunded - chargebacks.disputed;
+  // Shopify's financial_status doesn't change for a Stripe chargeback, so disputes don't count here
+  const expected = expectedFinancialStatus({ total: originalTotal, ...totals });
+
+  return {
+    currency,
+    authorized: fromMinorUnits(totals.authorized),
+    captured: fromMinorUnits(totals.captured),
+    refunded: fromMinorUnits(totals.refunded),
+    voided: fromMinorUnits(totals.voided),
+    pending: fromMinorUnits(totals.pending),
+    disputed: fromMinorUnits(chargebacks.disputed),
+    dispute_count: chargebacks.count,
+    disputes_in_other_currency: chargebacks.otherCurrency,
+    net_received: fromMinorUnits(netReceived),
+    // Negative when more was collected than the order is now worth
+    outstanding: fromMinorUnits(currentTotal - netReceived),
+    failed_attempts: failedAttempts,
+    has_refund: totals.refunded > 0,
+    expected_financial_status: expected,
+    financial_status_mismatch: Boolean(order.financial_status) && order.financial_status !== expected
+  };
+}
+
+/**
+ * Parse /orders ledger filters (has_refund, outstanding_gt, outstanding_lt, financial_status_mismatch).
+ * Returns null when none are set; throws on invalid values.
+ */
+function parseLedgerFilters(query) {
+  const filters = {};
+
+  for (const key of ['has_refund', 'financial_status_mismatch']) {
+    if (query[key] === undefined) continue;
+    if (!['true', 'false'].includes(query[key])) {
+      throw new Error(`${key} must be true or false`);
+    }
+    filters[key] = query[key] === 'true';
+  }
+
+  for (const key of ['outstanding_gt', 'outstanding_lt']) {
+    if (query[key] === undefined) continue;
+    if (!/^-?\d+(\.\d+)?$/.test(String(query[key]).trim())) {
+      throw new Error(`${key} must be a number`);
+    }
+    filters[key] = toMinorUnits(query[key]);
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Whether an order's ledger passes the parsed filters (orders without a ledger never do)
+ */
+function matchesLedgerFilters(order, filters) {
+  const ledger = order.payment_ledger;
+  if (!ledger) return false;
+
+  const outstanding = toMinorUnits(ledger.outstanding);
+  if (filters.has_refund !== undefined && ledger.has_refund !== filters.has_refund) return false;
+  if (filters.financial_status_mismatch !== undefined && ledger.financial_status_mismatch !== filters.financial_status_mismatch) return false;
+  if (filters.outstanding_gt !== undefined && !(outstanding > filters.outstanding_gt)) return false;
+  if (filters.outstanding_lt !== undefined && !(outstanding < filters.outstanding_lt)) return false;
+  return true;
+}
+
+module.exports = {
+  buildPaymentLedger,
+  parseLedgerFilters,
+  matchesLedgerFilters
+};
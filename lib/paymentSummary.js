@@ -0,0 +1,174 @@
+/**
+ * Payment summary: gross sales, refunds and net received from order transactions
+ * Amounts are summed as integer thousandths so string amounts never pick up floating-point drift.
+ */
+
+const MINOR_UNITS = 1000;
+
+// Spreadsheet layout of a summary: one row per period / gateway / currency
+const SUMMARY_SHEET_COLUMNS = [
+  { key: 'generated_at', header: 'Generated At' },
+  { key: 'period', header: 'Period' },
+  { key: 'gateway', header: 'Gateway' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'transaction_count', header: 'Transactions', type: 'number' },
+  { key: 'gross_sales', header: 'Gross Sales', type: 'number' },
+  { key: 'refunds', header: 'Refunds', type: 'number' },
+  { key: 'net_received', header: 'Net Received', type: 'number' }
+];
+
+/**
+ * Convert a Shopify decimal string ("99.99") to integer thousandths; null and undefined are 0.
+ * Anything else that isn't a plain decimal ("1,200.00", "SAR 10", "", "-") throws, so a malformed
+ * amount can't pass for zero.
+ */
+function toMinorUnits(amount) {
+  const match = String(amount ?? '0').trim().match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (!match || !(match[2] || match[3])) {
+    throw new Error(`Invalid amount "${amount}" (expected a decimal number such as 99.99)`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const value = parseInt(whole || '0', 10) * MINOR_UNITS + parseInt(fraction.padEnd(3, '0').slice(0, 3), 10);
+  return sign ? -value : value;
+}
+
+/**
+ * Format integer thousandths back to a decimal string (2 places, 3 when needed e.g. KWD)
+ */
+function fromMinorUnits(value) {
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  const fraction = String(abs % MINOR_UNITS).padStart(3, '0');
+  return `${sign}${Math.floor(abs / MINOR_UNITS)}.${fraction.endsWith('0') ? fraction.slice(0, 2) : fraction}`;
+}
+
+/**
+ * Bucket a gateway name into cod / stripe / other
+ */
+function classifyGateway(gateway) {
+  const name = (gateway || '').toLowerCase();
+  if (name.includes('cash on delivery') || /\bcod\b/.test(name)) return 'cod';
+  if (name.includes('stripe')) return 'stripe';
+  return 'other';
+}
+
+/**
+ * Day or ISO week (Monday) a transaction belongs to.
+ * Shopify timestamps carry the shop's UTC offset, so the date part is already the shop's local day.
+ */
+function getPeriod(timestamp, groupBy) {
+  const day = (timestamp || '').slice(0, 10);
+  if (groupBy !== 'week' || !day) return day || 'unknown';
+
+  const date = new Date(`${day}T00:00:00Z`);
+  const offset = (date.getUTCDay() + 6) % 7; // days since Monday
+  date.setUTCDate(date.getUTCDate() - offset);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add a transaction's amount to a totals bucket
+ */
+function addToBucket(buckets, key, fields, transaction) {
+  if (!buckets.has(key)) {
+    buckets.set(key, { ...fields, gross: 0, refunds: 0, transaction_count: 0 });
+  }
+
+  const bucket = buckets.get(key);
+  const amount = toMinorUnits(transaction.amount);
+  if (transaction.kind === 'refund') {
+    bucket.refunds += amount;
+  } else {
+    bucket.gross += amount;
+  }
+  bucket.transaction_count++;
+}
+
+/**
+ * Convert a totals bucket map into sorted output rows with formatted amounts
+ */
+function formatBuckets(buckets) {
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, { gross, refunds, ...fields }]) => ({
+      ...fields,
+      gross_sales: fromMinorUnits(gross),
+      refunds: fromMinorUnits(refunds),
+      net_received: fromMinorUnits(gross - refunds)
+    }));
+}
+
+/**
+ * Summarise enriched orders (with transactions) into payment totals.
+ * Only successful sale/capture (money in) and refund (money out) transactions are counted;
+ * authorizations, voids and failed attempts moved no money.
+ * Transactions with shop_money (see currency.js) are also totalled in the shop currency, so orders
+ * paid in different presentment currencies can be added up; ones that couldn't be converted are counted.
+ */
+function summarizePayments(orders, { groupBy = 'day' } = {}) {
+  const totals = new Map();
+  const shopCurrencyTotals = new Map();
+  let unconvertedTransactions = 0;
+  const byGateway = new Map();
+  const byPeriod = new Map();
+  const breakdown = new Map();
+  const financialStatusCounts = {};
+
+  for (const order of orders) {
+    const financialStatus = order.financial_status || 'unknown';
+    financialStatusCounts[financialStatus] = (financialStatusCounts[financialStatus] || 0) + 1;
+
+    for (const transaction of order.transactions || []) {
+      if (transaction.status !== 'success' || !['sale', 'capture', 'refund'].includes(transaction.kind)) continue;
+
+      const currency = transaction.currency || order.currency;
+      const gateway = classifyGateway(transaction.gateway);
+      const period = getPeriod(transaction.created_at, groupBy);
+
+      addToBucket(totals, currency, { currency }, transaction);
+      addToBucket(byGateway, `${gateway}|${currency}`, { gateway, currency }, transaction);
+      addToBucket(byPeriod, `${period}|${currency}`, { period, currency }, transaction);
+      addToBucket(breakdown, `${period}|${gateway}|${currency}`, { period, gateway, currency }, transaction);
+
+      const shopMoney = transaction.shop_money;
+      if (shopMoney?.amount != null) {
+        addToBucket(shopCurrencyTotals, shopMoney.currency, { currency: shopMoney.currency }, { kind: transaction.kind, amount: shopMoney.amount });
+      } else if (shopMoney) {
+        unconvertedTransactions++;
+      }
+    }
+  }
+
+  return {
+    group_by: groupBy,
+    order_count: orders.length,
+    financial_status_counts: financialStatusCounts,
+    totals: formatBuckets(totals),
+    shop_currency_totals: formatBuckets(shopCurrencyTotals),
+    unconverted_transaction_count: unconvertedTransactions,
+    by_gateway: formatBuckets(byGateway),
+    by_period: formatBuckets(byPeriod),
+    breakdown: formatBuckets(breakdown)
+  };
+}
+
+/**
+ * Flatten a summary's breakdown into spreadsheet rows (arrays in SUMMARY_SHEET_COLUMNS order).
+ * generated_at is repeated on every row so appended runs can be told apart.
+ */
+function summaryToSheetRows(summary, generatedAt = new Date().toISOString()) {
+  return summary.breakdown.map(row => SUMMARY_SHEET_COLUMNS.map(({ key, type }) => {
+    const value = key === 'generated_at' ? generatedAt : row[key];
+    return type === 'number' ? Number(value) : value;
+  }));
+}
+
+module.exports = {
+  SUMMARY_SHEET_COLUMNS,
+  toMinorUnits,
+  fromMinorUnits,
+  classifyGateway,
+  summarizePayments,
+  summaryToSheetRows
+};
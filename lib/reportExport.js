@@ -0,0 +1,272 @@
+/**
+ * CSV / XLSX export of the order payment report
+ * Flattens enriched orders into spreadsheet rows and streams them to the response. The same columns
+ * are the JSON report view (view=report), and `fields` picks a subset of them for either.
+ */
+
+const ExcelJS = require('exceljs');
+
+// One row per order
+const ORDER_COLUMNS = [
+  { key: 'order_id', header: 'Order ID' },
+  { key: 'order_name', header: 'Order' },
+  { key: 'created_at', header: 'Date' },
+  { key: 'financial_status', header: 'Financial Status' },
+  { key: 'payment_gateway', header: 'Payment Gateway' },
+  { key: 'stripe_charge_id', header: 'Stripe Charge ID' },
+  { key: 'amount', header: 'Amount', type: 'number' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'shop_amount', header: 'Amount (Shop Currency)', type: 'number' },
+  { key: 'shop_currency', header: 'Shop Currency' },
+  { key: 'customer_name', header: 'Customer Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'shipping_address', header: 'Shipping Address' },
+  { key: 'shipping_city', header: 'Shipping City' },
+  { key: 'shipping_country', header: 'Shipping Country' },
+  { key: 'fulfillment_status', header: 'Fulfillment Status' },
+  { key: 'carrier', header: 'Carrier' },
+  { key: 'tracking_number', header: 'Tracking Number' },
+  { key: 'shipped_at', header: 'Shipped At' }
+];
+
+// One row per line item: order columns followed by the item
+const LINE_ITEM_COLUMNS = [
+  ...ORDER_COLUMNS,
+  { key: 'item_name', header: 'Item' },
+  { key: 'sku', header: 'SKU' },
+  { key: 'barcode', header: 'Barcode' },
+  { key: 'quantity', header: 'Quantity', type: 'number' },
+  { key: 'item_price', header: 'Item Price', type: 'number' }
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * Charge IDs of successful payment transactions (Stripe stores ch_/pi_ IDs in `authorization`)
+ */
+function getChargeIds(order) {
+  const chargeIds = (order.transactions || [])
+    .filter(t => t.status === 'success' && ['sale', 'capture', 'authorization'].includes(t.kind) && t.authorization)
+    .map(t => t.authorization);
+  return [...new Set(chargeIds)].join('; ');
+}
+
+/**
+ * Flatten an enriched order into export rows (one per order, or one per line item)
+ */
+function orderToRows(order, { lineItems = false } = {}) {
+  const orderRow = {
+    order_id: order.id,
+    order_name: order.name,
+    created_at: order.created_at,
+    financial_status: order.financial_status,
+    payment_gateway: (order.payment_gateway_names || []).join(', '),
+    stripe_charge_id: getChargeIds(order),
+    amount: order.total_price,
+    currency: order.currency,
+    shop_amount: order.shop_money?.total_price ?? null,
+    shop_currency: order.shop_money?.currency ?? null,
+    customer_name: order.customer_info?.full_name || null,
+    email: order.customer_info?.email || null,
+    phone: order.customer_info?.phone || null,
+    shipping_address: [order.shipping_address?.address1, order.shipping_address?.address2].filter(Boolean).join(', ') || null,
+    shipping_city: order.shipping_address?.city || null,
+    shipping_country: order.shipping_address?.country || null,
+    fulfillment_status: order.shipping_summary?.fulfillment_status || order.fulfillment_status || 'unfulfilled',
+    carrier: order.shipping_summary?.carrier ?? null,
+    tracking_number: order.shipping_summary?.tracking_number ?? null,
+    shipped_at: order.shipping_summary?.shipped_at ?? null
+  };
+
+  if (!lineItems) return [orderRow];
+
+  return (order.line_items || []).map(item => ({
+    ...orderRow,
+    item_name: item.name,
+    sku: item.sku || null,
+    barcode: item.barcode || null,
+    quantity: item.quantity,
+    item_price: item.price
+  }));
+}
+
+/**
+ * The report columns named in `fields` (comma-separated keys), in column order - all of them when
+ * fields is empty. Line item columns need lineItems. Throws on unknown names.
+ */
+function selectColumns(fields, { lineItems = false } = {}) {
+  const columns = lineItems ? LINE_ITEM_COLUMNS : ORDER_COLUMNS;
+  if (!fields) return columns;
+
+  const requested = new Set(String(fields).split(',').map(field => field.trim()).filter(Boolean));
+  if (requested.size === 0) {
+    throw new Error('fields is empty');
+  }
+  const unknown = [...requested].filter(field => !LINE_ITEM_COLUMNS.some(c => c.key === field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fields: ${unknown.join(', ')} (expected: ${LINE_ITEM_COLUMNS.map(c => c.key).join(', ')})`);
+  }
+  const itemFields = [...requested].filter(field => !ORDER_COLUMNS.some(c => c.key === field));
+  if (itemFields.length > 0 && !lineItems) {
+    throw new Error(`Line item fields (${itemFields.join(', ')}) need rows=line_items`);
+  }
+  return columns.filter(c => requested.has(c.key));
+}
+
+/**
+ * An enriched order as a JSON report: the selected order columns, plus line_items with the
+ * selected item columns when there are any
+ */
+function orderToReport(order, columns) {
+  const pick = (row, keys) => Object.fromEntries(keys.map(key => [key, row[key] ?? null]));
+  const orderKeys = columns.filter(c => ORDER_COLUMNS.includes(c)).map(c => c.key);
+  const itemKeys = columns.filter(c => !ORDER_COLUMNS.includes(c)).map(c => c.key);
+
+  const [orderRow] = orderToRows(order);
+  const report = pick(orderRow, orderKeys);
+  if (itemKeys.length > 0) {
+    report.line_items = orderToRows(order, { lineItems: true }).map(row => pick(row, itemKeys));
+  }
+  return report;
+}
+
+/**
+ * Quote a CSV field and neutralise values a spreadsheet would run as a formula
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Phone numbers like +966... are left alone; anything else starting with a formula character is prefixed
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Wait until the stream has drained when its buffer is full.
+ * Rejects if the stream closes or fails first (e.g. the client disconnected), so the export stops.
+ */
+function waitForDrain(stream) {
+  if (stream.destroyed) return Promise.reject(new Error('Export stream closed before the report was written'));
+  if (!stream.writableNeedDrain) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error('Export stream closed before the report was written'));
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', settle);
+  });
+}
+
+/**
+ * Write to the stream, then wait for it to drain if that filled its buffer
+ */
+function writeChunk(stream, chunk) {
+  if (!stream.destroyed) stream.write(chunk);
+  return waitForDrain(stream);
+}
+
+/**
+ * CSV writer - UTF-8 with a BOM so Excel shows Arabic names correctly
+ */
+function createCsvWriter(stream, columns) {
+  return {
+    async start() {
+      await writeChunk(stream, '\uFEFF' + columns.map(c => escapeCsvValue(c.header)).join(',') + '\r\n');
+    },
+    async writeRows(rows) {
+      if (rows.length === 0) return;
+      const lines = rows.map(row => columns.map(c => escapeCsvValue(row[c.key])).join(',') + '\r\n');
+      await writeChunk(stream, lines.join(''));
+    },
+    async end() {
+      stream.end();
+    }
+  };
+}
+
+/**
+ * XLSX writer - streams worksheet rows as they are committed. ExcelJS writes to the stream itself,
+ * so each batch waits for the stream to drain (or fails once it has closed) before the next.
+ */
+function createXlsxWriter(stream, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Orders');
+
+  return {
+    async start() {
+      sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: 20 }));
+    },
+    async writeRows(rows) {
+      for (const row of rows) {
+        const values = {};
+        for (const c of columns) {
+          const value = row[c.key];
+          values[c.key] = c.type === 'number' && value !== null && value !== undefined && value !== ''
+            ? Number(value)
+            : value ?? null;
+        }
+        sheet.addRow(values).commit();
+      }
+      await waitForDrain(stream);
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+/**
+ * Download file name for a report in the given format
+ */
+function reportFilename(format) {
+  return `order-report-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Row writer for the requested format on any writable stream (a response or a file).
+ * columns defaults to every order (or line item) column.
+ */
+function createRowWriter(stream, format, { lineItems = false, columns = lineItems ? LINE_ITEM_COLUMNS : ORDER_COLUMNS } = {}) {
+  return format === 'xlsx' ? createXlsxWriter(stream, columns) : createCsvWriter(stream, columns);
+}
+
+/**
+ * Set download headers and return a row writer for the requested format
+ */
+function createReportWriter(res, format, options) {
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${reportFilename(format)}"`);
+  return createRowWriter(res, format, options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ORDER_COLUMNS,
+  LINE_ITEM_COLUMNS,
+  orderToRows,
+  selectColumns,
+  orderToReport,
+  escapeCsvValue,
+  reportFilename,
+  createRowWriter,
+  createReportWriter
+};
@@ -0,0 +1,196 @@
+/**
+ * Background report jobs
+ * Long reports run here instead of holding an HTTP request open: clients start a job, poll its
+ * progress and download the result file once it's done. A few jobs run at a time, the rest wait
+ * in a queue. Finished jobs (and their files) are dropped after the retention period.
+ * Jobs live in memory - a restart forgets them, so leftover result files are cleared on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// How often expired jobs are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createJobQueue({ dir, concurrency = 2, retentionMs = 24 * 60 * 60 * 1000, maxQueued = 20 }) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const jobs = new Map();
+  const queue = [];
+  let running = 0;
+
+  /**
+   * The job as clients see it (no internals such as the runner or file path)
+   */
+  function toPublic(job) {
+    const { run, controller, resultPath, progress, ...fields } = job;
+    return { ...fields, progress: { ...progress } };
+  }
+
+  function removeResult(job) {
+    if (job.resultPath) {
+      fs.rm(job.resultPath, { force: true }, () => {});
+      job.resultPath = null;
+    }
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+      status,
+      finished_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + retentionMs).toISOString()
+    });
+    if (status !== JOB_STATUS.COMPLETED) removeResult(job);
+  }
+
+  async function start(job) {
+    running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.started_at = new Date().toISOString();
+
+    const context = {
+      jobId: job.id,
+      signal: job.controller.signal,
+      setProgress: progress => Object.assign(job.progress, progress),
+      // Path for the result file, removed again if the job doesn't complete
+      resultFile: extension => {
+        job.resultPath = path.join(dir, `${job.id}.${extension}`);
+        return job.resultPath;
+      }
+    };
+
+    try {
+      const result = await job.run(context);
+      if (job.controller.signal.aborted) {
+        finish(job, JOB_STATUS.CANCELLED);
+      } else {
+        finish(job, JOB_STATUS.COMPLETED, { result });
+        logger.info('Report job completed', { job_id: job.id });
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        finish(job, JOB_STATUS.CANCELLED);
+        logger.info('Report job cancelled', { job_id: job.id });
+      } else {
+        finish(job, JOB_STATUS.FAILED, { error: error.message });
+        logger.error('Report job failed', { job_id: job.id, error });
+      }
+    } finally {
+      running--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && queue.length > 0) {
+      start(queue.shift());
+    }
+  }
+
+  /**
+   * Queue a job for a store (and the role it runs for). run({ jobId, signal, setProgress, resultFile }) does
+   * the work and resolves with { content_type, filename, ... } describing the file it wrote.
+   * Returns null when the queue is full.
+   */
+  function submit({ type, store = null, role = null, params, run }) {
+    if (queue.length >= maxQueued) return null;
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      store,
+      role,
+      params,
+      status: JOB_STATUS.QUEUED,
+      progress: { stage: 'queued', processed: 0, total: null },
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      expires_at: null,
+      error: null,
+      result: null,
+      run,
+      controller: new AbortController(),
+      resultPath: null
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    pump();
+    return toPublic(job);
+  }
+
+  function get(jobId) {
+    const job = jobs.get(jobId);
+    return job ? toPublic(job) : null;
+  }
+
+  function list() {
+    return [...jobs.values()]
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(toPublic);
+  }
+
+  /**
+   * Path of a completed job's result file, or null
+   */
+  function getResultPath(jobId) {
+    const job = jobs.get(jobId);
+    return job?.status === JOB_STATUS.COMPLETED ? job.resultPath : null;
+  }
+
+  /**
+   * Cancel a queued or running job, or delete a finished one and its result.
+   * Returns the job as it was left, or null when there is no such job.
+   */
+  function cancel(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      queue.splice(queue.indexOf(job), 1);
+      finish(job, JOB_STATUS.CANCELLED);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      // The runner stops at its next checkpoint; start() marks it cancelled
+      job.controller.abort();
+    } else {
+      removeResult(job);
+      jobs.delete(jobId);
+    }
+    return toPublic(job);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const job of jobs.values()) {
+      if (job.expires_at && Date.parse(job.expires_at) <= now) {
+        removeResult(job);
+        jobs.delete(job.id);
+      }
+    }
+  }
+
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    submit,
+    get,
+    list,
+    getResultPath,
+    cancel,
+    stats: () => ({ queued: queue.length, running, concurrency, retention_hours: retentionMs / (60 * 60 * 1000) })
+  };
+}
+
+module.exports = { JOB_STATUS, createJobQueue };
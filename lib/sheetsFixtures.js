@@ -0,0 +1,121 @@
+/**
+ * Offline Google Sheets stand-in
+ * A sheetsApi for lib/googleSheets.js that takes the place of google.sheets({ version: 'v4' }),
+ * so the customer import and report export run without Google credentials.
+ *
+ * Fixture file: { "<tab name>": [["header", ...], ["value", ...], ...] }. The first tab is the one
+ * a range without a tab name (A:ZZ) reads. Every spreadsheet ID sees the same tabs, and writes
+ * only change the copy in memory.
+ */
+
+const fs = require('fs');
+
+/**
+ * Tab name and cell part of an A1 range: 'My Tab'!A1 -> { tab: 'My Tab', cells: 'A1' }.
+ * A range with no tab name (A:ZZ) gets tab null.
+ */
+function parseRange(range) {
+  const quoted = /^'((?:[^']|'')*)'(?:!(.*))?$/.exec(range);
+  if (quoted) return { tab: quoted[1].replace(/''/g, "'"), cells: quoted[2] || '' };
+
+  const bang = range.lastIndexOf('!');
+  if (bang !== -1) return { tab: range.slice(0, bang), cells: range.slice(bang + 1) };
+
+  // A bare A1 reference (columns go up to three letters) is cells of the first tab; any other bare name is a tab
+  return /^[A-Z]{0,3}\d*(:[A-Z]{0,3}\d*)?$/i.test(range) ? { tab: null, cells: range } : { tab: range, cells: '' };
+}
+
+/**
+ * Check a fixture ({ tab: rows }) and copy it, so writes never touch the caller's object
+ */
+function parseSheetsFixture(fixture) {
+  if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+    throw new Error('the Sheets fixture must be a JSON object of tab name -> rows');
+  }
+  return new Map(Object.entries(fixture).map(([tab, rows]) => {
+    if (!Array.isArray(rows) || !rows.every(Array.isArray)) {
+      throw new Error(`Tab "${tab}" needs an array of rows, each an array of cell values`);
+    }
+    return [tab, rows.map(row => [...row])];
+  }));
+}
+
+/**
+ * Sheets API stand-in serving the fixture's tabs. Supports what lib/googleSheets.js calls:
+ * spreadsheets.get (tab titles), batchUpdate (addSheet) and values.get/clear/update/append
+ * (whole tabs, writes from A1, and the 1:1 header row).
+ */
+function createFixtureSheetsApi(fixture) {
+  const tabs = parseSheetsFixture(fixture);
+
+  function tabRows(range) {
+    const { tab, cells } = parseRange(String(range));
+    const name = tab ?? tabs.keys().next().value;
+    if (!tabs.has(name)) {
+      throw Object.assign(new Error(`Unable to parse range: ${range}`), { code: 400 });
+    }
+    return { name, rows: tabs.get(name), cells };
+  }
+
+  const response = data => ({ status: 200, data });
+
+  return {
+    spreadsheets: {
+      async get() {
+        return response({ sheets: [...tabs.keys()].map(title => ({ properties: { title } })) });
+      },
+
+      async batchUpdate({ requestBody }) {
+        for (const request of requestBody.requests || []) {
+          const title = request.addSheet?.properties?.title;
+          if (title === undefined) continue;
+          if (tabs.has(title)) {
+            throw Object.assign(new Error(`A sheet with the name "${title}" already exists`), { code: 400 });
+          }
+          tabs.set(title, []);
+        }
+        return response({});
+      },
+
+      values: {
+        async get({ range }) {
+          const { rows, cells } = tabRows(range);
+          const values = /^1:1$/.test(cells) ? rows.slice(0, 1) : rows;
+          return response(values.length > 0 ? { range, values: values.map(row => [...row]) } : { range });
+        },
+
+        async clear({ range }) {
+          const { name } = tabRows(range);
+          tabs.set(name, []);
+          return response({ clearedRange: range });
+        },
+
+        async update({ range, requestBody }) {
+          const { name, rows } = tabRows(range);
+          const values = requestBody.values.map(row => [...row]);
+          tabs.set(name, [...values, ...rows.slice(values.length)]);
+          return response({ updatedRange: range, updatedRows: values.length });
+        },
+
+        async append({ range, requestBody }) {
+          const { rows } = tabRows(range);
+          rows.push(...requestBody.values.map(row => [...row]));
+          return response({ updates: { updatedRange: range, updatedRows: requestBody.values.length } });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Sheets API stand-in from a fixture file
+ */
+function loadFixtureSheetsApi(file) {
+  return createFixtureSheetsApi(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+module.exports = {
+  parseRange,
+  createFixtureSheetsApi,
+  loadFixtureSheetsApi
+};
@@ -0,0 +1,103 @@
+/**
+ * Shipping summary and fulfillment report
+ * Normalizes an order's fulfillments and shipping lines into one summary: carrier, tracking,
+ * fulfillment status, when it shipped and how long ago. The fulfillment report uses it to find
+ * paid orders still waiting to ship, and COD orders that shipped a while ago but aren't paid yet.
+ */
+
+const { isCodOrder, getDeliveredAt } = require('./codRemittance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fulfillments that didn't ship anything
+const INACTIVE_FULFILLMENT_STATUSES = ['cancelled', 'error', 'failure'];
+
+// Financial statuses of orders the customer has paid for
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// Financial statuses of COD orders whose cash hasn't been marked as received
+const UNPAID_STATUSES = ['pending', 'authorized', 'partially_paid'];
+
+/**
+ * Whole days from a timestamp to now
+ */
+const daysSince = (timestamp, now) => Math.floor((now - new Date(timestamp)) / DAY_MS);
+
+/**
+ * The order's shipping summary. Carrier and tracking come from its latest fulfillment; shipped_at is
+ * when the first one was created. Cancelled and failed fulfillments are ignored.
+ */
+function buildShippingSummary(order, { now = new Date() } = {}) {
+  const fulfillments = (order.fulfillments || [])
+    .filter(fulfillment => !INACTIVE_FULFILLMENT_STATUSES.includes(fulfillment.status))
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const latest = fulfillments[fulfillments.length - 1];
+  const shippedAt = fulfillments[0]?.created_at || null;
+
+  return {
+    fulfillment_status: order.fulfillment_status || 'unfulfilled',
+    shipping_method: order.shipping_lines?.[0]?.title || null,
+    carrier: latest?.tracking_company || null,
+    tracking_number: latest?.tracking_number || latest?.tracking_numbers?.[0] || null,
+    tracking_url: latest?.tracking_url || latest?.tracking_urls?.[0] || null,
+    shipment_status: latest?.shipment_status || null,
+    fulfillment_count: fulfillments.length,
+    shipped_at: shippedAt,
+    delivered_at: getDeliveredAt(order),
+    days_since_shipment: shippedAt ? daysSince(shippedAt, now) : null
+  };
+}
+
+/**
+ * An order as a fulfillment report entry (no customer details)
+ */
+function toReportEntry(order, shipping) {
+  return {
+    order_id: order.id,
+    order_name: order.name,
+    created_at: order.created_at,
+    financial_status: order.financial_status,
+    payment_gateway: (order.payment_gateway_names || []).join(', '),
+    amount: order.total_price,
+    currency: order.currency,
+    ...shipping
+  };
+}
+
+/**
+ * Paid orders that haven't (fully) shipped, oldest first, and COD orders that shipped at least
+ * minDays ago but are still unpaid, longest since shipment first. Cancelled orders are left out.
+ */
+function buildFulfillmentReport(orders, { now = new Date(), minDays = 0 } = {}) {
+  const paidUnfulfilled = [];
+  const codShippedUnpaid = [];
+
+  for (const order of orders) {
+    if (order.cancelled_at) continue;
+    const shipping = order.shipping_summary || buildShippingSummary(order, { now });
+
+    if (PAID_STATUSES.includes(order.financial_status) && ['unfulfilled', 'partial'].includes(shipping.fulfillment_status)) {
+      paidUnfulfilled.push({ ...toReportEntry(order, shipping), days_since_order: daysSince(order.created_at, now) });
+    }
+
+    if (isCodOrder(order) && UNPAID_STATUSES.includes(order.financial_status)
+      && shipping.shipped_at && shipping.days_since_shipment >= minDays) {
+      codShippedUnpaid.push(toReportEntry(order, shipping));
+    }
+  }
+
+  paidUnfulfilled.sort((a, b) => b.days_since_order - a.days_since_order);
+  codShippedUnpaid.sort((a, b) => b.days_since_shipment - a.days_since_shipment);
+
+  return {
+    paid_unfulfilled: { order_count: paidUnfulfilled.length, orders: paidUnfulfilled },
+    cod_shipped_unpaid: { order_count: codShippedUnpaid.length, orders: codShippedUnpaid }
+  };
+}
+
+module.exports = {
+  PAID_STATUSES,
+  UNPAID_STATUSES,
+  buildShippingSummary,
+  buildFulfillmentReport
+};
@@ -0,0 +1,248 @@
+/**
+ * Shopify Admin API client
+ * Every Shopify call goes through here so they share one API version, one retry policy and
+ * one view of the rate limits:
+ * - REST: paces requests from X-Shopify-Shop-Api-Call-Limit (leaky bucket) before hitting 429s
+ * - GraphQL: paces queries from the cost extension's throttleStatus
+ * - Retries 429s and THROTTLED responses, honouring Retry-After, with exponential backoff and jitter.
+ *   5xx and network errors are only retried for reads (REST GETs, GraphQL queries): a mutation that
+ *   timed out may already have been applied, so sending it again could apply it twice.
+ */
+
+const axios = require('axios');
+const { logger } = require('./logger');
+const { getOperationTypes, isWriteOperation } = require('./graphqlGuard');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Keep a couple of REST calls in hand for other callers sharing the bucket
+const REST_HEADROOM = 2;
+
+// Cost assumed for a GraphQL query before Shopify has told us its real cost
+const DEFAULT_GRAPHQL_COST = 50;
+
+/**
+ * Endpoint label for metrics and logs: the path without its query, with IDs replaced
+ * (/orders/123/transactions.json -> /orders/:id/transactions.json)
+ */
+function endpointLabel(path) {
+  return path.split('?')[0].replace(/\/\d+(?=\/|\.json|$)/g, '/:id');
+}
+
+/**
+ * Whether a failed request is worth retrying. Shopify didn't run a rate-limited request, so those
+ * always are; server errors and network failures only when sending the request again is harmless.
+ */
+function isRetryable(error, { idempotent }) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  return idempotent && (!error.response || status >= 500);
+}
+
+/**
+ * Whether a GraphQL document only reads (no mutation, and parseable)
+ */
+function isReadOnlyGraphql(query) {
+  const operationTypes = getOperationTypes(query);
+  return Boolean(operationTypes) && !isWriteOperation(operationTypes);
+}
+
+function createShopifyClient({
+  shop,
+  accessToken,
+  apiVersion = '2024-01',
+  maxRetries = 4,
+  baseDelayMs = 500,
+  httpClient = axios,
+  // Called after every attempt ({ api, method, endpoint, status, durationMs }; status is null on network errors)
+  // and before every retry ({ api, method, endpoint, status, attempt, delayMs }), e.g. for metrics
+  onResponse = () => {},
+  onRetry = () => {}
+}) {
+  const baseUrl = `https://${shop}/admin/api/${apiVersion}`;
+  const headers = {
+    'X-Shopify-Access-Token': accessToken,
+    'Content-Type': 'application/json'
+  };
+
+  // REST leaky bucket (standard plans: 40 calls, leaking 2/s; Plus: 80, 4/s)
+  const restBucket = { used: 0, max: 40, updatedAt: Date.now() };
+  // GraphQL cost bucket, filled in from the first response's throttleStatus
+  const graphqlBucket = { available: null, max: null, restoreRate: null, updatedAt: Date.now() };
+
+  // Reservations are handed out one at a time so concurrent callers queue up instead of all waiting the same delay
+  let reservationQueue = Promise.resolve();
+  function serialize(reserve) {
+    const reservation = reservationQueue.then(reserve);
+    reservationQueue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  /**
+   * Wait until the REST bucket has room, then count this call against it
+   */
+  async function takeRestCall() {
+    const leakRate = restBucket.max / 20;
+    const leaked = ((Date.now() - restBucket.updatedAt) / 1000) * leakRate;
+    let used = Math.max(restBucket.used - leaked, 0);
+
+    const limit = restBucket.max - REST_HEADROOM;
+    if (used >= limit) {
+      const waitMs = Math.ceil(((used - limit + 1) / leakRate) * 1000);
+      logger.debug('Shopify REST bucket nearly full, waiting', { used: Math.round(used), max: restBucket.max, wait_ms: waitMs });
+      await sleep(waitMs);
+      used = limit - 1;
+    }
+
+    restBucket.used = used + 1;
+    restBucket.updatedAt = Date.now();
+  }
+
+  /**
+   * Sync the REST bucket with Shopify's view, e.g. "32/40"
+   */
+  function updateRestBucket(responseHeaders) {
+    const callLimit = responseHeaders?.['x-shopify-shop-api-call-limit'];
+    const match = callLimit && String(callLimit).match(/^(\d+)\/(\d+)$/);
+    if (!match) return;
+
+    restBucket.used = parseInt(match[1]);
+    restBucket.max = parseInt(match[2]);
+    restBucket.updatedAt = Date.now();
+  }
+
+  /**
+   * Wait until the GraphQL bucket can pay for a query of the given cost, then reserve it
+   */
+  async function takeGraphqlCost(cost) {
+    if (graphqlBucket.available === null) return;
+
+    const restored = ((Date.now() - graphqlBucket.updatedAt) / 1000) * graphqlBucket.restoreRate;
+    let available = Math.min(graphqlBucket.available + restored, graphqlBucket.max);
+
+    if (available < cost) {
+      const waitMs = Math.ceil(((cost - available) / graphqlBucket.restoreRate) * 1000);
+      logger.debug('Shopify GraphQL bucket low, waiting', { available: Math.round(available), max: graphqlBucket.max, wait_ms: waitMs });
+      await sleep(waitMs);
+      available = cost;
+    }
+
+    graphqlBucket.available = available - cost;
+    graphqlBucket.updatedAt = Date.now();
+  }
+
+  function updateGraphqlBucket(body) {
+    const throttleStatus = body?.extensions?.cost?.throttleStatus;
+    if (!throttleStatus) return;
+
+    graphqlBucket.available = throttleStatus.currentlyAvailable;
+    graphqlBucket.max = throttleStatus.maximumAvailable;
+    graphqlBucket.restoreRate = throttleStatus.restoreRate;
+    graphqlBucket.updatedAt = Date.now();
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After when Shopify sends one, otherwise
+   * exponential backoff with jitter so concurrent callers don't retry in lockstep
+   */
+  function getRetryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.ceil(retryAfter * 1000);
+
+    const backoff = baseDelayMs * Math.pow(2, attempt);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Send a request, retrying rate limits, and server errors and network failures when idempotent.
+   * checkResponse can turn a successful response into an error (e.g. GraphQL THROTTLED).
+   */
+  async function request({ method, path, data, idempotent, beforeAttempt, afterResponse, checkResponse = () => null }) {
+    const call = { api: path === '/graphql.json' ? 'graphql' : 'rest', method: method.toUpperCase(), endpoint: endpointLabel(path) };
+
+    for (let attempt = 0; ; attempt++) {
+      await beforeAttempt();
+
+      let error;
+      const startedAt = Date.now();
+      try {
+        const response = await httpClient.request({ method, url: `${baseUrl}${path}`, data, headers });
+        afterResponse(response);
+        error = checkResponse(response);
+        onResponse({ ...call, status: error ? error.response.status : response.status, durationMs: Date.now() - startedAt });
+        if (!error) return response;
+      } catch (requestError) {
+        if (requestError.response) afterResponse(requestError.response);
+        onResponse({ ...call, status: requestError.response?.status ?? null, durationMs: Date.now() - startedAt });
+        error = requestError;
+      }
+
+      if (attempt >= maxRetries || !isRetryable(error, { idempotent })) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      const status = error.response?.status ?? null;
+      onRetry({ ...call, status, attempt: attempt + 1, delayMs: delay });
+      logger.warn('Shopify request failed, retrying', {
+        ...call,
+        status,
+        error: status ? undefined : error.code || error.message,
+        attempt: attempt + 1,
+        max_retries: maxRetries,
+        delay_ms: delay
+      });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * REST GET - resolves with the full axios response (callers need headers such as Link)
+   */
+  function get(path, params) {
+    const query = params ? new URLSearchParams(params).toString() : '';
+    return request({
+      method: 'get',
+      path: query ? `${path}?${query}` : path,
+      idempotent: true,
+      beforeAttempt: () => serialize(takeRestCall),
+      afterResponse: response => updateRestBucket(response.headers)
+    });
+  }
+
+  /**
+   * GraphQL query - resolves with the response body ({ data, errors, extensions }).
+   * THROTTLED errors are retried here; any other errors are left for the caller.
+   * Mutations (and documents that can't be parsed) aren't retried after 5xx or network errors.
+   */
+  async function graphql(query, variables, { estimatedCost = DEFAULT_GRAPHQL_COST } = {}) {
+    const response = await request({
+      method: 'post',
+      path: '/graphql.json',
+      data: { query, variables },
+      idempotent: isReadOnlyGraphql(query),
+      beforeAttempt: () => serialize(() => takeGraphqlCost(estimatedCost)),
+      afterResponse: response => updateGraphqlBucket(response.data),
+      // GraphQL reports throttling as a 200 with a THROTTLED error - surface it as a 429 so it's retried
+      checkResponse: response => {
+        if (!response.data?.errors?.some?.(e => e.extensions?.code === 'THROTTLED')) return null;
+        const error = new Error('Shopify GraphQL query throttled');
+        error.response = { ...response, status: 429 };
+        return error;
+      }
+    });
+    return response.data;
+  }
+
+  return {
+    apiVersion,
+    get,
+    graphql,
+    getRateLimitStatus: () => ({
+      rest: { used: restBucket.used, max: restBucket.max },
+      graphql: { available: graphqlBucket.available, max: graphqlBucket.max, restore_rate: graphqlBucket.restoreRate }
+    })
+  };
+}
+
+module.exports = { endpointLabel, createShopifyClient };
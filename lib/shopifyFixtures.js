@@ -0,0 +1,502 @@
+/**
+ * Offline Shopify stand-in
+ * httpClients for lib/shopifyClient.js that take the place of axios:
+ * - mock: answers Admin API calls from fixture files, so the server runs without a store token
+ * - record: passes calls through to Shopify and saves the responses as fixtures, customer details scrubbed
+ * The stand-in enforces Shopify's rate limits (REST call bucket, GraphQL cost bucket) and can be
+ * scripted to fail, so the client's pacing and retries can be exercised offline.
+ *
+ * Fixture directory:
+ *   orders.json          { "orders": [...] } - REST orders, for /orders.json and /orders/<id>.json
+ *   transactions.json    { "<order id>": [...] } - for /orders/<id>/transactions.json
+ *   variants.json        { "<variant id>": { "sku", "barcode" } } - for GraphQL nodes(ids:) variant lookups
+ *   graphql/<key>.json   { "query", "variables", "response" } - any other GraphQL call, keyed by query and variables
+ *   failures.json        scripted failures (optional, see parseFailures)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { endpointLabel } = require('./shopifyClient');
+const { createJsonStore } = require('./jsonStore');
+const { logger } = require('./logger');
+
+// Shopify's standard plan limits: 40 REST calls leaking 2/s; 1000 GraphQL points restoring 50/s
+const REST_BUCKET = { max: 40, leakRate: 2 };
+const GRAPHQL_BUCKET = { max: 1000, restoreRate: 50 };
+
+// Largest page Shopify serves from /orders.json
+const MAX_PAGE_SIZE = 250;
+
+// Cost charged for a recorded GraphQL query whose response has no cost extension
+const DEFAULT_QUERY_COST = 10;
+
+// Statuses a scripted failure can return (network_error: no response at all; throttled: GraphQL THROTTLED)
+const FAILURE_STATUSES = [429, 500, 502, 503, 504, 'network_error', 'throttled'];
+
+// Fields scrubbed wherever they appear (REST snake_case and GraphQL camelCase)
+const CUSTOMER_FIELDS = new Set([
+  'email', 'contact_email', 'payer_email', 'receipt_email', 'phone', 'first_name', 'firstName', 'last_name', 'lastName',
+  'displayName', 'credit_card_name', 'browser_ip', 'note'
+]);
+
+// Addresses, and the fields scrubbed inside them - city, province and country are kept for reports.
+// billing_details is the Stripe charge's billing block in transaction receipts; its street and
+// postal code are line1, line2 and postal_code.
+const ADDRESS_KEYS = new Set([
+  'shipping_address', 'billing_address', 'default_address', 'addresses', 'shippingAddress', 'billingAddress', 'defaultAddress',
+  'billing_details'
+]);
+const ADDRESS_FIELDS = new Set([
+  ...CUSTOMER_FIELDS, 'name', 'company', 'address1', 'address2', 'line1', 'line2', 'zip', 'postal_code', 'latitude', 'longitude'
+]);
+
+// Free-form name/value attributes from the checkout (gift messages, delivery instructions, phone
+// numbers...): names are kept, values dropped
+const ATTRIBUTE_KEYS = new Set(['note_attributes', 'customAttributes']);
+
+/**
+ * Stand-in values for customer details, derived from the real value so the same customer
+ * still matches across orders without the value itself being kept
+ */
+const SCRUBBERS = {
+  email: tag => `customer-${tag}@example.com`,
+  contact_email: tag => `customer-${tag}@example.com`,
+  payer_email: tag => `customer-${tag}@example.com`,
+  receipt_email: tag => `customer-${tag}@example.com`,
+  phone: tag => `+1555${parseInt(tag, 16).toString().padStart(7, '0').slice(-7)}`,
+  first_name: () => 'Test',
+  firstName: () => 'Test',
+  last_name: tag => `Customer ${tag.slice(0, 4)}`,
+  lastName: tag => `Customer ${tag.slice(0, 4)}`,
+  displayName: tag => `Test Customer ${tag.slice(0, 4)}`,
+  name: tag => `Test Customer ${tag.slice(0, 4)}`,
+  company: () => null,
+  address1: tag => `${parseInt(tag.slice(0, 3), 16)} Example Street`,
+  address2: () => null,
+  line1: tag => `${parseInt(tag.slice(0, 3), 16)} Example Street`,
+  line2: () => null,
+  zip: () => '00000',
+  postal_code: () => '00000',
+  latitude: () => null,
+  longitude: () => null,
+  credit_card_name: () => 'Test Customer',
+  browser_ip: () => null,
+  note: () => null
+};
+
+function scrubValue(field, value) {
+  if (value === null || value === undefined || value === '') return value;
+  const tag = crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 8);
+  return SCRUBBERS[field](tag);
+}
+
+/**
+ * Replace customer details (emails, phones, names, street addresses, notes, note attribute values,
+ * IPs) at any depth, including Stripe receipts in transactions.
+ * Order names (#1001) and line item names are left alone - names are only scrubbed inside addresses.
+ */
+function scrubPii(value, inAddress = false) {
+  if (Array.isArray(value)) return value.map(item => scrubPii(item, inAddress));
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => {
+    const isScrubbed = (inAddress ? ADDRESS_FIELDS : CUSTOMER_FIELDS).has(key);
+    if (isScrubbed && (fieldValue === null || typeof fieldValue !== 'object')) {
+      return [key, scrubValue(key, fieldValue)];
+    }
+    if (ATTRIBUTE_KEYS.has(key) && Array.isArray(fieldValue)) {
+      return [key, fieldValue.map(attribute => (attribute && typeof attribute === 'object' ? { ...attribute, value: null } : null))];
+    }
+    return [key, scrubPii(fieldValue, inAddress || ADDRESS_KEYS.has(key))];
+  }));
+}
+
+/**
+ * Fixture file name for a GraphQL call: the same query with the same variables gets the same file
+ */
+function graphqlFixtureKey(query, variables) {
+  return crypto.createHash('sha256')
+    .update(`${String(query).trim()}\n${JSON.stringify(variables || {})}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Whether a GraphQL call is the variant SKU lookup (nodes(ids:) with ProductVariant IDs)
+ */
+function isVariantLookup(query, variables) {
+  const ids = variables?.ids;
+  return /\bnodes\s*\(/.test(query || '')
+    && Array.isArray(ids)
+    && ids.every(id => String(id).startsWith('gid://shopify/ProductVariant/'));
+}
+
+/**
+ * The Admin API path of a request URL (https://shop/admin/api/2024-01/orders.json -> /orders.json),
+ * and its query params
+ */
+function parseAdminUrl(url) {
+  const parsed = new URL(url);
+  return {
+    origin: parsed.origin,
+    prefix: parsed.pathname.replace(/^(\/admin\/api\/[^/]+).*$/, '$1'),
+    path: parsed.pathname.replace(/^\/admin\/api\/[^/]+/, ''),
+    params: Object.fromEntries(parsed.searchParams)
+  };
+}
+
+/**
+ * Check scripted failures: an array of { endpoint, status, times, rate, retry_after }.
+ * endpoint is an endpoint label (/orders.json, /orders/:id/transactions.json, /graphql.json) or "*".
+ * A failure applies to the next `times` matching calls (default 1), or to a `rate` fraction of them.
+ */
+function parseFailures(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('scripted failures must be a JSON array');
+  }
+
+  return entries.map((entry, index) => {
+    const label = `Failure #${index + 1}`;
+    const { endpoint = '*', status, times, rate, retry_after: retryAfter } = entry || {};
+    if (!FAILURE_STATUSES.includes(status)) {
+      throw new Error(`${label} has an unsupported status ${JSON.stringify(status)} (expected one of ${FAILURE_STATUSES.join(', ')})`);
+    }
+    if (status === 'throttled' && endpoint !== '/graphql.json') {
+      throw new Error(`${label}: "throttled" only applies to endpoint "/graphql.json"`);
+    }
+    if (times !== undefined && rate !== undefined) {
+      throw new Error(`${label} can have "times" or "rate", not both`);
+    }
+    if (times !== undefined && !(Number.isInteger(times) && times > 0)) {
+      throw new Error(`${label} needs "times" as a positive whole number`);
+    }
+    if (rate !== undefined && !(typeof rate === 'number' && rate > 0 && rate <= 1)) {
+      throw new Error(`${label} needs "rate" between 0 and 1`);
+    }
+    return { endpoint, status, remaining: rate === undefined ? times ?? 1 : null, rate: rate ?? null, retryAfter: retryAfter ?? 2 };
+  });
+}
+
+/**
+ * Read scripted failures from a fixture directory's failures.json (none when it isn't there)
+ */
+function loadFailures(dir) {
+  const file = path.join(dir, 'failures.json');
+  if (!fs.existsSync(file)) return [];
+  return parseFailures(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * An axios-style error, as the Shopify client expects to see it
+ */
+function httpError(status, data, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+/**
+ * Order filters as Shopify applies them to /orders.json
+ */
+function matchesOrderFilters(order, filters) {
+  const { status = 'open', financial_status, created_at_min, created_at_max, updated_at_min } = filters;
+  const time = value => (value ? Date.parse(value) : NaN);
+
+  if (status === 'open' && (order.closed_at || order.cancelled_at)) return false;
+  if (status === 'closed' && !order.closed_at) return false;
+  if (status === 'cancelled' && !order.cancelled_at) return false;
+  if (financial_status && financial_status !== 'any' && order.financial_status !== financial_status) return false;
+  if (created_at_min && !(time(order.created_at) >= time(created_at_min))) return false;
+  if (created_at_max && !(time(order.created_at) <= time(created_at_max))) return false;
+  if (updated_at_min && !(time(order.updated_at) >= time(updated_at_min))) return false;
+  return true;
+}
+
+/**
+ * Mock httpClient: serves the fixtures in dir through the same responses, headers and errors as Shopify.
+ * Fixture files are re-read when they change, so they can be edited while the server runs.
+ */
+function createFixtureHttpClient({ dir, failures = loadFailures(dir) }) {
+  const cache = new Map();
+  const restBucket = { used: 0, updatedAt: Date.now() };
+  const graphqlBucket = { available: GRAPHQL_BUCKET.max, updatedAt: Date.now() };
+
+  function readFixture(name, fallback) {
+    const file = path.join(dir, name);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+
+    const cached = cache.get(file);
+    if (cached?.mtimeMs === stat.mtimeMs) return cached.data;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cache.set(file, { mtimeMs: stat.mtimeMs, data });
+    return data;
+  }
+
+  /**
+   * The scripted failure for this call, if any (each match uses up one of its `times`)
+   */
+  function takeFailure(endpoint) {
+    for (const failure of failures) {
+      if (failure.endpoint !== '*' && failure.endpoint !== endpoint) continue;
+      if (failure.rate !== null) {
+        if (Math.random() < failure.rate) return failure;
+      } else if (failure.remaining > 0) {
+        failure.remaining--;
+        return failure;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Charge one REST call to the leaky bucket; a full bucket is a 429, as on Shopify
+   */
+  function takeRestCall() {
+    const now = Date.now();
+    restBucket.used = Math.max(0, restBucket.used - ((now - restBucket.updatedAt) / 1000) * REST_BUCKET.leakRate);
+    restBucket.updatedAt = now;
+
+    if (restBucket.used + 1 > REST_BUCKET.max) {
+      throw httpError(429, { errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' }, {
+        'retry-after': '2.0',
+        'x-shopify-shop-api-call-limit': `${REST_BUCKET.max}/${REST_BUCKET.max}`
+      });
+    }
+    restBucket.used++;
+    return { 'x-shopify-shop-api-call-limit': `${Math.ceil(restBucket.used)}/${REST_BUCKET.max}` };
+  }
+
+  /**
+   * Charge a query's cost to the GraphQL bucket; returns the cost extension, or null when throttled
+   */
+  function takeGraphqlCost(cost) {
+    const now = Date.now();
+    graphqlBucket.available = Math.min(
+      GRAPHQL_BUCKET.max,
+      graphqlBucket.available + ((now - graphqlBucket.updatedAt) / 1000) * GRAPHQL_BUCKET.restoreRate
+    );
+    graphqlBucket.updatedAt = now;
+
+    const throttled = graphqlBucket.available < cost;
+    if (!throttled) graphqlBucket.available -= cost;
+    return {
+      throttled,
+      extensions: {
+        cost: {
+          requestedQueryCost: cost,
+          actualQueryCost: throttled ? null : cost,
+          throttleStatus: {
+            maximumAvailable: GRAPHQL_BUCKET.max,
+            currentlyAvailable: Math.floor(graphqlBucket.available),
+            restoreRate: GRAPHQL_BUCKET.restoreRate
+          }
+        }
+      }
+    };
+  }
+
+  function throttledResponse(extensions) {
+    return {
+      status: 200,
+      headers: {},
+      data: {
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED', documentation: 'https://shopify.dev/api/usage/rate-limits' } }],
+        extensions
+      }
+    };
+  }
+
+  function listOrders(url, params) {
+    const orders = readFixture('orders.json', { orders: [] }).orders;
+
+    // Like Shopify's page_info, the cursor carries the filters of the first page
+    let filters = params;
+    let offset = 0;
+    if (params.page_info) {
+      try {
+        ({ filters, offset } = JSON.parse(Buffer.from(params.page_info, 'base64url').toString('utf8')));
+      } catch {
+        throw httpError(400, { errors: { page_info: 'Invalid value.' } });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit) || 50, 1), MAX_PAGE_SIZE);
+    const matching = orders
+      .filter(order => matchesOrderFilters(order, filters))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)) || b.id - a.id);
+    const page = matching.slice(offset, offset + limit);
+
+    const headers = {};
+    if (offset + limit < matching.length) {
+      const cursor = Buffer.from(JSON.stringify({ filters, offset: offset + limit })).toString('base64url');
+      headers.link = `<${url.origin}${url.prefix}/orders.json?limit=${limit}&page_info=${cursor}>; rel="next"`;
+    }
+    return { data: { orders: page }, headers };
+  }
+
+  function handleRest(url) {
+    if (url.path === '/orders.json') {
+      return listOrders(url, url.params);
+    }
+
+    const orderMatch = url.path.match(/^\/orders\/(\d+)\.json$/);
+    if (orderMatch) {
+      const order = readFixture('orders.json', { orders: [] }).orders.find(o => String(o.id) === orderMatch[1]);
+      if (!order) throw httpError(404, { errors: 'Not Found' });
+      return { data: { order }, headers: {} };
+    }
+
+    const transactionsMatch = url.path.match(/^\/orders\/(\d+)\/transactions\.json$/);
+    if (transactionsMatch) {
+      const transactions = readFixture('transactions.json', {})[transactionsMatch[1]] || [];
+      return { data: { transactions }, headers: {} };
+    }
+
+    throw httpError(404, { errors: 'Not Found' });
+  }
+
+  function handleGraphql({ query, variables }) {
+    if (isVariantLookup(query, variables)) {
+      const cost = takeGraphqlCost(1 + variables.ids.length);
+      if (cost.throttled) return throttledResponse(cost.extensions);
+
+      const variants = readFixture('variants.json', {});
+      const nodes = variables.ids.map(id => {
+        const variantId = String(id).split('/').pop();
+        const variant = variants[variantId];
+        return variant ? { legacyResourceId: variantId, sku: variant.sku ?? null, barcode: variant.barcode ?? null } : null;
+      });
+      return { status: 200, headers: {}, data: { data: { nodes }, extensions: cost.extensions } };
+    }
+
+    const key = graphqlFixtureKey(query, variables);
+    const recorded = readFixture(path.join('graphql', `${key}.json`), null);
+    if (!recorded) {
+      return {
+        status: 200,
+        headers: {},
+        data: { errors: [{ message: `No fixture recorded for this query (graphql/${key}.json) - record it with SHOPIFY_MODE=record` }] }
+      };
+    }
+
+    const { response } = recorded;
+    const cost = takeGraphqlCost(response.extensions?.cost?.requestedQueryCost ?? DEFAULT_QUERY_COST);
+    if (cost.throttled) return throttledResponse(cost.extensions);
+    return { status: 200, headers: {}, data: { ...response, extensions: { ...response.extensions, ...cost.extensions } } };
+  }
+
+  async function request({ method, url: requestUrl, data }) {
+    const url = parseAdminUrl(requestUrl);
+    const endpoint = endpointLabel(url.path);
+
+    const failure = takeFailure(endpoint);
+    if (failure?.status === 'network_error') {
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    }
+    if (failure?.status === 'throttled') {
+      return throttledResponse(takeGraphqlCost(0).extensions);
+    }
+    if (failure) {
+      throw httpError(failure.status, { errors: failure.status === 429 ? 'Too Many Requests' : 'Internal Server Error' }, {
+        ...(failure.status === 429 && { 'retry-after': String(failure.retryAfter) })
+      });
+    }
+
+    if (method === 'post' && url.path === '/graphql.json') {
+      return handleGraphql(data || {});
+    }
+    if (method !== 'get') {
+      throw httpError(404, { errors: 'Not Found' });
+    }
+
+    const callLimitHeaders = takeRestCall();
+    const response = handleRest(url);
+    return { status: 200, data: response.data, headers: { ...response.headers, ...callLimitHeaders } };
+  }
+
+  return { request };
+}
+
+/**
+ * Record httpClient: calls Shopify through httpClient and saves successful responses for orders,
+ * transactions, variant lookups and GraphQL queries into dir, scrubbed of customer details.
+ * Recording never fails a request - a fixture that can't be written is only logged.
+ */
+function createRecordingHttpClient({ dir, httpClient = axios }) {
+  const orders = createJsonStore(path.join(dir, 'orders.json'), { orders: [] });
+  const transactions = createJsonStore(path.join(dir, 'transactions.json'), {});
+  const variants = createJsonStore(path.join(dir, 'variants.json'), {});
+
+  function saveOrders(recordedOrders) {
+    return orders.update(fixture => {
+      const byId = new Map(fixture.orders.map(order => [order.id, order]));
+      recordedOrders.forEach(order => byId.set(order.id, scrubPii(order)));
+      fixture.orders = [...byId.values()];
+    });
+  }
+
+  function record({ method, url: requestUrl, data: requestBody }, response) {
+    const { path: apiPath } = parseAdminUrl(requestUrl);
+
+    if (method === 'get' && apiPath === '/orders.json') {
+      return saveOrders(response.data.orders || []);
+    }
+    if (method === 'get' && /^\/orders\/\d+\.json$/.test(apiPath) && response.data.order) {
+      return saveOrders([response.data.order]);
+    }
+
+    const transactionsMatch = apiPath.match(/^\/orders\/(\d+)\/transactions\.json$/);
+    if (method === 'get' && transactionsMatch) {
+      return transactions.update(fixture => {
+        fixture[transactionsMatch[1]] = scrubPii(response.data.transactions || []);
+      });
+    }
+
+    if (method === 'post' && apiPath === '/graphql.json') {
+      const { query, variables } = requestBody || {};
+      if (isVariantLookup(query, variables)) {
+        return variants.update(fixture => {
+          for (const node of response.data?.data?.nodes || []) {
+            if (node?.legacyResourceId) fixture[node.legacyResourceId] = { sku: node.sku, barcode: node.barcode };
+          }
+        });
+      }
+      // Throttled responses are the stand-in's job to simulate, not something to replay
+      if (response.data?.errors?.some?.(e => e.extensions?.code === 'THROTTLED')) return null;
+      const file = path.join(dir, 'graphql', `${graphqlFixtureKey(query, variables)}.json`);
+      return createJsonStore(file).update(fixture => {
+        Object.assign(fixture, { query, variables: variables || {}, response: scrubPii(response.data) });
+      });
+    }
+    return null;
+  }
+
+  async function request(config) {
+    const response = await httpClient.request(config);
+    try {
+      await record(config, response);
+    } catch (error) {
+      logger.error('Failed to record Shopify fixture', { dir, error });
+    }
+    return response;
+  }
+
+  return { request };
+}
+
+module.exports = {
+  scrubPii,
+  graphqlFixtureKey,
+  parseFailures,
+  loadFailures,
+  createFixtureHttpClient,
+  createRecordingHttpClient
+};
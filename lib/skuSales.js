@@ -0,0 +1,231 @@
+/**
+ * SKU sales report
+ * Units sold, gross revenue, discounts and refunds per SKU (or barcode), from enriched line items -
+ * so bundle products count under the SKU recovered from their variant. Bundles can be expanded into
+ * their component SKUs with a local bundle composition mapping. Line items that still have no SKU
+ * are listed so the catalogue can be fixed.
+ * Amounts are in the shop currency, summed as integer thousandths.
+ */
+
+const fs = require('fs');
+const { toMinorUnits, fromMinorUnits } = require('./paymentSummary');
+
+// What the report can be keyed on
+const SKU_SALES_GROUPS = ['sku', 'barcode'];
+
+/**
+ * Check a bundle composition mapping ({ "BUNDLE-SKU": [{ sku, quantity, weight }] }) and index it
+ * by bundle SKU. quantity is units of the component per bundle (default 1); weight is the component's
+ * share of the bundle's revenue (default: its quantity).
+ */
+function parseBundleMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('the bundle mapping must be a JSON object of bundle SKU -> components');
+  }
+
+  const bundles = new Map();
+  for (const [bundleSku, components] of Object.entries(mapping)) {
+    const label = `Bundle "${bundleSku}"`;
+    if (!Array.isArray(components) || components.length === 0) {
+      throw new Error(`${label} needs a non-empty array of components`);
+    }
+
+    bundles.set(bundleSku, components.map((component, index) => {
+      const { sku, quantity = 1, weight = quantity } = component || {};
+      if (typeof sku !== 'string' || !sku.trim()) {
+        throw new Error(`${label} component #${index + 1} needs a "sku"`);
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new Error(`${label} component "${sku}" needs a whole "quantity" of at least 1`);
+      }
+      if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new Error(`${label} component "${sku}" needs a positive "weight"`);
+      }
+      return { sku: sku.trim(), quantity, weight };
+    }));
+  }
+
+  // Components are counted as sold, so a bundle inside a bundle would need expanding twice
+  for (const [bundleSku, components] of bundles) {
+    const nested = components.find(component => bundles.has(component.sku));
+    if (nested) throw new Error(`Bundle "${bundleSku}" contains another bundle "${nested.sku}"`);
+  }
+  return bundles;
+}
+
+/**
+ * Load the bundle mapping from a JSON file (empty when no file is configured)
+ */
+function loadBundleMapping(file) {
+  if (!file) return new Map();
+  return parseBundleMapping(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Split thousandths by weight; the shares add up to the total exactly
+ */
+function splitAmount(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    const share = index === weights.length - 1 ? total - allocated : Math.round(total * weight / weightSum);
+    allocated += share;
+    return share;
+  });
+}
+
+/**
+ * A line item's amount field in the shop currency: *_set.shop_money when there, else the plain field
+ */
+const shopAmount = (value, set) => toMinorUnits(set?.shop_money?.amount ?? value ?? 0);
+
+/**
+ * Discounts on a line item: its discount allocations (order-level discounts included), or total_discount
+ */
+function lineItemDiscount(item) {
+  if (Array.isArray(item.discount_allocations) && item.discount_allocations.length > 0) {
+    return item.discount_allocations.reduce((sum, allocation) => sum + shopAmount(allocation.amount, allocation.amount_set), 0);
+  }
+  return shopAmount(item.total_discount, item.total_discount_set);
+}
+
+/**
+ * Refunded quantity and amount per line item ID, from the order's refunds
+ */
+function refundedLineItems(order) {
+  const refunded = new Map();
+  for (const refund of order.refunds || []) {
+    for (const refundItem of refund.refund_line_items || []) {
+      const entry = refunded.get(refundItem.line_item_id) || { quantity: 0, amount: 0 };
+      entry.quantity += refundItem.quantity || 0;
+      entry.amount += shopAmount(refundItem.subtotal, refundItem.subtotal_set);
+      refunded.set(refundItem.line_item_id, entry);
+    }
+  }
+  return refunded;
+}
+
+function addToRow(rows, key, fields, figures, orderId) {
+  if (!rows.has(key)) {
+    rows.set(key, { ...fields, orderIds: new Set(), units: 0, gross: 0, discounts: 0, refundedUnits: 0, refunded: 0 });
+  }
+  const row = rows.get(key);
+  row.orderIds.add(orderId);
+  row.units += figures.units;
+  row.gross += figures.gross;
+  row.discounts += figures.discounts;
+  row.refundedUnits += figures.refundedUnits;
+  row.refunded += figures.refunded;
+}
+
+function formatRows(rows, sortKey) {
+  return [...rows.values()]
+    .sort((a, b) => b.gross - a.gross || String(a[sortKey]).localeCompare(String(b[sortKey])))
+    .map(({ orderIds, units, gross, discounts, refundedUnits, refunded, ...fields }) => ({
+      ...fields,
+      order_count: orderIds.size,
+      units_sold: units,
+      refunded_quantity: refundedUnits,
+      net_units: units - refundedUnits,
+      gross_revenue: fromMinorUnits(gross),
+      discounts: fromMinorUnits(discounts),
+      refunded_amount: fromMinorUnits(refunded),
+      net_revenue: fromMinorUnits(gross - discounts - refunded)
+    }));
+}
+
+/**
+ * Summarise enriched orders' line items into sales per SKU or barcode (groupBy), most revenue first.
+ * With expandBundles, a bundle line item counts as its components: units are multiplied by each
+ * component's quantity and amounts split by weight. Bundle sales are also listed as sold.
+ * Cancelled orders are left out.
+ */
+function summarizeSkuSales(orders, { groupBy = 'sku', bundles = new Map(), expandBundles = false } = {}) {
+  const rows = new Map();
+  const bundleRows = new Map();
+  const unidentifiedItems = [];
+  let cancelledOrders = 0;
+  let orderCount = 0;
+
+  for (const order of orders) {
+    if (order.cancelled_at) {
+      cancelledOrders++;
+      continue;
+    }
+    orderCount++;
+
+    const currency = order.shop_money?.currency || order.currency || null;
+    const refunded = refundedLineItems(order);
+
+    for (const item of order.line_items || []) {
+      const itemRefund = refunded.get(item.id) || { quantity: 0, amount: 0 };
+      const figures = {
+        units: item.quantity || 0,
+        gross: shopAmount(item.price, item.price_set) * (item.quantity || 0),
+        discounts: lineItemDiscount(item),
+        refundedUnits: itemRefund.quantity,
+        refunded: itemRefund.amount
+      };
+
+      const code = item[groupBy] ? String(item[groupBy]).trim() : '';
+      if (!code) {
+        unidentifiedItems.push({
+          missing: groupBy,
+          order_id: order.id,
+          order_name: order.name,
+          created_at: order.created_at,
+          line_item_id: item.id,
+          product_id: item.product_id ?? null,
+          variant_id: item.variant_id ?? null,
+          title: item.title ?? item.name ?? null,
+          variant_title: item.variant_title ?? null,
+          sku: item.sku ?? null,
+          quantity: figures.units
+        });
+        continue;
+      }
+
+      const components = expandBundles && bundles.get(code);
+      if (!components) {
+        addToRow(rows, `${code}|${currency}`, { [groupBy]: code, currency }, figures, order.id);
+        continue;
+      }
+
+      addToRow(bundleRows, `${code}|${currency}`, { bundle_sku: code, currency }, figures, order.id);
+      const weights = components.map(component => component.weight);
+      const shares = {
+        gross: splitAmount(figures.gross, weights),
+        discounts: splitAmount(figures.discounts, weights),
+        refunded: splitAmount(figures.refunded, weights)
+      };
+      components.forEach((component, index) => {
+        addToRow(rows, `${component.sku}|${currency}`, { [groupBy]: component.sku, currency }, {
+          units: figures.units * component.quantity,
+          gross: shares.gross[index],
+          discounts: shares.discounts[index],
+          refundedUnits: figures.refundedUnits * component.quantity,
+          refunded: shares.refunded[index]
+        }, order.id);
+      });
+    }
+  }
+
+  return {
+    group_by: groupBy,
+    expand_bundles: expandBundles,
+    order_count: orderCount,
+    cancelled_order_count: cancelledOrders,
+    items: formatRows(rows, groupBy),
+    ...(expandBundles && { bundles: formatRows(bundleRows, 'bundle_sku') }),
+    unidentified_item_count: unidentifiedItems.length,
+    unidentified_items: unidentifiedItems
+  };
+}
+
+module.exports = {
+  SKU_SALES_GROUPS,
+  parseBundleMapping,
+  loadBundleMapping,
+  splitAmount,
+  summarizeSkuSales
+};
@@ -0,0 +1,104 @@
+/**
+ * Store registry
+ * One deployment can serve several Shopify stores (e.g. the main store and KSA). Each store has
+ * its own domain, Admin API token, Google Sheets customer source and currency. App proxy requests
+ * carry the store's myshopify domain in the `shop` param, webhooks in X-Shopify-Shop-Domain.
+ * Without a registry the single store from SHOPIFY_STORE_DOMAIN / SHOPIFY_ACCESS_TOKEN is used.
+ */
+
+const fs = require('fs');
+
+// Store IDs name data directories, so keep them to something safe in a path
+const STORE_ID = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// ISO 4217 currency code
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Normalize a shop domain for lookups (https://Foo.myshopify.com/ -> foo.myshopify.com)
+ */
+function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Check one registry entry and fill in its defaults
+ */
+function parseStoreEntry(entry, index, defaults) {
+  const label = entry?.id ? `Store "${entry.id}"` : `Store #${index + 1}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!STORE_ID.test(entry.id || '')) {
+    throw new Error(`${label} needs an "id" of letters, numbers, - and _`);
+  }
+  if (!entry.domain || !entry.access_token) {
+    throw new Error(`${label} needs "domain" and "access_token"`);
+  }
+  if (entry.currency !== undefined && !CURRENCY_CODE.test(entry.currency)) {
+    throw new Error(`${label} has an invalid currency "${entry.currency}" (expected a code such as SAR)`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    domain: normalizeDomain(entry.domain),
+    accessToken: entry.access_token,
+    currency: entry.currency || null,
+    apiSecret: entry.api_secret || defaults.apiSecret || null,
+    // A store with its own app secret signs webhooks with it too, unless it has a separate webhook secret
+    webhookSecret: entry.webhook_secret || entry.api_secret || defaults.webhookSecret || null,
+    sheetsId: entry.sheets_id || null,
+    sheetsTab: entry.sheets_tab || null,
+    sheetsColumnMap: entry.sheets_column_map || null,
+    reportSheetId: entry.report_sheet_id || entry.sheets_id || null
+  };
+}
+
+/**
+ * Read the store registry: STORES_FILE (path to a JSON file) or STORES_JSON (the JSON itself),
+ * a non-empty array of stores. Secrets missing from an entry fall back to the shared ones.
+ * Returns null when neither is set.
+ */
+function loadStoreConfigs({ file, json, defaults = {} }) {
+  if (!file && !json) return null;
+
+  const stores = JSON.parse(file ? fs.readFileSync(file, 'utf8') : json);
+  if (!Array.isArray(stores) || stores.length === 0) {
+    throw new Error('the store registry must be a non-empty JSON array');
+  }
+
+  const configs = stores.map((entry, index) => parseStoreEntry(entry, index, defaults));
+  for (const key of ['id', 'domain']) {
+    const seen = new Set();
+    for (const config of configs) {
+      const value = key === 'id' ? config.id.toLowerCase() : config.domain;
+      if (seen.has(value)) throw new Error(`Duplicate store ${key} "${config[key]}"`);
+      seen.add(value);
+    }
+  }
+  return configs;
+}
+
+/**
+ * Look up stores by domain or ID. The first store is the default, used when a request
+ * doesn't say which store it is for (local development without the app proxy).
+ */
+function createStoreRegistry(stores) {
+  const byDomain = new Map(stores.map(store => [store.domain, store]));
+  const byId = new Map(stores.map(store => [store.id.toLowerCase(), store]));
+
+  return {
+    stores,
+    defaultStore: stores[0],
+    isMultiStore: stores.length > 1,
+    findByDomain: domain => byDomain.get(normalizeDomain(domain)) || null,
+    findById: id => byId.get(String(id || '').toLowerCase()) || null
+  };
+}
+
+module.exports = {
+  normalizeDomain,
+  loadStoreConfigs,
+  createStoreRegistry
+};
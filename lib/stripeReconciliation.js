@@ -0,0 +1,289 @@
+/**
+ * Stripe payout reconciliation
+ * Joins a Stripe balance-transactions / payout reconciliation CSV export to Shopify order
+ * transactions by charge ID (Shopify keeps the Stripe ch_/pi_ ID in `authorization`).
+ * Dispute rows (chargebacks and their reversals) are matched to orders the same way; Shopify's
+ * own transactions never show them.
+ */
+
+const { parseCsv, normalizeHeader } = require('./csv');
+const { toMinorUnits, fromMinorUnits, classifyGateway } = require('./paymentSummary');
+
+// Candidate column names (normalised) across Stripe's export formats, in order of preference
+const STRIPE_COLUMNS = {
+  balanceTransactionId: ['balance_transaction_id', 'id'],
+  chargeId: ['charge_id', 'source_id', 'source'],
+  paymentIntentId: ['payment_intent_id', 'payment_intent'],
+  type: ['reporting_category', 'type'],
+  amount: ['gross', 'amount'],
+  fee: ['fee'],
+  net: ['net'],
+  currency: ['currency'],
+  payoutId: ['automatic_payout_id', 'payout_id', 'payout', 'transfer'],
+  created: ['created_utc', 'created']
+};
+
+// Row types that represent a customer payment (refunds, payouts, adjustments are skipped)
+const CHARGE_TYPES = ['charge', 'payment'];
+
+// Row types for a chargeback (money taken back from the balance) and for a won dispute returning it
+const DISPUTE_TYPES = ['dispute', 'dispute_reversal'];
+
+/**
+ * Milliseconds for a Stripe created value. Stripe writes UTC without a zone ("2024-01-20 10:00:00"),
+ * which would otherwise be read as local time. NaN when it can't be read.
+ */
+function parseStripeTime(created) {
+  const text = String(created || '').trim().replace(' ', 'T');
+  if (!text) return NaN;
+  return Date.parse(/(Z|[+-]\d\d:?\d\d)$/i.test(text) || !text.includes('T') ? text : `${text}Z`);
+}
+
+/**
+ * Parse a Stripe CSV export into charge records and dispute records. Dispute amounts keep Stripe's
+ * sign: negative for a chargeback, positive for a reversal. period is the first and last created
+ * time of any row in the export (null without a created column), the window the export covers.
+ */
+function parseStripeExport(text) {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) {
+    throw new Error('Stripe export is empty');
+  }
+
+  const headers = headerRow.map(normalizeHeader);
+  const columnIndex = {};
+  for (const [field, candidates] of Object.entries(STRIPE_COLUMNS)) {
+    const name = candidates.find(candidate => headers.includes(candidate));
+    columnIndex[field] = name ? headers.indexOf(name) : -1;
+  }
+
+  if (columnIndex.chargeId === -1 && columnIndex.paymentIntentId === -1) {
+    throw new Error('Stripe export has no charge ID column (expected one of: charge_id, source_id, source, payment_intent_id)');
+  }
+  if (columnIndex.amount === -1) {
+    throw new Error('Stripe export has no amount column (expected gross or amount)');
+  }
+
+  const value = (row, field) => (columnIndex[field] === -1 ? '' : (row[columnIndex[field]] || '').trim());
+  // A malformed amount fails the upload rather than reconciling as 0 (row 1 is the header)
+  const checkAmounts = (row, rowNumber) => {
+    for (const field of ['amount', 'fee', 'net']) {
+      const amount = value(row, field);
+      if (field !== 'amount' && !amount) continue;
+      try {
+        toMinorUnits(amount);
+      } catch {
+        throw new Error(`Row ${rowNumber} has an invalid ${field} "${amount}"`);
+      }
+    }
+  };
+  const charges = [];
+  const disputes = [];
+  let skipped = 0;
+  let from = Infinity;
+  let to = -Infinity;
+
+  for (const [index, row] of dataRows.entries()) {
+    const createdMs = parseStripeTime(value(row, 'created'));
+    if (!Number.isNaN(createdMs)) {
+      from = Math.min(from, createdMs);
+      to = Math.max(to, createdMs);
+    }
+
+    const type = value(row, 'type').toLowerCase();
+    const chargeId = value(row, 'chargeId');
+    const paymentIntentId = value(row, 'paymentIntentId');
+
+    if (DISPUTE_TYPES.includes(type) && (chargeId || paymentIntentId)) {
+      checkAmounts(row, index + 2);
+      const amount = value(row, 'amount');
+      const created = value(row, 'created') || null;
+      disputes.push({
+        // Re-uploads are recognised by balance transaction ID; older exports without one get a stand-in
+        id: value(row, 'balanceTransactionId') || `${type}:${chargeId || paymentIntentId}:${amount}:${created}`,
+        category: type,
+        charge_id: chargeId || null,
+        payment_intent_id: paymentIntentId || null,
+        amount,
+        fee: value(row, 'fee') || '0',
+        currency: value(row, 'currency').toUpperCase() || null,
+        created
+      });
+      continue;
+    }
+
+    if ((type && !CHARGE_TYPES.includes(type)) || (!chargeId && !paymentIntentId)) {
+      skipped++;
+      continue;
+    }
+
+    checkAmounts(row, index + 2);
+    charges.push({
+      charge_id: chargeId || null,
+      payment_intent_id: paymentIntentId || null,
+      amount: value(row, 'amount'),
+      fee: value(row, 'fee') || '0',
+      net: value(row, 'net') || null,
+      currency: value(row, 'currency').toUpperCase() || null,
+      payout_id: value(row, 'payoutId') || null,
+      created: value(row, 'created') || null
+    });
+  }
+
+  const period = from <= to ? { from: new Date(from).toISOString(), to: new Date(to).toISOString() } : null;
+  return { charges, disputes, skipped, period };
+}
+
+/**
+ * Successful Stripe payment transactions from enriched orders
+ */
+function getShopifyStripeTransactions(orders) {
+  const transactions = [];
+  for (const order of orders) {
+    for (const t of order.transactions || []) {
+      if (t.status !== 'success' || !['sale', 'capture'].includes(t.kind)) continue;
+      if (classifyGateway(t.gateway) !== 'stripe' || !t.authorization) continue;
+
+      transactions.push({
+        order_id: order.id,
+        order_name: order.name,
+        transaction_id: t.id,
+        charge_id: t.authorization,
+        amount: t.amount,
+        currency: (t.currency || order.currency || '').toUpperCase()
+      });
+    }
+  }
+  return transactions;
+}
+
+/**
+ * Disputes matched to the Shopify order whose charge they are on ({ ...dispute, order_id, order_name,
+ * transaction_id }), and those matching no order
+ */
+function matchStripeDisputes(transactions, stripeDisputes) {
+  const transactionById = new Map(transactions.map(transaction => [transaction.charge_id, transaction]));
+  const matched = [];
+  const unmatched = [];
+
+  for (const dispute of stripeDisputes) {
+    const transaction = transactionById.get(dispute.charge_id) || transactionById.get(dispute.payment_intent_id);
+    if (!transaction) {
+      unmatched.push(dispute);
+      continue;
+    }
+    matched.push({
+      ...dispute,
+      order_id: transaction.order_id,
+      order_name: transaction.order_name,
+      transaction_id: transaction.transaction_id
+    });
+  }
+
+  return { matched, unmatched };
+}
+
+/**
+ * Reconcile Shopify Stripe transactions against parsed Stripe charges and disputes
+ */
+function reconcileStripe(orders, stripeCharges, stripeDisputes = []) {
+  // Index Stripe rows by both charge and payment intent IDs - Shopify may store either
+  const stripeById = new Map();
+  for (const charge of stripeCharges) {
+    if (charge.charge_id) stripeById.set(charge.charge_id, charge);
+    if (charge.payment_intent_id) stripeById.set(charge.payment_intent_id, charge);
+  }
+
+  const matched = [];
+  const mismatches = [];
+  const missingFromStripe = [];
+  const matchedCharges = new Set();
+  const totals = {};
+  const payouts = {};
+
+  const shopifyTransactions = getShopifyStripeTransactions(orders);
+  for (const transaction of shopifyTransactions) {
+    const charge = stripeById.get(transaction.charge_id);
+    if (!charge) {
+      missingFromStripe.push(transaction);
+      continue;
+    }
+    matchedCharges.add(charge);
+
+    const currencyMatches = !charge.currency || charge.currency === transaction.currency;
+    const amountMatches = toMinorUnits(charge.amount) === toMinorUnits(transaction.amount);
+    const fee = toMinorUnits(charge.fee);
+    const net = charge.net !== null ? toMinorUnits(charge.net) : toMinorUnits(charge.amount) - fee;
+
+    const match = {
+      ...transaction,
+      stripe_amount: fromMinorUnits(toMinorUnits(charge.amount)),
+      stripe_currency: charge.currency,
+      fee: fromMinorUnits(fee),
+      net: fromMinorUnits(net),
+      payout_id: charge.payout_id
+    };
+    matched.push(match);
+
+    if (!currencyMatches || !amountMatches) {
+      mismatches.push({
+        ...match,
+        reason: !currencyMatches ? 'currency' : 'amount',
+        difference: currencyMatches
+          ? fromMinorUnits(toMinorUnits(charge.amount) - toMinorUnits(transaction.amount))
+          : null
+      });
+    }
+
+    const currency = charge.currency || transaction.currency;
+    totals[currency] = totals[currency] || { gross: 0, fee: 0, net: 0, count: 0 };
+    totals[currency].gross += toMinorUnits(charge.amount);
+    totals[currency].fee += fee;
+    totals[currency].net += net;
+    totals[currency].count++;
+
+    const payoutKey = `${charge.payout_id || 'unpaid'}|${currency}`;
+    payouts[payoutKey] = payouts[payoutKey] || { payout_id: charge.payout_id, currency, net: 0, count: 0 };
+    payouts[payoutKey].net += net;
+    payouts[payoutKey].count++;
+  }
+
+  const missingFromShopify = stripeCharges.filter(charge => !matchedCharges.has(charge));
+  const disputes = matchStripeDisputes(shopifyTransactions, stripeDisputes);
+
+  return {
+    summary: {
+      matched: matched.length,
+      mismatched: mismatches.length,
+      missing_from_stripe: missingFromStripe.length,
+      missing_from_shopify: missingFromShopify.length,
+      disputes: disputes.matched.length,
+      unmatched_disputes: disputes.unmatched.length,
+      totals: Object.entries(totals).map(([currency, t]) => ({
+        currency,
+        charge_count: t.count,
+        gross: fromMinorUnits(t.gross),
+        fees: fromMinorUnits(t.fee),
+        net: fromMinorUnits(t.net)
+      }))
+    },
+    payouts: Object.values(payouts).map(p => ({
+      payout_id: p.payout_id,
+      currency: p.currency,
+      charge_count: p.count,
+      net: fromMinorUnits(p.net)
+    })),
+    matched,
+    mismatches,
+    missing_from_stripe: missingFromStripe,
+    missing_from_shopify: missingFromShopify,
+    disputes: disputes.matched,
+    unmatched_disputes: disputes.unmatched
+  };
+}
+
+module.exports = {
+  parseStripeTime,
+  parseStripeExport,
+  reconcileStripe
+};
@@ -0,0 +1,144 @@
+/**
+ * Persistent variant SKU/barcode cache (SQLite)
+ * Variants rarely change, so lookups are kept across restarts and only re-fetched after the TTL.
+ * Variants Shopify no longer has are cached too (sku/barcode null) so they aren't looked up on every report.
+ * Unknown variants are looked up in bulk with a GraphQL `nodes` query.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { logger } = require('./logger');
+
+// GraphQL `nodes` accepts up to 250 IDs; 100 keeps each query's cost well under the bucket size
+const VARIANT_LOOKUP_BATCH_SIZE = 100;
+
+const VARIANTS_QUERY = `
+  query VariantSkus($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        legacyResourceId
+        sku
+        barcode
+      }
+    }
+  }
+`;
+
+function createVariantCache(filePath, { ttlMs }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS variants (
+      id INTEGER PRIMARY KEY,
+      sku TEXT,
+      barcode TEXT,
+      fetched_at INTEGER NOT NULL
+    )
+  `);
+
+  const selectVariant = db.prepare('SELECT id, sku, barcode FROM variants WHERE id = ? AND fetched_at >= ?');
+  const upsertVariant = db.prepare(`
+    INSERT INTO variants (id, sku, barcode, fetched_at) VALUES (@id, @sku, @barcode, @fetched_at)
+    ON CONFLICT (id) DO UPDATE SET sku = excluded.sku, barcode = excluded.barcode, fetched_at = excluded.fetched_at
+  `);
+  const countVariants = db.prepare('SELECT COUNT(*) AS count FROM variants');
+  const countFresh = db.prepare('SELECT COUNT(*) AS count FROM variants WHERE fetched_at >= ?');
+
+  let hits = 0;
+  let misses = 0;
+
+  /**
+   * Fresh cache entries for the given variant IDs, as a Map of id -> { id, sku, barcode }
+   */
+  function getMany(variantIds) {
+    const freshSince = Date.now() - ttlMs;
+    const found = new Map();
+
+    for (const id of variantIds) {
+      const row = selectVariant.get(id, freshSince);
+      if (row) {
+        found.set(id, row);
+        hits++;
+      } else {
+        misses++;
+      }
+    }
+    return found;
+  }
+
+  const setMany = db.transaction(entries => {
+    const fetchedAt = Date.now();
+    for (const { id, sku, barcode } of entries) {
+      upsertVariant.run({ id, sku: sku || null, barcode: barcode || null, fetched_at: fetchedAt });
+    }
+  });
+
+  function stats() {
+    return {
+      entries: countVariants.get().count,
+      fresh_entries: countFresh.get(Date.now() - ttlMs).count,
+      ttl_hours: ttlMs / (60 * 60 * 1000),
+      hits,
+      misses
+    };
+  }
+
+  return { getMany, setMany, stats, close: () => db.close() };
+}
+
+/**
+ * Fetch SKU and barcode for a batch of variants in one GraphQL `nodes` query (shopify is a store's
+ * Admin API client). Returns a Map of variant ID -> { sku, barcode }; deleted variants, and IDs that
+ * aren't variants, are absent.
+ */
+async function fetchVariantsBulk(shopify, variantIds) {
+  const result = await shopify.graphql(VARIANTS_QUERY, {
+    ids: variantIds.map(id => `gid://shopify/ProductVariant/${id}`)
+  });
+
+  if (result.errors) {
+    throw new Error(result.errors.map(e => e.message).join('; '));
+  }
+
+  const variants = new Map();
+  for (const node of result.data.nodes) {
+    if (node?.legacyResourceId) {
+      variants.set(Number(node.legacyResourceId), { sku: node.sku, barcode: node.barcode });
+    }
+  }
+  return variants;
+}
+
+/**
+ * Resolve variant SKU/barcodes from the cache, looking up only unknown variants in bulk.
+ * Returns a Map of variant ID -> { id, sku, barcode }. A batch whose lookup fails is left out
+ * (and not cached), so it is tried again next time.
+ */
+async function lookupVariants(cache, shopify, variantIds) {
+  const ids = [...new Set(variantIds.filter(Boolean))];
+  const variants = cache.getMany(ids);
+  const missing = ids.filter(id => !variants.has(id));
+
+  if (missing.length > 0) {
+    logger.debug('Looking up variants in Shopify', { missing: missing.length, cached: variants.size });
+  }
+
+  for (let i = 0; i < missing.length; i += VARIANT_LOOKUP_BATCH_SIZE) {
+    const batch = missing.slice(i, i + VARIANT_LOOKUP_BATCH_SIZE);
+    try {
+      const fetched = await fetchVariantsBulk(shopify, batch);
+      // Variants Shopify didn't return were deleted - cache them as empty so they aren't looked up again
+      const entries = batch.map(id => ({ id, ...(fetched.get(id) || { sku: null, barcode: null }) }));
+      cache.setMany(entries);
+      entries.forEach(entry => variants.set(entry.id, entry));
+    } catch (error) {
+      logger.error('Error looking up variants', { variant_count: batch.length, error });
+    }
+  }
+
+  return variants;
+}
+
+module.exports = { VARIANT_LOOKUP_BATCH_SIZE, createVariantCache, lookupVariants };
@@ -0,0 +1,20 @@
+/**
+ * Shopify webhook HMAC verification
+ * Shopify signs each webhook body with the app secret and sends the base64 digest
+ * in the X-Shopify-Hmac-Sha256 header.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check a webhook's raw body against its X-Shopify-Hmac-Sha256 header in constant time
+ */
+function isValidWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const provided = Buffer.from(hmacHeader, 'utf8');
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('base64'), 'utf8');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = { isValidWebhookHmac };
@@ -4,11 +4,73 @@
  * Version: 1.1.0 - With shipping scope support
  */
 
+// Load .env first - some modules read their settings (e.g. LOG_LEVEL) when they are required
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { finished } = require('stream/promises');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
-const { google } = require('googleapis');
-require('dotenv').config();
+const multer = require('multer');
+const { requireProxySignature } = require('./lib/appProxySignature');
+const { isValidWebhookHmac } = require('./lib/webhookSignature');
+const {
+  EXPORT_FORMATS,
+  orderToRows,
+  orderToReport,
+  reportFilename,
+  createRowWriter,
+  createReportWriter
+} = require('./lib/reportExport');
+const { SUMMARY_SHEET_COLUMNS, summarizePayments, summaryToSheetRows } = require('./lib/paymentSummary');
+const { parseStripeExport, parseStripeTime, reconcileStripe } = require('./lib/stripeReconciliation');
+const { createJsonStore } = require('./lib/jsonStore');
+const { InvalidCursorError, createOrderStore } = require('./lib/orderStore');
+const { createVariantCache, lookupVariants } = require('./lib/variantCache');
+const { createShopifyClient } = require('./lib/shopifyClient');
+const { parseFailures, createFixtureHttpClient, createRecordingHttpClient } = require('./lib/shopifyFixtures');
+const { parseColumnMapping, importCustomerRows, importCustomerSheet, diffCustomerData } = require('./lib/customerSheetImport');
+const { WRITE_MODES, tabRange, createServiceAccountAuth, createSheetsClient } = require('./lib/googleSheets');
+const { loadFixtureSheetsApi } = require('./lib/sheetsFixtures');
+const {
+  getOperationTypes,
+  isWriteOperation,
+  hashQuery,
+  queryCostKey,
+  createQueryCostCache,
+  loadPersistedQueries,
+  statusForGraphqlErrors
+} = require('./lib/graphqlGuard');
+const { createAuditLog } = require('./lib/auditLog');
+const { JOB_STATUS, createJobQueue } = require('./lib/reportJobs');
+const { normalizeDomain, loadStoreConfigs, createStoreRegistry } = require('./lib/storeRegistry');
+const { loadRateTable, normalizeOrderMoney } = require('./lib/currency');
+const { logger, withLogContext, addLogContext } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const {
+  ROLES,
+  loadApiKeys,
+  resolveAccess,
+  maskOrder,
+  requireFullAccess,
+  requireRole,
+  parseOrderView
+} = require('./lib/accessControl');
+const { buildPaymentLedger, parseLedgerFilters, matchesLedgerFilters } = require('./lib/paymentLedger');
+const { parseOrderSearch, searchedDetails, matchesOrderSearch, sortOrders } = require('./lib/orderSearch');
+const { SKU_SALES_GROUPS, loadBundleMapping, summarizeSkuSales } = require('./lib/skuSales');
+const { buildShippingSummary, buildFulfillmentReport } = require('./lib/shippingSummary');
+const { customerDataSources, buildCustomerDataReport } = require('./lib/customerDataQuality');
+const {
+  parseRemittanceFile,
+  isCodOrder,
+  mergeRemittances,
+  computeCodStatus,
+  buildAgingReport
+} = require('./lib/codRemittance');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,28 +84,505 @@ app.use(cors({
     /\.thehairaddict\.net$/
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key']
 }));
+
+// Webhook bodies must stay raw for HMAC verification, so they skip the JSON parser
+app.use('/webhooks/shopify', express.raw({ type: '*/*', limit: '5mb' }));
 app.use(express.json());
 
+// Incoming request IDs (e.g. from a load balancer) are reused only if they look like one
+const REQUEST_ID = /^[\w.-]{1,100}$/;
+
+// Every request gets an ID, returned in X-Request-Id and included in every log line written while
+// handling it (including the Shopify calls it makes), and is logged and timed when it finishes
+app.use((req, res, next) => {
+  const requestId = REQUEST_ID.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // Route patterns, not URLs, so order IDs don't each get their own series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    // The path only - query strings can carry customer details (search terms, emails)
+    logger.info('Request finished', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000)
+    });
+  });
+
+  withLogContext({ request_id: requestId }, next);
+});
+
+// CSV uploads (reconciliation files) are kept in memory - they are parsed once and discarded
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
 // Shopify API Configuration
 const SHOPIFY_STORE = process.env.SHOPIFY_STORE_DOMAIN; // e.g., 'your-store.myshopify.com'
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN; // Admin API access token
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01'; // Admin API version for every call
+
+// Where Shopify data comes from: live (default), mock (fixture files - no store token needed) or
+// record (live, saving each response as a fixture with customer details scrubbed)
+const SHOPIFY_MODE = process.env.SHOPIFY_MODE || 'live';
+const SHOPIFY_MODES = ['live', 'mock', 'record'];
+
+// Fixture directory for mock and record modes; registry stores use a subdirectory named after their ID
+const SHOPIFY_FIXTURES_DIR = process.env.SHOPIFY_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'shopify');
+
+// Scripted Shopify failures for mock mode, as JSON (default: failures.json in the fixture directory)
+const SHOPIFY_MOCK_FAILURES = process.env.SHOPIFY_MOCK_FAILURES;
+
+// App proxy shared secret (the app's API secret key), used to verify proxy signatures
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
+
+// Webhook signing secret - custom apps show a separate one in the admin, otherwise it's the API secret
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || SHOPIFY_API_SECRET;
+
+// Store registry for serving several Shopify stores - a JSON file, or the JSON itself (e.g. on Heroku).
+// Without one, the single store above is used.
+const STORES_FILE = process.env.STORES_FILE;
+const STORES_JSON = process.env.STORES_JSON;
+
+// API keys and their roles (admin, ops, finance, viewer) - a JSON file, or the JSON itself
+const API_KEYS_FILE = process.env.API_KEYS_FILE;
+const API_KEYS_JSON = process.env.API_KEYS_JSON;
+
+// Role for requests without an API key. Without API keys everyone is admin, as before they existed;
+// with them, requests without a key are refused unless this is set.
+const ANONYMOUS_ROLE = process.env.ANONYMOUS_ROLE || (API_KEYS_FILE || API_KEYS_JSON ? null : 'admin');
+
+// Local development only: accept requests that did not come through the Shopify app proxy
+const SKIP_PROXY_SIGNATURE = process.env.SKIP_PROXY_SIGNATURE === 'true';
 
 // Google Sheets Configuration
 const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
 const GOOGLE_SHEETS_API_KEY = process.env.GOOGLE_SHEETS_API_KEY;
+// Tab holding customer data (default: the first tab)
+const GOOGLE_SHEETS_TAB = process.env.GOOGLE_SHEETS_TAB;
+// Service account for private sheets - a key file path, or the key JSON itself (e.g. on Heroku)
+const GOOGLE_SERVICE_ACCOUNT_KEY_FILE = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE;
+const GOOGLE_SERVICE_ACCOUNT_JSON = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+// Spreadsheet that reports are written back to (default: the customer sheet)
+const GOOGLE_REPORT_SHEET_ID = process.env.GOOGLE_REPORT_SHEET_ID || GOOGLE_SHEETS_ID;
+// Optional JSON mapping of customer field -> sheet header, e.g. {"order":"Order #","phone":"Mobile"}
+const GOOGLE_SHEETS_COLUMN_MAP = process.env.GOOGLE_SHEETS_COLUMN_MAP;
+// Where Sheets data comes from: live (default) or mock (a fixture file of tabs - no Google credentials
+// needed; writes only change the copy in memory)
+const GOOGLE_SHEETS_MODE = process.env.GOOGLE_SHEETS_MODE || 'live';
+const GOOGLE_SHEETS_MODES = ['live', 'mock'];
+const GOOGLE_SHEETS_FIXTURES_FILE = process.env.GOOGLE_SHEETS_FIXTURES_FILE || path.join(__dirname, 'fixtures', 'sheets.json');
+
+// How often customer data is re-read from Google Sheets (0 disables the schedule)
+const CUSTOMER_DATA_REFRESH_MINUTES = parseInt(process.env.CUSTOMER_DATA_REFRESH_MINUTES ?? '60');
+
+// Customer data older than this is flagged as stale in /health
+const CUSTOMER_DATA_STALE_MINUTES = parseInt(process.env.CUSTOMER_DATA_STALE_MINUTES ?? '180');
+
+// Local data directory for state that must survive restarts (order store, COD remittances, ...)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// How long looked-up variant SKUs/barcodes are trusted before asking Shopify again
+const VARIANT_CACHE_TTL_HOURS = parseFloat(process.env.VARIANT_CACHE_TTL_HOURS ?? '24');
+
+// How often the local order store pulls changed orders from Shopify (0 disables the schedule)
+const ORDER_SYNC_INTERVAL_MINUTES = parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES ?? '15');
+
+// Persisted GraphQL queries (.graphql files, called by ID through the GraphQL proxy)
+const GRAPHQL_PERSISTED_QUERIES_DIR = process.env.GRAPHQL_PERSISTED_QUERIES_DIR || path.join(__dirname, 'persisted-queries');
+
+// Only allow persisted queries through the GraphQL proxy, no ad-hoc documents
+const GRAPHQL_PERSISTED_ONLY = process.env.GRAPHQL_PERSISTED_ONLY === 'true';
+
+// Highest Shopify query cost (requestedQueryCost) the GraphQL proxy will run
+const GRAPHQL_MAX_QUERY_COST = parseInt(process.env.GRAPHQL_MAX_QUERY_COST ?? '250');
+
+// Minutes a query cost Shopify reported is used to refuse the same query and variables up front
+const GRAPHQL_COST_CACHE_MINUTES = parseFloat(process.env.GRAPHQL_COST_CACHE_MINUTES ?? '60');
+
+// Exchange rates (JSON file) for converting presentment amounts to the shop currency when Shopify
+// doesn't give shop_money amounts itself
+const CURRENCY_RATES_FILE = process.env.CURRENCY_RATES_FILE;
+
+// Bundle composition mapping (JSON file) for expanding bundle SKUs in the SKU sales report
+const BUNDLES_FILE = process.env.BUNDLES_FILE;
+
+// How many background report jobs run at once, and how long finished results are kept
+const REPORT_JOB_CONCURRENCY = parseInt(process.env.REPORT_JOB_CONCURRENCY ?? '2');
+const REPORT_JOB_RETENTION_HOURS = parseFloat(process.env.REPORT_JOB_RETENTION_HOURS ?? '24');
+
+// Bearer token required by GET /metrics (unset: /metrics is open, e.g. when only reachable internally)
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+let storeConfigs;
+try {
+  storeConfigs = loadStoreConfigs({
+    file: STORES_FILE,
+    json: STORES_JSON,
+    defaults: { apiSecret: SHOPIFY_API_SECRET, webhookSecret: SHOPIFY_WEBHOOK_SECRET }
+  });
+} catch (error) {
+  logger.error('Invalid store registry (STORES_FILE / STORES_JSON)', { error });
+  process.exit(1);
+}
+
+if (!SHOPIFY_MODES.includes(SHOPIFY_MODE)) {
+  logger.error('Invalid SHOPIFY_MODE', { shopify_mode: SHOPIFY_MODE, expected: SHOPIFY_MODES });
+  process.exit(1);
+}
+
+if (SHOPIFY_MODE === 'mock' && process.env.NODE_ENV === 'production') {
+  logger.error('SHOPIFY_MODE=mock cannot be used when NODE_ENV=production');
+  process.exit(1);
+}
+
+// Verify required environment variables (mock mode never talks to Shopify, so it needs no store)
+if (!storeConfigs && SHOPIFY_MODE !== 'mock' && (!SHOPIFY_STORE || !SHOPIFY_ACCESS_TOKEN)) {
+  logger.error('Missing required environment variables: SHOPIFY_STORE_DOMAIN and SHOPIFY_ACCESS_TOKEN (or a store registry in STORES_FILE / STORES_JSON)');
+  process.exit(1);
+}
+
+// Store domain used in mock mode when SHOPIFY_STORE_DOMAIN isn't set
+const MOCK_STORE_DOMAIN = 'mock-store.myshopify.com';
+
+// Single-store deployments keep their data directly in DATA_DIR, as before the registry existed
+if (!storeConfigs) {
+  storeConfigs = [{
+    id: 'default',
+    name: SHOPIFY_STORE || MOCK_STORE_DOMAIN,
+    domain: normalizeDomain(SHOPIFY_STORE || MOCK_STORE_DOMAIN),
+    accessToken: SHOPIFY_ACCESS_TOKEN || 'mock-access-token',
+    currency: null,
+    apiSecret: SHOPIFY_API_SECRET,
+    webhookSecret: SHOPIFY_WEBHOOK_SECRET,
+    sheetsId: GOOGLE_SHEETS_ID,
+    sheetsTab: GOOGLE_SHEETS_TAB,
+    sheetsColumnMap: GOOGLE_SHEETS_COLUMN_MAP,
+    reportSheetId: GOOGLE_REPORT_SHEET_ID,
+    dataDir: DATA_DIR,
+    fixturesDir: SHOPIFY_FIXTURES_DIR
+  }];
+}
+
+if (SKIP_PROXY_SIGNATURE && process.env.NODE_ENV === 'production') {
+  logger.error('SKIP_PROXY_SIGNATURE cannot be enabled when NODE_ENV=production');
+  process.exit(1);
+}
+
+const storesWithoutSecret = storeConfigs.filter(config => !config.apiSecret);
+if (storesWithoutSecret.length > 0 && !SKIP_PROXY_SIGNATURE) {
+  logger.error('Missing app proxy secret: set SHOPIFY_API_SECRET or the store\'s api_secret (or set SKIP_PROXY_SIGNATURE=true for local development)', {
+    stores: storesWithoutSecret.map(config => config.id)
+  });
+  process.exit(1);
+}
+
+let apiKeys;
+try {
+  apiKeys = loadApiKeys({ file: API_KEYS_FILE, json: API_KEYS_JSON });
+} catch (error) {
+  logger.error('Invalid API keys (API_KEYS_FILE / API_KEYS_JSON)', { error });
+  process.exit(1);
+}
+
+if (ANONYMOUS_ROLE && !ROLES[ANONYMOUS_ROLE]) {
+  logger.error('Invalid ANONYMOUS_ROLE', { role: ANONYMOUS_ROLE, expected: Object.keys(ROLES) });
+  process.exit(1);
+}
+
+if (!GOOGLE_SHEETS_MODES.includes(GOOGLE_SHEETS_MODE)) {
+  logger.error('Invalid GOOGLE_SHEETS_MODE', { google_sheets_mode: GOOGLE_SHEETS_MODE, expected: GOOGLE_SHEETS_MODES });
+  process.exit(1);
+}
+
+if (GOOGLE_SHEETS_MODE === 'mock' && process.env.NODE_ENV === 'production') {
+  logger.error('GOOGLE_SHEETS_MODE=mock cannot be used when NODE_ENV=production');
+  process.exit(1);
+}
+
+let sheetsApi;
+try {
+  sheetsApi = GOOGLE_SHEETS_MODE === 'mock' ? loadFixtureSheetsApi(GOOGLE_SHEETS_FIXTURES_FILE) : undefined;
+} catch (error) {
+  logger.error('Invalid Google Sheets fixture file', { file: GOOGLE_SHEETS_FIXTURES_FILE, error });
+  process.exit(1);
+}
+
+let googleAuth;
+try {
+  googleAuth = createServiceAccountAuth({
+    keyFile: GOOGLE_SERVICE_ACCOUNT_KEY_FILE,
+    credentialsJson: GOOGLE_SERVICE_ACCOUNT_JSON
+  });
+} catch (error) {
+  logger.error('Invalid GOOGLE_SERVICE_ACCOUNT_JSON', { error });
+  process.exit(1);
+}
+
+let currencyRates;
+try {
+  currencyRates = loadRateTable(CURRENCY_RATES_FILE);
+} catch (error) {
+  logger.error('Invalid currency rate table', { file: CURRENCY_RATES_FILE, error });
+  process.exit(1);
+}
+
+let bundleMapping;
+try {
+  bundleMapping = loadBundleMapping(BUNDLES_FILE);
+} catch (error) {
+  logger.error('Invalid bundle mapping', { file: BUNDLES_FILE, error });
+  process.exit(1);
+}
+
+let persistedQueries;
+try {
+  persistedQueries = loadPersistedQueries(GRAPHQL_PERSISTED_QUERIES_DIR);
+} catch (error) {
+  logger.error('Invalid persisted GraphQL queries', { dir: GRAPHQL_PERSISTED_QUERIES_DIR, error });
+  process.exit(1);
+}
+
+if (SKIP_PROXY_SIGNATURE) {
+  logger.warn('SKIP_PROXY_SIGNATURE is enabled - app proxy signatures are NOT being verified');
+}
+
+if (SHOPIFY_MODE !== 'live') {
+  logger.warn(SHOPIFY_MODE === 'mock'
+    ? 'SHOPIFY_MODE=mock - Shopify data is served from fixture files'
+    : 'SHOPIFY_MODE=record - Shopify responses are saved as fixture files', { fixtures_dir: SHOPIFY_FIXTURES_DIR });
+}
+
+if (sheetsApi) {
+  logger.warn('GOOGLE_SHEETS_MODE=mock - Google Sheets data is served from a fixture file', { file: GOOGLE_SHEETS_FIXTURES_FILE });
+}
+
+// Sheets API client: service account for private sheets, API key for public ones, or the fixture
+// stand-in in mock mode. Without any of them, the customer import falls back to the public CSV export.
+const sheetsClient = sheetsApi || googleAuth || GOOGLE_SHEETS_API_KEY
+  ? createSheetsClient({ auth: googleAuth, apiKey: GOOGLE_SHEETS_API_KEY, sheetsApi })
+  : null;
+
+// Prometheus metrics, served by GET /metrics
+const metrics = createMetrics();
+const httpRequestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'Time to handle requests, by route pattern',
+  ['method', 'route', 'status']
+);
+const shopifyRequests = metrics.counter(
+  'shopify_api_requests_total',
+  'Shopify Admin API calls (every attempt), by endpoint and HTTP status',
+  ['store', 'api', 'endpoint', 'status']
+);
+const shopifyRequestDuration = metrics.histogram(
+  'shopify_api_request_duration_seconds',
+  'Shopify Admin API call latency',
+  ['store', 'api']
+);
+const shopifyRetries = metrics.counter(
+  'shopify_api_retries_total',
+  'Shopify Admin API calls retried, by the status that caused the retry (429 = rate limited)',
+  ['store', 'api', 'status']
+);
+metrics.counter('variant_cache_lookups_total', 'Variant SKU cache lookups', ['store', 'result'], {
+  collect: () => stores.stores.flatMap(shop => {
+    const { hits, misses } = shop.variantCache.stats();
+    return [
+      { labels: { store: shop.id, result: 'hit' }, value: hits },
+      { labels: { store: shop.id, result: 'miss' }, value: misses }
+    ];
+  })
+});
+const customerDataLookups = metrics.counter(
+  'customer_data_lookups_total',
+  'Orders looked up in the Google Sheets customer data cache',
+  ['store', 'result']
+);
+
+// Recent customer data refreshes kept per store
+const MAX_CUSTOMER_DATA_CHANGES = 50;
+
+/**
+ * What a store's Admin API client sends its requests through: Shopify itself, the fixture stand-in
+ * (mock) or Shopify with every response saved as a fixture (record)
+ */
+function createShopifyHttpClient(fixturesDir) {
+  if (SHOPIFY_MODE === 'mock') {
+    return createFixtureHttpClient({
+      dir: fixturesDir,
+      ...(SHOPIFY_MOCK_FAILURES && { failures: parseFailures(JSON.parse(SHOPIFY_MOCK_FAILURES)) })
+    });
+  }
+  if (SHOPIFY_MODE === 'record') {
+    return createRecordingHttpClient({ dir: fixturesDir });
+  }
+  return axios;
+}
+
+/**
+ * Everything kept per store: its Admin API client, local data (under DATA_DIR/stores/<id>
+ * unless it has its own dataDir) and Google Sheets customer data cache
+ */
+function createShopContext(config) {
+  const dataDir = config.dataDir || path.join(DATA_DIR, 'stores', config.id);
+
+  let sheetsColumnMapping;
+  try {
+    sheetsColumnMapping = parseColumnMapping(config.sheetsColumnMap);
+  } catch (error) {
+    throw new Error(`Sheets column mapping for store "${config.id}": ${error.message}`);
+  }
+
+  const fixturesDir = config.fixturesDir || path.join(SHOPIFY_FIXTURES_DIR, config.id);
+  let httpClient;
+  try {
+    httpClient = createShopifyHttpClient(fixturesDir);
+  } catch (error) {
+    throw new Error(`Shopify fixtures for store "${config.id}": ${error.message}`);
+  }
+
+  return {
+    ...config,
+    sheetsColumnMapping,
+
+    // Admin API client - one API version, retry policy and rate-limit view for every call to this store
+    shopify: createShopifyClient({
+      shop: config.domain,
+      accessToken: config.accessToken,
+      apiVersion: SHOPIFY_API_VERSION,
+      httpClient,
+      onResponse: ({ api, endpoint, status, durationMs }) => {
+        shopifyRequests.inc({ store: config.id, api, endpoint, status: status ?? 'network_error' });
+        shopifyRequestDuration.observe({ store: config.id, api }, durationMs / 1000);
+      },
+      onRetry: ({ api, status }) => {
+        shopifyRetries.inc({ store: config.id, api, status: status ?? 'network_error' });
+      }
+    }),
+
+    // Customer data cache from Google Sheets - the last good snapshot, kept when a refresh fails.
+    // changes lists what recent refreshes changed (newest first); lastImportReport is the last
+    // import's validation report (skipped rows, duplicates, column mapping).
+    customerData: {
+      cache: {},
+      lastUpdate: null,
+      refreshInFlight: null,
+      lastAttempt: null,
+      lastError: null,
+      changes: [],
+      lastImportReport: null
+    },
+
+    // Courier remittances per order number, and the last computed collection status per COD order
+    codStore: createJsonStore(path.join(dataDir, 'cod-remittances.json'), { remittances: {}, statuses: {} }),
 
-// Verify required environment variables
-if (!SHOPIFY_STORE || !SHOPIFY_ACCESS_TOKEN) {
-  console.error('❌ Missing required environment variables: SHOPIFY_STORE_DOMAIN and SHOPIFY_ACCESS_TOKEN');
+    // Orders with SKU-enriched line items and transactions, kept in sync incrementally
+    orderStore: createOrderStore(path.join(dataDir, 'orders.sqlite')),
+    orderSyncInProgress: false,
+
+    // Webhooks are applied one at a time so two updates to the same order can't race
+    webhookQueue: Promise.resolve(),
+
+    // Variant SKU/barcode lookups, shared by every report and the order sync
+    variantCache: createVariantCache(path.join(dataDir, 'variants.sqlite'), {
+      ttlMs: VARIANT_CACHE_TTL_HOURS * 60 * 60 * 1000
+    }),
+
+    // Requested cost Shopify reported for each query and its variables, so a query recently seen
+    // over the ceiling is refused before it is sent again
+    graphqlQueryCosts: createQueryCostCache({ ttlMs: GRAPHQL_COST_CACHE_MINUTES * 60 * 1000 })
+  };
+}
+
+let stores;
+try {
+  stores = createStoreRegistry(storeConfigs.map(createShopContext));
+} catch (error) {
+  logger.error('Invalid store configuration', { error });
   process.exit(1);
 }
 
-// Customer data cache from Google Sheets
-let customerDataCache = {};
-let lastCacheUpdate = null;
+/**
+ * A store as clients see it (no tokens or secrets)
+ */
+function describeShop(shop) {
+  return { id: shop.id, name: shop.name, domain: shop.domain, currency: shop.currency };
+}
+
+/**
+ * The store a proxy request is for: the `shop` param Shopify adds to app proxy requests,
+ * or the default store when there is none (local development without the proxy).
+ * A single-store deployment serves its one store whatever `shop` says, since SHOPIFY_STORE_DOMAIN
+ * may be set to a different domain of the same store than the one Shopify sends.
+ */
+function resolveShop(req) {
+  if (!stores.isMultiStore || !req.query.shop) return stores.defaultStore;
+  return stores.findByDomain(req.query.shop);
+}
+
+// Every proxy route must be signed by Shopify, with the secret of the store it claims to come from
+app.use('/apps/order-report-proxy', requireProxySignature({
+  secret: req => resolveShop(req)?.apiSecret,
+  bypass: SKIP_PROXY_SIGNATURE
+}));
+
+// Route each proxy request to its store
+app.use('/apps/order-report-proxy', (req, res, next) => {
+  req.shop = resolveShop(req);
+  if (!req.shop) {
+    logger.warn('Rejected request for unknown store', { shop: req.query.shop, method: req.method, path: req.path });
+    return res.status(404).json({
+      success: false,
+      error: `Store ${req.query.shop} is not configured on this server`
+    });
+  }
+  addLogContext({ store: req.shop.id });
+  next();
+});
+
+// Who is calling: the role of their API key, sent in X-Api-Key (or api_key, for download links)
+app.use('/apps/order-report-proxy', (req, res, next) => {
+  const apiKey = req.get('X-Api-Key') || req.query.api_key;
+  req.access = resolveAccess(apiKeys, apiKey, ANONYMOUS_ROLE);
+  if (!req.access) {
+    logger.warn('Rejected request with a missing or unknown API key', { method: req.method, path: req.path });
+    return res.status(401).json({
+      success: false,
+      error: apiKey ? 'Invalid API key' : 'API key required (X-Api-Key header)'
+    });
+  }
+  addLogContext({ role: req.access.role, ...(req.access.keyName && { api_key: req.access.keyName }) });
+  next();
+});
+
+// Routes that change stored data: finance imports and write-backs, and operational refreshes
+const requireFinanceRole = requireRole('admin', 'finance');
+const requireOpsRole = requireRole('admin', 'ops');
+
+// Background report jobs - results are written under DATA_DIR and dropped after the retention period
+const reportJobs = createJobQueue({
+  dir: path.join(DATA_DIR, 'report-jobs'),
+  concurrency: Math.max(REPORT_JOB_CONCURRENCY, 1),
+  retentionMs: REPORT_JOB_RETENTION_HOURS * 60 * 60 * 1000
+});
+metrics.gauge('report_jobs', 'Background report jobs waiting for a slot or running', ['state'], {
+  collect: () => {
+    const { queued, running } = reportJobs.stats();
+    return [
+      { labels: { state: 'queued' }, value: queued },
+      { labels: { state: 'running' }, value: running }
+    ];
+  }
+});
+
+// Who ran which GraphQL query through the proxy (on which store), and what it cost
+const graphqlAuditLog = createAuditLog(path.join(DATA_DIR, 'graphql-audit.log'));
 
 /**
  * Utility: Sleep for specified milliseconds
@@ -51,185 +590,227 @@ let lastCacheUpdate = null;
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Fetch customer data from Google Sheets (public sheet via CSV export)
+ * Read a store's customer sheet rows: through the Sheets API when credentials are configured
+ * (private sheets, named tab), otherwise the public CSV export
  */
-async function fetchCustomerDataFromSheets() {
-  if (!GOOGLE_SHEETS_ID) {
-    console.log('⚠️  Google Sheets not configured, skipping customer data sync');
-    return {};
+async function readCustomerSheetRows(shop) {
+  if (sheetsClient) {
+    // A range without a tab name reads the first tab
+    return sheetsClient.readValues(shop.sheetsId, shop.sheetsTab ? tabRange(shop.sheetsTab) : 'A:ZZ');
   }
 
-  try {
-    console.log('📊 Fetching customer data from Google Sheets...');
-    
-    // Use public CSV export URL (works for public sheets without API key)
-    const csvUrl = `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEETS_ID}/export?format=csv`;
-    const response = await axios.get(csvUrl, {
-      maxRedirects: 5,
-      validateStatus: (status) => status < 400
+  // Use public CSV export URL (works for public sheets without API key)
+  const csvUrl = `https://docs.google.com/spreadsheets/d/${shop.sheetsId}/export?format=csv`;
+  const response = await axios.get(csvUrl, {
+    maxRedirects: 5,
+    validateStatus: (status) => status < 400
+  });
+  return response.data || null;
+}
+
+/**
+ * Fetch a store's customer data from Google Sheets.
+ * Returns null when Sheets isn't configured; throws when the sheet can't be read or used,
+ * so the caller can keep its last good snapshot.
+ */
+async function fetchCustomerDataFromSheets(shop) {
+  if (!shop.sheetsId) {
+    logger.info('Google Sheets not configured, skipping customer data sync');
+    return null;
+  }
+
+  logger.info('Fetching customer data from Google Sheets', { via: sheetsClient ? 'sheets_api' : 'csv_export' });
+  const sheetData = await readCustomerSheetRows(shop);
+
+  if (!sheetData || sheetData.length === 0) {
+    throw new Error('No data found in Google Sheets');
+  }
+
+  const { customerData, report } = Array.isArray(sheetData)
+    ? importCustomerRows(sheetData, { columnMapping: shop.sheetsColumnMapping })
+    : importCustomerSheet(sheetData, { columnMapping: shop.sheetsColumnMapping });
+  shop.customerData.lastImportReport = report;
+
+  logger.info('Sheet columns mapped', { column_mapping: report.column_mapping });
+  report.mapping_errors.forEach(message => logger.warn('Sheets column mapping problem', { problem: message }));
+  if (report.skipped_rows.length > 0 || report.duplicate_order_numbers.length > 0) {
+    logger.warn('Sheets import skipped rows or found duplicates', {
+      skipped_rows: report.skipped_rows.length,
+      duplicate_order_numbers: report.duplicate_order_numbers.length
     });
-    
-    if (!response.data) {
-      console.log('⚠️  No data found in Google Sheets');
-      return {};
-    }
-
-    // Parse CSV data
-    const lines = response.data.split('\n');
-    const rows = lines.map(line => {
-      // Simple CSV parser (handles quoted fields)
-      const result = [];
-      let current = '';
-      let inQuotes = false;
-      
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          result.push(current);
-          current = '';
-        } else {
-          current += char;
-        }
-      }
-      result.push(current);
-      return result;
+  }
+
+  if (report.mapping_errors.length > 0) {
+    throw new Error(report.mapping_errors.join('; '));
+  }
+  if (report.imported === 0) {
+    throw new Error(`No usable customer rows in Google Sheets (${report.skipped_rows.length} skipped)`);
+  }
+
+  logger.info('Loaded customer data from Google Sheets', { customer_count: Object.keys(customerData).length });
+  return customerData;
+}
+
+/**
+ * Refresh a store's customer data cache from Google Sheets, recording what changed.
+ * A failed refresh keeps the previous snapshot. Callers arriving mid-refresh share the one in flight.
+ */
+function refreshCustomerDataCache(shop) {
+  const state = shop.customerData;
+  if (!state.refreshInFlight) {
+    state.refreshInFlight = runCustomerDataRefresh(shop).finally(() => {
+      state.refreshInFlight = null;
     });
+  }
+  return state.refreshInFlight;
+}
 
-    if (rows.length === 0) {
-      console.log('⚠️  No data found in Google Sheets');
-      return {};
-    }
+async function runCustomerDataRefresh(shop) {
+  const state = shop.customerData;
+  state.lastAttempt = new Date();
 
-    // Parse headers and data
-    const headers = rows[0].map(h => (h || '').toLowerCase().trim().replace(/"/g, ''));
-    const customerData = {};
+  try {
+    const customerData = await fetchCustomerDataFromSheets(shop);
+    if (!customerData) return null;
 
-    console.log(`📋 Sheet headers: ${headers.join(' | ')}`);
-    console.log(`📊 Total rows: ${rows.length}`);
+    const { added, changed, removed } = diffCustomerData(state.cache, customerData);
+    const change = {
+      refreshed_at: new Date().toISOString(),
+      customer_count: Object.keys(customerData).length,
+      added,
+      changed,
+      removed
+    };
 
-    // Find column indexes (flexible matching)
-    const orderIdIndex = headers.findIndex(h => 
-      h.includes('id') || h.includes('number') || h.includes('name')
-    );
-    const firstNameIndex = headers.findIndex(h => 
-      (h.includes('first') && h.includes('name')) || h === 'first name' || h.includes('shipping') && h.includes('first')
-    );
-    const lastNameIndex = headers.findIndex(h => 
-      (h.includes('last') && h.includes('name')) || h === 'last name' || h.includes('shipping') && h.includes('last')
-    );
-    const emailIndex = headers.findIndex(h => h.includes('email'));
-    const phoneIndex = headers.findIndex(h => h.includes('phone'));
-    const addressIndex = headers.findIndex(h => 
-      (h.includes('address') || h.includes('street')) && !h.includes('2')
-    );
-    const cityIndex = headers.findIndex(h => h.includes('city'));
-    const provinceIndex = headers.findIndex(h => h.includes('province') || h.includes('state'));
-    const zipIndex = headers.findIndex(h => h.includes('zip') || h.includes('postal'));
-    const countryIndex = headers.findIndex(h => h.includes('country'));
-
-    console.log(`🔍 Column indexes - Order: ${orderIdIndex}, Name: ${firstNameIndex}/${lastNameIndex}, Email: ${emailIndex}`);
-
-    // Process each row
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      if (!row || row.length === 0) continue;
-
-      const orderIdentifier = row[orderIdIndex]?.trim();
-      if (!orderIdentifier) continue;
-
-      // Extract order number from various formats (#1033, 1033, etc.)
-      const orderNum = orderIdentifier.replace(/[^0-9]/g, '');
-      
-      customerData[orderNum] = {
-        first_name: row[firstNameIndex] || null,
-        last_name: row[lastNameIndex] || null,
-        email: row[emailIndex] || null,
-        phone: row[phoneIndex] || null,
-        address1: row[addressIndex] || null,
-        city: row[cityIndex] || null,
-        province: row[provinceIndex] || null,
-        zip: row[zipIndex] || null,
-        country: row[countryIndex] || null
-      };
-    }
+    state.cache = customerData;
+    state.lastUpdate = new Date();
+    state.lastError = null;
 
-    console.log(`✅ Loaded customer data for ${Object.keys(customerData).length} orders from Google Sheets`);
-    return customerData;
+    state.changes.unshift(change);
+    state.changes.splice(MAX_CUSTOMER_DATA_CHANGES);
+
+    logger.info('Customer data refreshed', { added: added.length, changed: changed.length, removed: removed.length });
+    return change;
   } catch (error) {
-    console.error('❌ Error fetching from Google Sheets:', error.message);
-    return {};
+    state.lastError = error.message;
+    logger.error('Customer data refresh failed, keeping the previous snapshot', { kept_records: Object.keys(state.cache).length, error });
+    throw error;
   }
 }
 
 /**
- * Refresh customer data cache from Google Sheets
+ * A store's customer data cache state for /health
  */
-async function refreshCustomerDataCache() {
-  customerDataCache = await fetchCustomerDataFromSheets();
-  lastCacheUpdate = new Date();
-  return customerDataCache;
+function getCustomerCacheStatus(shop) {
+  const state = shop.customerData;
+  const ageSeconds = state.lastUpdate ? Math.round((Date.now() - state.lastUpdate.getTime()) / 1000) : null;
+  const lastChange = state.changes[0];
+
+  return {
+    has_customer_data: Object.keys(state.cache).length > 0,
+    customer_count: Object.keys(state.cache).length,
+    last_update: state.lastUpdate,
+    age_seconds: ageSeconds,
+    // Never loaded counts as stale too, once Sheets is configured
+    stale: Boolean(shop.sheetsId) && (ageSeconds === null || ageSeconds > CUSTOMER_DATA_STALE_MINUTES * 60),
+    stale_after_minutes: CUSTOMER_DATA_STALE_MINUTES,
+    last_attempt: state.lastAttempt,
+    last_error: state.lastError,
+    refresh_in_progress: Boolean(state.refreshInFlight),
+    refresh_interval_minutes: CUSTOMER_DATA_REFRESH_MINUTES,
+    last_change: lastChange
+      ? { refreshed_at: lastChange.refreshed_at, added: lastChange.added.length, changed: lastChange.changed.length, removed: lastChange.removed.length }
+      : null
+  };
+}
+
+// Initialize every store's cache on startup, then refresh on a schedule
+for (const shop of stores.stores) {
+  withLogContext({ store: shop.id, task: 'customer_data_refresh' }, () => refreshCustomerDataCache(shop))
+    .catch(error => logger.error('Failed to initialize customer data cache', { store: shop.id, error }));
+}
+if (CUSTOMER_DATA_REFRESH_MINUTES > 0) {
+  setInterval(() => {
+    for (const shop of stores.stores) {
+      withLogContext({ store: shop.id, task: 'customer_data_refresh' }, () => refreshCustomerDataCache(shop))
+        .catch(error => logger.error('Scheduled customer data refresh failed', { store: shop.id, error }));
+    }
+  }, CUSTOMER_DATA_REFRESH_MINUTES * 60 * 1000);
 }
 
-// Initialize cache on startup
-refreshCustomerDataCache().catch(err => console.error('Failed to initialize customer data cache:', err));
+// Shopify caps REST page size at 250; larger reports are walked with page_info cursors
+const SHOPIFY_MAX_PAGE_SIZE = 250;
 
 /**
- * Utility: Retry function with exponential backoff
+ * Extract the rel="next" page_info cursor from a Shopify Link header
  */
-async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.response?.status === 429 && i < maxRetries - 1) {
-        const delay = initialDelay * Math.pow(2, i);
-        console.log(`⏳ Rate limited. Retrying in ${delay}ms... (Attempt ${i + 1}/${maxRetries})`);
-        await sleep(delay);
-      } else {
-        throw error;
-      }
+function parseNextPageInfo(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const link of linkHeader.split(',')) {
+    const match = link.match(/<([^>]+)>;\s*rel="next"/);
+    if (match) {
+      return new URL(match[1]).searchParams.get('page_info');
     }
   }
+  return null;
 }
 
 /**
- * Fetch orders from Shopify with payment details
+ * Fetch a store's orders from Shopify with payment details, following Link header cursors
+ * until the filters are exhausted or max_orders is reached.
+ * Returns { orders, nextCursor } - nextCursor is null when nothing is left to fetch.
+ * An aborted signal stops between pages; onPage is called with the running order count.
  */
-async function fetchShopifyOrders(params = {}) {
+async function fetchShopifyOrders(shop, params = {}, { signal, onPage } = {}) {
   try {
     const {
-      limit = 250,
+      page_size = SHOPIFY_MAX_PAGE_SIZE,
       status = 'any',
       financial_status,
       created_at_min,
-      created_at_max
+      created_at_max,
+      updated_at_min,
+      max_orders,
+      page_info
     } = params;
 
-    // Build query parameters - omit fields to get complete order data including customer
-    const queryParams = new URLSearchParams({
-      limit: limit.toString(),
-      status,
-      ...(financial_status && { financial_status }),
-      ...(created_at_min && { created_at_min }),
-      ...(created_at_max && { created_at_max })
-    });
-
-    // Fetch orders using REST Admin API
-    const response = await axios.get(
-      `https://${SHOPIFY_STORE}/admin/api/2024-01/orders.json?${queryParams}`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const pageSize = Math.min(Math.max(parseInt(page_size) || SHOPIFY_MAX_PAGE_SIZE, 1), SHOPIFY_MAX_PAGE_SIZE);
+    const orders = [];
+    let cursor = page_info || null;
+    let page = 0;
+
+    do {
+      signal?.throwIfAborted();
+
+      // Shrink the last page so the cap never cuts a page in half and the cursor stays exact
+      const pageLimit = max_orders ? Math.min(pageSize, max_orders - orders.length) : pageSize;
 
-    return response.data.orders;
+      // Shopify rejects filters alongside page_info - the cursor already carries them
+      const queryParams = cursor
+        ? { limit: pageLimit.toString(), page_info: cursor }
+        : {
+          limit: pageLimit.toString(),
+          status,
+          ...(financial_status && { financial_status }),
+          ...(created_at_min && { created_at_min }),
+          ...(created_at_max && { created_at_max }),
+          ...(updated_at_min && { updated_at_min })
+        };
+
+      // Fetch orders using REST Admin API - omit fields to get complete order data including customer
+      const response = await shop.shopify.get('/orders.json', queryParams);
+
+      orders.push(...response.data.orders);
+      cursor = parseNextPageInfo(response.headers.link);
+      page++;
+      logger.debug('Fetched orders page', { page, orders_so_far: orders.length });
+      onPage?.(orders.length);
+    } while (cursor && (!max_orders || orders.length < max_orders));
+
+    return { orders, nextCursor: cursor };
   } catch (error) {
-    console.error('Error fetching orders from Shopify:', error.response?.data || error.message);
+    logger.error('Error fetching orders from Shopify', { error });
     throw error;
   }
 }
@@ -237,55 +818,39 @@ async function fetchShopifyOrders(params = {}) {
 /**
  * Fetch detailed order information including transactions
  */
-async function fetchOrderDetails(orderId) {
+async function fetchOrderDetails(shop, orderId) {
   try {
-    const response = await axios.get(
-      `https://${SHOPIFY_STORE}/admin/api/2024-01/orders/${orderId}.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
+    const response = await shop.shopify.get(`/orders/${orderId}.json`);
     return response.data.order;
   } catch (error) {
-    console.error(`Error fetching order ${orderId}:`, error.response?.data || error.message);
+    logger.error('Error fetching order', { order_id: orderId, error });
     return null;
   }
 }
 
 /**
- * Fetch transactions for an order with retry logic
+ * Fetch transactions for an order (retries are handled by the Shopify client).
+ * Failures return [] unless throwOnError is set (the order sync must not store missing transactions).
  */
-async function fetchOrderTransactions(orderId) {
+async function fetchOrderTransactions(shop, orderId, { throwOnError = false } = {}) {
   try {
-    return await retryWithBackoff(async () => {
-      const response = await axios.get(
-        `https://${SHOPIFY_STORE}/admin/api/2024-01/orders/${orderId}/transactions.json`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      return response.data.transactions;
-    });
+    const response = await shop.shopify.get(`/orders/${orderId}/transactions.json`);
+    return response.data.transactions;
   } catch (error) {
-    console.error(`❌ Error fetching transactions for order ${orderId}:`, error.response?.status || error.message);
+    logger.error('Error fetching transactions', { order_id: orderId, error });
+    if (throwOnError) throw error;
     return [];
   }
 }
 
 /**
- * Enrich order with customer data from Google Sheets (fast, no API calls)
+ * Enrich order with customer data from the store's Google Sheet (fast, no API calls)
  */
-function enrichOrderWithCustomerData(order) {
+function enrichOrderWithCustomerData(shop, order) {
   // Try to get customer data from Google Sheets cache first
   const orderNumber = order.order_number?.toString() || order.number?.toString();
-  const sheetsData = customerDataCache[orderNumber];
+  const sheetsData = shop.customerData.cache[orderNumber];
+  customerDataLookups.inc({ store: shop.id, result: sheetsData ? 'hit' : 'miss' });
     
     // Merge data: Google Sheets > Shopify API > fallbacks
     const customerInfo = {
@@ -325,204 +890,1258 @@ function enrichOrderWithCustomerData(order) {
     customer: order.customer || customerInfo,
     customer_info: customerInfo,
     shipping_address: shippingAddress,
-    billing_address: order.billing_address || null
+    billing_address: order.billing_address || null,
+    customer_data_sources: customerDataSources(sheetsData, { ...shippingAddress, ...customerInfo })
   };
 }
 
 /**
- * Fetch variant details to get SKU and barcode with retry logic
+ * Resolve a store's variant SKU/barcodes from its persistent cache, looking up only unknown
+ * variants in Shopify. Returns a Map of variant ID -> { id, sku, barcode }.
  */
-async function fetchVariantDetails(variantId, retryCount = 0) {
-  const maxRetries = 3;
-  const baseDelay = 500; // Start with 500ms delay
-  
-  try {
-    const response = await axios.get(
-      `https://${SHOPIFY_STORE}/admin/api/2024-01/variants/${variantId}.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    return response.data.variant;
-  } catch (error) {
-    // Handle rate limiting (429) with exponential backoff
-    if (error.response?.status === 429 && retryCount < maxRetries) {
-      const retryAfter = error.response.headers['retry-after'] 
-        ? parseInt(error.response.headers['retry-after']) * 1000 
-        : baseDelay * Math.pow(2, retryCount);
-      
-      console.log(`⚠️ Rate limited. Retrying variant ${variantId} in ${retryAfter}ms... (attempt ${retryCount + 1}/${maxRetries})`);
-      await sleep(retryAfter);
-      return fetchVariantDetails(variantId, retryCount + 1);
-    }
-    
-    console.error(`❌ Error fetching variant ${variantId}:`, error.response?.status || error.message);
-    return null;
-  }
+function resolveVariants(shop, variantIds) {
+  return lookupVariants(shop.variantCache, shop.shopify, variantIds);
+}
+
+/**
+ * Resolve every variant used across a batch of orders up front, so per-order enrichment is all cache hits
+ */
+async function prefetchVariantsForOrders(shop, orders) {
+  const variantIds = orders.flatMap(order =>
+    (order.line_items || []).filter(item => !item.sku && item.variant_id).map(item => item.variant_id)
+  );
+  await resolveVariants(shop, variantIds);
 }
 
 /**
  * Enrich line items with SKU and barcode from variant data
  */
-async function enrichLineItemsWithSKU(lineItems) {
-  const enrichedItems = [];
-  console.log(`🔍 Enriching ${lineItems.length} line items with SKU...`);
-  
-  for (const item of lineItems) {
-    // If item already has SKU, keep it as is
-    if (item.sku) {
-      console.log(`✅ Item "${item.name}" already has SKU: ${item.sku}`);
-      enrichedItems.push(item);
-      continue;
-    }
-    
-    // If no SKU and has variant_id, fetch variant details
-    if (item.variant_id) {
-      console.log(`🔄 Fetching SKU for "${item.name}" (variant_id: ${item.variant_id})...`);
-      const variant = await fetchVariantDetails(item.variant_id);
-      if (variant) {
-        console.log(`✅ Found SKU for "${item.name}": ${variant.sku}`);
-        enrichedItems.push({
-          ...item,
-          sku: variant.sku || null,
-          barcode: variant.barcode || null
-        });
-      } else {
-        console.log(`❌ Failed to fetch variant details for "${item.name}"`);
-        enrichedItems.push(item);
-      }
-      
-      // Add small delay between requests to avoid rate limiting
-      await sleep(200);
-    } else {
-      console.log(`⚠️ Item "${item.name}" has no variant_id`);
-      enrichedItems.push(item);
-    }
-  }
-  
-  console.log(`✅ Enrichment complete: ${enrichedItems.filter(i => i.sku).length}/${lineItems.length} items have SKU`);
+async function enrichLineItemsWithSKU(shop, lineItems) {
+  const variants = await resolveVariants(
+    shop,
+    lineItems.filter(item => !item.sku && item.variant_id).map(item => item.variant_id)
+  );
+
+  // Items that already have a SKU (or have no variant) are kept as they are
+  const enrichedItems = lineItems.map(item => {
+    if (item.sku || !item.variant_id) return item;
+
+    const variant = variants.get(item.variant_id);
+    return variant
+      ? { ...item, sku: variant.sku || null, barcode: variant.barcode || null }
+      : item;
+  });
+
   return enrichedItems;
 }
 
+/**
+ * Keep the transaction fields the reports use
+ */
+function formatTransaction(t) {
+  return {
+    id: t.id,
+    authorization: t.authorization,
+    gateway: t.gateway,
+    kind: t.kind,
+    status: t.status,
+    amount: t.amount,
+    amount_set: t.amount_set,
+    currency: t.currency,
+    receipt: t.receipt,
+    created_at: t.created_at
+  };
+}
+
+/**
+ * Add what is worked out from the order itself: shop currency amounts for the order and its
+ * transactions, the shipping summary, and the payment ledger when it has its transactions
+ * (with any Stripe disputes an uploaded export recorded for it)
+ */
+function withDerivedFields(shop, order) {
+  const normalized = {
+    ...normalizeOrderMoney(order, { shopCurrency: shop.currency, rates: currencyRates }),
+    shipping_summary: buildShippingSummary(order)
+  };
+  if (!normalized.transactions) return normalized;
+
+  const disputes = shop.orderStore.listDisputes(normalized.id);
+  return { ...normalized, payment_ledger: buildPaymentLedger(normalized, { disputes }) };
+}
+
 /**
  * Enrich order data with transaction details and customer info
  */
-async function enrichOrderWithTransactions(order) {
+async function enrichOrderWithTransactions(shop, order) {
   try {
     // First enrich with customer data from Sheets
-    const enrichedOrder = enrichOrderWithCustomerData(order);
+    const enrichedOrder = enrichOrderWithCustomerData(shop, order);
     
     // Enrich line items with SKU for bundle products
     if (enrichedOrder.line_items && enrichedOrder.line_items.length > 0) {
-      enrichedOrder.line_items = await enrichLineItemsWithSKU(enrichedOrder.line_items);
+      enrichedOrder.line_items = await enrichLineItemsWithSKU(shop, enrichedOrder.line_items);
     }
     
     // Then add transactions
-    const transactions = await fetchOrderTransactions(enrichedOrder.id);
+    const transactions = await fetchOrderTransactions(shop, enrichedOrder.id);
     
-    return {
+    return withDerivedFields(shop, {
       ...enrichedOrder,
-      transactions: transactions.map(t => ({
-        id: t.id,
-        authorization: t.authorization,
-        gateway: t.gateway,
-        kind: t.kind,
-        status: t.status,
-        amount: t.amount,
-        currency: t.currency,
-        receipt: t.receipt,
-        created_at: t.created_at
-      }))
-    };
+      transactions: transactions.map(formatTransaction)
+    });
   } catch (error) {
-    console.error(`Error enriching order ${order.id}:`, error.message);
+    logger.error('Error enriching order', { order_id: order.id, error });
     return order;
   }
 }
 
 /**
- * Main endpoint: Get orders with payment details
+ * SKU-enrich line items and fetch transactions for the local order store (no customer data)
  */
-app.get('/apps/order-report-proxy/orders', async (req, res) => {
-  try {
-    console.log('📊 Fetching orders...');
-    
-    // Get query parameters
+async function enrichOrderForStore(shop, order) {
+  const lineItems = order.line_items && order.line_items.length > 0
+    ? await enrichLineItemsWithSKU(shop, order.line_items)
+    : order.line_items;
+  const transactions = await fetchOrderTransactions(shop, order.id, { throwOnError: true });
+
+  return {
+    order: { ...order, line_items: lineItems },
+    transactions: transactions.map(formatTransaction)
+  };
+}
+
+/**
+ * Incremental sync: pull a store's orders updated since its last successful sync into its local store
+ */
+async function syncOrders(shop) {
+  const { orderStore } = shop;
+  if (shop.orderSyncInProgress) {
+    logger.info('Order sync already running, skipping');
+    return null;
+  }
+
+  shop.orderSyncInProgress = true;
+  const startedAt = new Date().toISOString();
+
+  try {
+    const since = orderStore.getSyncState('last_sync_at');
+    logger.info(since ? 'Syncing orders updated since the last sync' : 'Initial order sync (all orders)', { since });
+
+    const { orders } = await fetchShopifyOrders(shop, { status: 'any', ...(since && { updated_at_min: since }) });
+    await prefetchVariantsForOrders(shop, orders);
+    let synced = 0;
+    let failed = 0;
+
+    // Same batching as enrichOrders to stay within rate limits
+    const batchSize = 5;
+    for (let i = 0; i < orders.length; i += batchSize) {
+      const batch = orders.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map(async order => {
+        try {
+          return await enrichOrderForStore(shop, order);
+        } catch (error) {
+          logger.error('Failed to sync order', { order_id: order.id, error });
+          failed++;
+          return null;
+        }
+      }));
+
+      const entries = results.filter(Boolean);
+      orderStore.saveOrders(entries);
+      synced += entries.length;
+
+      if (i + batchSize < orders.length) {
+        await sleep(100);
+      }
+    }
+
+    // Only move the watermark when every changed order made it in, so failed ones are retried next run
+    if (failed === 0) {
+      orderStore.setSyncState('last_sync_at', startedAt);
+    }
+    orderStore.setSyncState('last_sync_finished_at', new Date().toISOString());
+    orderStore.setSyncState('last_sync_error', failed > 0 ? `${failed} orders failed to sync` : null);
+    orderStore.setSyncState('last_sync_count', synced);
+
+    logger.info('Order sync complete', { synced, failed });
+    return { started_at: startedAt, synced, failed };
+  } catch (error) {
+    logger.error('Order sync failed', { error });
+    orderStore.setSyncState('last_sync_error', error.message);
+    throw error;
+  } finally {
+    shop.orderSyncInProgress = false;
+  }
+}
+
+// Initial sync of every store on startup, then on a schedule
+for (const shop of stores.stores) {
+  withLogContext({ store: shop.id, task: 'order_sync' }, () => syncOrders(shop))
+    .catch(error => logger.error('Failed to run initial order sync', { store: shop.id, error }));
+}
+if (ORDER_SYNC_INTERVAL_MINUTES > 0) {
+  setInterval(() => {
+    for (const shop of stores.stores) {
+      withLogContext({ store: shop.id, task: 'order_sync' }, () => syncOrders(shop))
+        .catch(error => logger.error('Scheduled order sync failed', { store: shop.id, error }));
+    }
+  }, ORDER_SYNC_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// Webhook topics that change report data
+const WEBHOOK_TOPICS = [
+  'orders/create',
+  'orders/updated',
+  'orders/paid',
+  'refunds/create',
+  'order_transactions/create'
+];
+
+/**
+ * Re-fetch an order from Shopify into the store's local order store
+ */
+async function refreshStoredOrder(shop, orderId) {
+  const order = await fetchOrderDetails(shop, orderId);
+  if (!order) {
+    throw new Error(`Order ${orderId} not found in Shopify`);
+  }
+  shop.orderStore.saveOrders([await enrichOrderForStore(shop, order)]);
+}
+
+/**
+ * Apply a webhook payload to the local order store. Reports read the store on every
+ * request, so updating it is all it takes to keep them current.
+ */
+async function processWebhook(shop, topic, payload) {
+  const { orderStore } = shop;
+  switch (topic) {
+    case 'orders/create':
+    case 'orders/updated':
+    case 'orders/paid': {
+      // Shopify doesn't guarantee delivery order - never overwrite a newer stored copy
+      const stored = orderStore.getOrder(payload.id);
+      if (stored?.updated_at && Date.parse(stored.updated_at) > Date.parse(payload.updated_at)) {
+        logger.info('Webhook payload is older than the stored order, skipping', { topic, order_id: payload.id });
+        return;
+      }
+      orderStore.saveOrders([await enrichOrderForStore(shop, payload)]);
+      return;
+    }
+
+    case 'refunds/create':
+      // The refund changes the order's totals and status too, so take the whole order again
+      await refreshStoredOrder(shop, payload.order_id);
+      return;
+
+    case 'order_transactions/create': {
+      const stored = orderStore.getOrder(payload.order_id);
+      if (!stored) {
+        await refreshStoredOrder(shop, payload.order_id);
+        return;
+      }
+      const { transactions: previousTransactions, ...order } = stored;
+      const transactions = await fetchOrderTransactions(shop, payload.order_id, { throwOnError: true });
+      orderStore.saveOrders([{ order, transactions: transactions.map(formatTransaction) }]);
+      return;
+    }
+
+    default:
+      throw new Error(`Unsupported webhook topic: ${topic}`);
+  }
+}
+
+/**
+ * Process a logged webhook and record the outcome on it
+ */
+function enqueueWebhook(shop, webhookId, topic, payloadText) {
+  const run = shop.webhookQueue.then(async () => {
+    try {
+      await processWebhook(shop, topic, JSON.parse(payloadText));
+      shop.orderStore.markWebhookProcessed(webhookId);
+      logger.info('Processed webhook', { topic, webhook_id: webhookId });
+      return { processed: true };
+    } catch (error) {
+      logger.error('Failed to process webhook', { topic, webhook_id: webhookId, error });
+      shop.orderStore.markWebhookProcessed(webhookId, error.message);
+      return { processed: false, error: error.message };
+    }
+  });
+  shop.webhookQueue = run;
+  return run;
+}
+
+/**
+ * Map /orders-style query parameters to fetchShopifyOrders params
+ */
+function parseOrderQuery(query) {
+  const {
+    limit,
+    page_size,
+    status,
+    financial_status,
+    created_at_min,
+    created_at_max,
+    max_orders,
+    cursor // Optional: next_cursor from a previous response to continue a truncated report
+  } = query;
+
+  // limit is the older name for the result cap; max_orders wins when both are given
+  const maxOrders = [max_orders, limit].map(value => parseInt(value)).find(value => value > 0);
+
+  return {
+    page_size: parseInt(page_size) > 0 ? parseInt(page_size) : SHOPIFY_MAX_PAGE_SIZE,
+    status,
+    financial_status,
+    created_at_min,
+    created_at_max,
+    max_orders: maxOrders,
+    page_info: cursor
+  };
+}
+
+/**
+ * Fetch a store's orders for a report from its local order store, or from Shopify when fresh=true
+ * or before the first sync has finished. Returns { orders, nextCursor, source }.
+ */
+async function fetchReportOrders(shop, query, options) {
+  const params = parseOrderQuery(query);
+
+  if (query.fresh !== 'true' && shop.orderStore.getSyncState('last_sync_at')) {
+    return { ...shop.orderStore.findOrders(params), source: 'store' };
+  }
+
+  const { orders, nextCursor } = await fetchShopifyOrders(shop, params, options);
+  return { orders, nextCursor, source: 'shopify' };
+}
+
+/**
+ * Enrich orders with customer data and, optionally, transactions and SKUs.
+ * Orders from the local store already carry transactions and SKUs, so only customer data is merged.
+ * Without transactions, includeSkus still looks up the SKUs of line items that have none (bundle items).
+ * onBatch is called with each enriched batch so callers can stream results; an aborted signal stops between batches.
+ * filter drops enriched orders before they reach onBatch or the result.
+ */
+async function enrichOrders(shop, orders, { source = 'shopify', includeTransactions = true, includeSkus = false, onBatch = async () => {}, signal, filter = () => true } = {}) {
+  if (source === 'store') {
+    const enrichedOrders = orders.map(order => withDerivedFields(shop, enrichOrderWithCustomerData(shop, order))).filter(filter);
+    await onBatch(enrichedOrders);
+    return enrichedOrders;
+  }
+
+  // Without transactions only the (fast) Google Sheets customer data is merged
+  if (!includeTransactions) {
+    logger.debug('Skipping transaction enrichment for faster response');
+    // Variant lookups are batched and cached, so they are cheap next to one transactions call per order
+    if (includeSkus) await prefetchVariantsForOrders(shop, orders);
+    const enrichedOrders = (await Promise.all(orders.map(async order => {
+      const enrichedOrder = enrichOrderWithCustomerData(shop, order);
+      if (includeSkus && enrichedOrder.line_items?.length > 0) {
+        enrichedOrder.line_items = await enrichLineItemsWithSKU(shop, enrichedOrder.line_items);
+      }
+      return withDerivedFields(shop, enrichedOrder);
+    }))).filter(filter);
+    await onBatch(enrichedOrders);
+    return enrichedOrders;
+  }
+
+  logger.debug('Enriching orders with transaction details', { order_count: orders.length });
+  await prefetchVariantsForOrders(shop, orders);
+  const enrichedOrders = [];
+
+  // Process in batches of 5 to balance speed and rate limits
+  const batchSize = 5;
+  for (let i = 0; i < orders.length; i += batchSize) {
+    signal?.throwIfAborted();
+    const batch = orders.slice(i, i + batchSize);
+    const batchResults = (await Promise.all(batch.map(order => enrichOrderWithTransactions(shop, order)))).filter(filter);
+    enrichedOrders.push(...batchResults);
+    await onBatch(batchResults);
+
+    // Small delay between batches (100ms)
+    if (i + batchSize < orders.length) {
+      await sleep(100);
+    }
+  }
+  logger.debug('All orders enriched', { order_count: enrichedOrders.length });
+  return enrichedOrders;
+}
+
+/**
+ * Stream enriched orders as a CSV or XLSX download.
+ * Sorted exports can only be written once every order is enriched; unsorted ones stream batch by batch.
+ */
+async function streamOrderExport(shop, res, orders, nextCursor, { source, format, lineItems, includeTransactions, filter, sort, access, columns }) {
+  // Truncation can't go in the file itself, so it is reported in headers
+  res.setHeader('X-Report-Truncated', String(Boolean(nextCursor)));
+  if (nextCursor) res.setHeader('X-Report-Next-Cursor', nextCursor);
+
+  // A client that disconnects stops the enrichment too, instead of it running on for nobody
+  const controller = new AbortController();
+  res.once('close', () => controller.abort());
+
+  const writer = createReportWriter(res, format, { lineItems, ...(columns && { columns }) });
+  const writeOrders = batch => writer.writeRows(batch.flatMap(order => orderToRows(maskOrder(order, access), { lineItems })));
+  await writer.start();
+  const enrichedOrders = await enrichOrders(shop, orders, {
+    source,
+    includeTransactions,
+    // Line item rows have a SKU column, so bundle items need their SKUs even without transactions
+    includeSkus: lineItems,
+    filter,
+    signal: controller.signal,
+    onBatch: sort ? undefined : writeOrders
+  });
+  if (sort) await writeOrders(sortOrders(enrichedOrders, sort));
+  await writer.end();
+}
+
+/**
+ * Payment ledger filters from the query as an enrichOrders filter (undefined when none are set).
+ * Throws on invalid values, or when transactions are switched off so there is no ledger to filter on.
+ */
+function getLedgerFilter(query) {
+  const filters = parseLedgerFilters(query);
+  if (!filters) return undefined;
+
+  if (query.include_transactions === 'false') {
+    throw new Error('Payment ledger filters need include_transactions=true');
+  }
+  return order => matchesLedgerFilters(order, filters);
+}
+
+/**
+ * Filters and sorting for order reports (req.orderSearch = { filter, sort }): the payment ledger
+ * filters plus the order search, both applied to enriched orders. Searching by email or phone needs
+ * a role that sees them in full - otherwise a search could confirm a masked detail.
+ */
+function parseOrderFilters(req, res, next) {
+  let ledgerFilter;
+  let search;
+  try {
+    ledgerFilter = getLedgerFilter(req.query);
+    search = parseOrderSearch(req.query);
+    // Without transactions, Shopify orders don't get the SKUs of bundle items looked up
+    if ((search.filters?.sku || search.filters?.barcode) && req.query.include_transactions === 'false') {
+      throw new Error('sku and barcode searches need include_transactions=true');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const hiddenDetails = searchedDetails(search.filters).filter(kind => req.access.pii[kind] !== 'full');
+  if (hiddenDetails.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: `The ${req.access.role} role can't search by ${hiddenDetails.join(' or ')}`
+    });
+  }
+
+  const { filters, sort } = search;
+  req.orderSearch = {
+    filter: ledgerFilter || filters
+      ? order => (!ledgerFilter || ledgerFilter(order)) && (!filters || matchesOrderSearch(order, filters))
+      : undefined,
+    sort
+  };
+  next();
+}
+
+/**
+ * An enriched order as the caller may see it: customer details masked for their role, then
+ * projected to the report columns unless it's the full view
+ */
+function presentOrder(order, access, orderView) {
+  const masked = maskOrder(order, access);
+  return orderView.columns ? orderToReport(masked, orderView.columns) : masked;
+}
+
+/**
+ * Main endpoint: Get orders with payment details
+ * format=csv|xlsx downloads the flattened report instead of JSON (rows=line_items for one row per item)
+ */
+app.get('/apps/order-report-proxy/orders', parseOrderView, parseOrderFilters, async (req, res) => {
+  try {
+
     const {
-      limit,
-      status,
-      financial_status,
-      created_at_min,
-      created_at_max,
-      include_transactions = 'true' // Optional: set to 'false' to skip transaction enrichment
+      include_transactions = 'true', // Optional: set to 'false' to skip transaction enrichment
+      format = 'json',
+      rows = 'orders'
     } = req.query;
 
-    // Fetch orders
-    const orders = await fetchShopifyOrders({
-      limit: limit ? parseInt(limit) : 250,
-      status,
-      financial_status,
-      created_at_min,
-      created_at_max
+    if (format !== 'json' && !Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format "${format}" (expected json, csv or xlsx)`
+      });
+    }
+
+    const { filter, sort } = req.orderSearch;
+
+    // Local store by default; fresh=true follows Shopify pagination until the range is covered or max_orders is hit
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+
+    logger.info('Found orders', { order_count: orders.length, source, truncated: Boolean(nextCursor) });
+
+    // Transactions are slow due to rate limits, so they are only fetched when requested
+    const includeTransactions = include_transactions === 'true';
+
+    if (format !== 'json') {
+      logger.info('Exporting orders', { order_count: orders.length, format });
+      return await streamOrderExport(req.shop, res, orders, nextCursor, {
+        source,
+        format,
+        lineItems: rows === 'line_items',
+        includeTransactions,
+        filter,
+        sort,
+        access: req.access,
+        columns: req.orderView.columns
+      });
+    }
+
+    const matchedOrders = await enrichOrders(req.shop, orders, { source, includeTransactions, filter });
+    const enrichedOrders = sort ? sortOrders(matchedOrders, sort) : matchedOrders;
+
+    res.json({
+      success: true,
+      source,
+      count: enrichedOrders.length,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      orders: enrichedOrders.map(order => presentOrder(order, req.access, req.orderView))
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    logger.error('Error in /orders endpoint', { error });
+
+    // A streamed export has already sent headers - all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch orders',
+      message: error.message
+    });
+  }
+});
+
+// Report types that can run as background jobs
+const REPORT_JOB_TYPES = ['orders', 'summary'];
+
+/**
+ * Run a report in the background and write the result to a file - the same output as
+ * GET /orders (json, csv or xlsx, with the submitter's view and masking) or GET /summary.
+ * Progress is orders enriched out of the total.
+ */
+async function runReportJob(shop, type, query, { access, orderView, orderSearch }, { signal, setProgress, resultFile }) {
+  setProgress({ stage: 'fetching' });
+  const { orders, nextCursor, source } = await fetchReportOrders(shop, query, {
+    signal,
+    onPage: fetched => setProgress({ fetched })
+  });
+  signal.throwIfAborted();
+
+  let processed = 0;
+  setProgress({ stage: 'enriching', processed, total: orders.length });
+  const countBatch = batch => setProgress({ processed: (processed += batch.length) });
+
+  const meta = { source, count: 0, truncated: Boolean(nextCursor), next_cursor: nextCursor };
+  const date = new Date().toISOString().slice(0, 10);
+  const format = type === 'summary' ? 'json' : query.format || 'json';
+  const includeTransactions = type === 'summary' || query.include_transactions !== 'false';
+  // Filtered here rather than in enrichOrders so progress still counts every order processed
+  const filter = (type === 'orders' && orderSearch.filter) || (() => true);
+  const sort = type === 'orders' && orderSearch.sort;
+
+  if (format === 'json') {
+    const matched = [];
+    const enrichedOrders = await enrichOrders(shop, orders, {
+      source,
+      includeTransactions,
+      signal,
+      onBatch: async batch => {
+        countBatch(batch);
+        matched.push(...batch.filter(filter));
+      }
+    });
+    meta.count = type === 'summary' ? enrichedOrders.length : matched.length;
+
+    const body = type === 'summary'
+      ? { success: true, source, truncated: meta.truncated, next_cursor: nextCursor, ...summarizePayments(enrichedOrders, { groupBy: query.group_by || 'day' }) }
+      : { success: true, ...meta, orders: (sort ? sortOrders(matched, sort) : matched).map(order => presentOrder(order, access, orderView)) };
+
+    setProgress({ stage: 'writing' });
+    await fs.promises.writeFile(resultFile('json'), JSON.stringify(body));
+    return { ...meta, content_type: 'application/json', filename: `${type === 'summary' ? 'payment-summary' : 'order-report'}-${date}.json` };
+  }
+
+  const lineItems = query.rows === 'line_items';
+  const stream = fs.createWriteStream(resultFile(EXPORT_FORMATS[format].extension));
+  const writer = createRowWriter(stream, format, { lineItems, ...(orderView.columns && { columns: orderView.columns }) });
+  const writeOrders = matched => writer.writeRows(matched.flatMap(order => orderToRows(maskOrder(order, access), { lineItems })));
+  // Sorted results are held back until every order is enriched
+  const sortedOrders = [];
+
+  try {
+    await writer.start();
+    await enrichOrders(shop, orders, {
+      source,
+      includeTransactions,
+      includeSkus: lineItems,
+      signal,
+      onBatch: async batch => {
+        const matched = batch.filter(filter);
+        if (sort) sortedOrders.push(...matched);
+        else await writeOrders(matched);
+        meta.count += matched.length;
+        countBatch(batch);
+      }
+    });
+    if (sort) await writeOrders(sortOrders(sortedOrders, sort));
+    await writer.end();
+    await finished(stream);
+  } catch (error) {
+    stream.destroy();
+    throw error;
+  }
+
+  return { ...meta, content_type: EXPORT_FORMATS[format].contentType, filename: reportFilename(format) };
+}
+
+/**
+ * Start a background report job. Query: report=orders|summary plus the same parameters as
+ * GET /orders or GET /summary. Responds 202 with the job; poll it, then download the result.
+ */
+app.post('/apps/order-report-proxy/reports', parseOrderView, parseOrderFilters, (req, res) => {
+  // The API key must not end up in the job's stored params
+  const { signature, shop, api_key: apiKey, report = 'orders', ...params } = req.query;
+
+  if (!REPORT_JOB_TYPES.includes(report)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported report "${report}" (expected ${REPORT_JOB_TYPES.join(' or ')})`
+    });
+  }
+
+  if (report === 'orders' && params.format && params.format !== 'json' && !Object.hasOwn(EXPORT_FORMATS, params.format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format "${params.format}" (expected json, csv or xlsx)`
+    });
+  }
+
+  if (report === 'summary' && params.group_by && !['day', 'week'].includes(params.group_by)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported group_by "${params.group_by}" (expected day or week)`
+    });
+  }
+
+  const job = reportJobs.submit({
+    type: report,
+    store: req.shop.id,
+    role: req.access.role,
+    params,
+    run: context => withLogContext(
+      { store: req.shop.id, job_id: context.jobId },
+      () => runReportJob(req.shop, report, params, { access: req.access, orderView: req.orderView, orderSearch: req.orderSearch }, context)
+    )
+  });
+
+  if (!job) {
+    return res.status(429).json({
+      success: false,
+      error: 'Too many report jobs queued - try again once some have finished'
+    });
+  }
+
+  logger.info('Queued report job', { report, job_id: job.id });
+  res.status(202).json({ success: true, job });
+});
+
+/**
+ * Whether the caller may see a report job: it must be for the request's store, and started by the
+ * same role (results hold customer details masked for that role) unless the caller has full access
+ */
+function canSeeReportJob(req, job) {
+  return job.store === req.shop.id && (job.role === req.access.role || req.access.fullAccess);
+}
+
+/**
+ * A report job, if the caller may see it (other stores' and roles' jobs are not found)
+ */
+function getShopReportJob(req) {
+  const job = reportJobs.get(req.params.jobId);
+  return job && canSeeReportJob(req, job) ? job : null;
+}
+
+/**
+ * List the store's report jobs, newest first
+ */
+app.get('/apps/order-report-proxy/reports', (req, res) => {
+  res.json({
+    success: true,
+    queue: reportJobs.stats(),
+    jobs: reportJobs.list().filter(job => canSeeReportJob(req, job))
+  });
+});
+
+/**
+ * Report job status and progress
+ */
+app.get('/apps/order-report-proxy/reports/:jobId', (req, res) => {
+  const job = getShopReportJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report job not found (it may have expired)'
+    });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * Download a finished report job's result
+ */
+app.get('/apps/order-report-proxy/reports/:jobId/result', (req, res) => {
+  const job = getShopReportJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report job not found (it may have expired)'
+    });
+  }
+
+  const resultPath = reportJobs.getResultPath(job.id);
+  if (!resultPath) {
+    return res.status(409).json({
+      success: false,
+      error: `Report job is ${job.status}, there is no result to download`,
+      job
+    });
+  }
+
+  res.setHeader('X-Report-Truncated', String(job.result.truncated));
+  if (job.result.next_cursor) res.setHeader('X-Report-Next-Cursor', job.result.next_cursor);
+  res.download(resultPath, job.result.filename, { headers: { 'Content-Type': job.result.content_type } });
+});
+
+/**
+ * Cancel a queued or running report job, or delete a finished one and its result
+ */
+app.delete('/apps/order-report-proxy/reports/:jobId', (req, res) => {
+  const previousStatus = getShopReportJob(req)?.status;
+  const job = previousStatus ? reportJobs.cancel(req.params.jobId) : null;
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Report job not found (it may have expired)'
+    });
+  }
+
+  const message = {
+    [JOB_STATUS.QUEUED]: 'Report job cancelled',
+    [JOB_STATUS.RUNNING]: 'Cancellation requested - the job stops after its current batch'
+  }[previousStatus] || 'Report job and its result deleted';
+
+  res.json({ success: true, message, job });
+});
+
+/**
+ * Payment summary: gross sales, refunds and net received by gateway, period and currency.
+ * Accepts the same filters as /orders, plus group_by=day|week.
+ */
+app.get('/apps/order-report-proxy/summary', async (req, res) => {
+  try {
+    const { group_by = 'day' } = req.query;
+
+    if (!['day', 'week'].includes(group_by)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported group_by "${group_by}" (expected day or week)`
+      });
+    }
+
+    logger.info('Building payment summary', { group_by });
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+    const enrichedOrders = await enrichOrders(req.shop, orders, { source, includeTransactions: true });
+
+    res.json({
+      success: true,
+      source,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      ...summarizePayments(enrichedOrders, { groupBy: group_by })
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    logger.error('Error in /summary endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build payment summary',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Payment summary for every store in the registry, side by side. Each store's totals stay in its
+ * own currency - nothing is added up across stores. Accepts the same filters as /summary except
+ * cursor (cursors belong to one store); a store that fails is reported without failing the rest.
+ */
+app.get('/apps/order-report-proxy/summary/stores', requireFullAccess, async (req, res) => {
+  try {
+    const { group_by = 'day', cursor } = req.query;
+
+    if (!['day', 'week'].includes(group_by)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported group_by "${group_by}" (expected day or week)`
+      });
+    }
+
+    if (cursor) {
+      return res.status(400).json({
+        success: false,
+        error: 'cursor is not supported across stores - continue a truncated store with /summary on that store'
+      });
+    }
+
+    logger.info('Building payment summary for every store', { store_count: stores.stores.length, group_by });
+    const summaries = await Promise.all(stores.stores.map(async shop => {
+      try {
+        const { orders, nextCursor, source } = await fetchReportOrders(shop, req.query);
+        const enrichedOrders = await enrichOrders(shop, orders, { source, includeTransactions: true });
+        return {
+          store: describeShop(shop),
+          success: true,
+          source,
+          truncated: Boolean(nextCursor),
+          ...summarizePayments(enrichedOrders, { groupBy: group_by })
+        };
+      } catch (error) {
+        logger.error('Error summarizing store payments', { summary_store: shop.id, error });
+        return { store: describeShop(shop), success: false, error: error.message };
+      }
+    }));
+
+    res.json({
+      success: summaries.every(summary => summary.success),
+      group_by,
+      stores: summaries
+    });
+  } catch (error) {
+    logger.error('Error in /summary/stores endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build combined payment summary',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Write the payment summary into a tab of the store's report spreadsheet (GOOGLE_REPORT_SHEET_ID,
+ * or report_sheet_id in the store registry).
+ * Body: { tab, mode: "replace" | "append" }. Accepts the same filters as /summary in the query.
+ */
+app.post('/apps/order-report-proxy/summary/sheet', requireFinanceRole, async (req, res) => {
+  try {
+    const { group_by = 'day' } = req.query;
+    const { tab = 'Payment Report', mode = 'replace' } = req.body || {};
+    const { reportSheetId } = req.shop;
+
+    // Writing needs the service account (an API key is read-only), or the stand-in in mock mode
+    if (!(googleAuth || sheetsApi) || !reportSheetId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sheets write-back needs a service account (GOOGLE_SERVICE_ACCOUNT_KEY_FILE or GOOGLE_SERVICE_ACCOUNT_JSON) and a report spreadsheet (GOOGLE_REPORT_SHEET_ID or report_sheet_id in the store registry)'
+      });
+    }
+
+    if (!['day', 'week'].includes(group_by)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported group_by "${group_by}" (expected day or week)`
+      });
+    }
+
+    if (!WRITE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported mode "${mode}" (expected ${WRITE_MODES.join(' or ')})`
+      });
+    }
+
+    if (typeof tab !== 'string' || !tab.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'tab must be a non-empty string'
+      });
+    }
+
+    logger.info('Writing payment summary to sheet', { tab, mode });
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+    const enrichedOrders = await enrichOrders(req.shop, orders, { source, includeTransactions: true });
+    const summary = summarizePayments(enrichedOrders, { groupBy: group_by });
+
+    const result = await sheetsClient.writeTab(reportSheetId, tab.trim(), {
+      header: SUMMARY_SHEET_COLUMNS.map(column => column.header),
+      rows: summaryToSheetRows(summary),
+      mode
+    });
+
+    res.json({
+      success: true,
+      source,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      spreadsheet_id: reportSheetId,
+      tab: tab.trim(),
+      tab_created: result.created,
+      mode: result.mode,
+      rows_written: result.rows_written
+    });
+  } catch (error) {
+    logger.error('Error writing summary to sheet', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to write payment summary to Google Sheets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * SKU sales: units sold, revenue, discounts and refunds per SKU (group_by=sku) or barcode, plus the
+ * line items with no SKU. Accepts the same filters as /orders; expand_bundles=true counts bundles as
+ * their components from BUNDLES_FILE.
+ */
+app.get('/apps/order-report-proxy/sku-sales', async (req, res) => {
+  try {
+    const { group_by = 'sku', expand_bundles = 'false' } = req.query;
+
+    if (!SKU_SALES_GROUPS.includes(group_by)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported group_by "${group_by}" (expected ${SKU_SALES_GROUPS.join(' or ')})`
+      });
+    }
+
+    if (expand_bundles === 'true' && group_by !== 'sku') {
+      return res.status(400).json({
+        success: false,
+        error: 'expand_bundles needs group_by=sku (bundles are mapped by SKU)'
+      });
+    }
+
+    logger.info('Building SKU sales report', { group_by, expand_bundles: expand_bundles === 'true' });
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+    // Transaction enrichment is what looks up the SKUs of bundle items
+    const enrichedOrders = await enrichOrders(req.shop, orders, { source, includeTransactions: true });
+
+    res.json({
+      success: true,
+      source,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      ...summarizeSkuSales(enrichedOrders, {
+        groupBy: group_by,
+        bundles: bundleMapping,
+        expandBundles: expand_bundles === 'true'
+      })
+    });
+  } catch (error) {
+    logger.error('Error in /sku-sales endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build SKU sales report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Stripe reconciliation: upload a Stripe balance-transactions or payout reconciliation CSV
+ * (multipart field "file") and match it to order transactions by charge ID.
+ * Accepts the same filters as /orders to choose which Shopify orders to compare against.
+ */
+app.post('/apps/order-report-proxy/reconcile/stripe', requireFinanceRole, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing Stripe CSV upload (multipart field "file")'
+      });
+    }
+
+    let stripeExport;
+    try {
+      stripeExport = parseStripeExport(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Stripe export',
+        message: parseError.message
+      });
+    }
+
+    logger.info('Reconciling Stripe charges', {
+      charges: stripeExport.charges.length,
+      disputes: stripeExport.disputes.length,
+      skipped_rows: stripeExport.skipped
+    });
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+    const enrichedOrders = await enrichOrders(req.shop, orders, { source, includeTransactions: true });
+    const reconciliation = reconcileStripe(enrichedOrders, stripeExport.charges, stripeExport.disputes);
+
+    // Matched disputes are kept, so the orders' payment ledgers count the chargebacks from now on.
+    // The export is authoritative for its orders within its created window: disputes stored from an
+    // earlier upload that it no longer has are removed. Without created times it can only add.
+    const { period } = stripeExport;
+    const { added: disputesAdded, removed: disputesRemoved } = period
+      ? req.shop.orderStore.replaceDisputes({
+        orderIds: enrichedOrders.map(order => order.id),
+        inWindow: dispute => {
+          const created = parseStripeTime(dispute.created);
+          return created >= Date.parse(period.from) && created <= Date.parse(period.to);
+        }
+      }, reconciliation.disputes)
+      : { added: req.shop.orderStore.saveDisputes(reconciliation.disputes), removed: 0 };
+
+    res.json({
+      success: true,
+      source,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      order_count: enrichedOrders.length,
+      stripe_rows_skipped: stripeExport.skipped,
+      disputes_added: disputesAdded,
+      disputes_removed: disputesRemoved,
+      stripe_period: period,
+      ...reconciliation
+    });
+  } catch (error) {
+    logger.error('Error in Stripe reconciliation', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile Stripe export',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Fetch a store's COD orders for the /orders filters and persist their collection status
+ * from its stored courier remittances
+ */
+async function refreshCodStatuses(shop, query) {
+  const { orders, nextCursor, source } = await fetchReportOrders(shop, query);
+  const codOrders = (await enrichOrders(shop, orders, { source, includeTransactions: false })).filter(isCodOrder);
+
+  const statuses = await shop.codStore.update(data => {
+    for (const order of codOrders) {
+      const orderNumber = String(order.order_number);
+      data.statuses[orderNumber] = {
+        ...computeCodStatus(order, data.remittances[orderNumber]),
+        updated_at: new Date().toISOString()
+      };
+    }
+    return data.statuses;
+  });
+
+  return { codOrders, statuses, nextCursor };
+}
+
+/**
+ * Upload a courier remittance CSV (multipart field "file"; columns: order number, amount collected,
+ * remittance date) and update the collection status of COD orders in the /orders filter range
+ */
+app.post('/apps/order-report-proxy/cod/remittances', requireFinanceRole, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing remittance CSV upload (multipart field "file")'
+      });
+    }
+
+    let remittanceFile;
+    try {
+      remittanceFile = parseRemittanceFile(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid remittance file',
+        message: parseError.message
+      });
+    }
+
+    const { courier = null } = req.query;
+    logger.info('Importing COD remittance rows', { rows: remittanceFile.rows.length, courier });
+
+    const { imported, duplicates } = await req.shop.codStore.update(data =>
+      mergeRemittances(data.remittances, remittanceFile.rows, { courier })
+    );
+    const { codOrders, statuses, nextCursor } = await refreshCodStatuses(req.shop, req.query);
+
+    // Remitted order numbers that aren't COD orders in the selected range are reported as unmatched
+    const codOrderNumbers = new Set(codOrders.map(order => String(order.order_number)));
+    const remittedOrderNumbers = [...new Set(remittanceFile.rows.map(r => r.order_number))];
+    const unmatched = remittedOrderNumbers.filter(orderNumber => !codOrderNumbers.has(orderNumber));
+    const fileStatuses = remittedOrderNumbers
+      .filter(orderNumber => codOrderNumbers.has(orderNumber))
+      .map(orderNumber => statuses[orderNumber]);
+
+    res.json({
+      success: true,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      imported,
+      duplicates,
+      invalid_rows: remittanceFile.invalid,
+      unmatched_order_numbers: unmatched,
+      orders: fileStatuses
+    });
+  } catch (error) {
+    logger.error('Error importing COD remittances', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import remittance file',
+      message: error.message
     });
+  }
+});
 
-    console.log(`✅ Found ${orders.length} orders`);
+/**
+ * COD collection status (pending, collected, short_paid) for orders in the /orders filter range
+ */
+app.get('/apps/order-report-proxy/cod/status', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { codOrders, statuses, nextCursor } = await refreshCodStatuses(req.shop, req.query);
 
-    // Always enrich with customer data from Google Sheets (fast)
-    console.log('👥 Enriching orders with customer data from Google Sheets...');
-    let enrichedOrders = orders.map(order => enrichOrderWithCustomerData(order));
-    
-    // Only enrich with transactions if requested (this is slow due to rate limits)
-    if (include_transactions === 'true') {
-      enrichedOrders = [];
-      console.log('🔄 Enriching orders with transaction details (batch processing)...');
-      enrichedOrders = [];
-      
-      // Process in batches of 5 to balance speed and rate limits
-      const batchSize = 5;
-      for (let i = 0; i < orders.length; i += batchSize) {
-        const batch = orders.slice(i, i + batchSize);
-        const batchPromises = batch.map(order => enrichOrderWithTransactions(order));
-        const batchResults = await Promise.all(batchPromises);
-        enrichedOrders.push(...batchResults);
-        
-        // Small delay between batches (100ms)
-        if (i + batchSize < orders.length) {
-          await sleep(100);
-        }
-      }
-      console.log('✅ All orders enriched successfully');
-    } else {
-      console.log('⚡ Skipping transaction enrichment for faster response');
+    const orderStatuses = codOrders
+      .map(order => statuses[String(order.order_number)])
+      .filter(s => !status || s.status === status);
+
+    const counts = {};
+    for (const s of codOrders.map(order => statuses[String(order.order_number)])) {
+      counts[s.status] = (counts[s.status] || 0) + 1;
     }
 
     res.json({
       success: true,
-      count: enrichedOrders.length,
-      orders: enrichedOrders
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      status_counts: counts,
+      count: orderStatuses.length,
+      orders: orderStatuses
     });
   } catch (error) {
-    console.error('❌ Error in /orders endpoint:', error.message);
+    logger.error('Error in /cod/status endpoint', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch orders',
+      error: 'Failed to fetch COD status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Aging report of delivered COD orders that the courier hasn't (fully) paid us for
+ */
+app.get('/apps/order-report-proxy/cod/aging', async (req, res) => {
+  try {
+    const minDays = parseInt(req.query.min_days) || 0;
+    const { codOrders, statuses, nextCursor } = await refreshCodStatuses(req.shop, req.query);
+
+    res.json({
+      success: true,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      min_days: minDays,
+      ...buildAgingReport(codOrders, statuses, { minDays })
+    });
+  } catch (error) {
+    logger.error('Error in /cod/aging endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build COD aging report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Fulfillment report: paid orders that haven't shipped, and COD orders that shipped at least
+ * min_days (default 7) days ago but are still unpaid. Accepts the same filters as /orders.
+ */
+app.get('/apps/order-report-proxy/fulfillment/report', async (req, res) => {
+  try {
+    const minDays = Number(req.query.min_days ?? 7);
+
+    if (!Number.isInteger(minDays) || minDays < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'min_days must be a whole number of days'
+      });
+    }
+
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+    // Fulfillments come with the order, so transactions aren't needed
+    const enrichedOrders = await enrichOrders(req.shop, orders, { source, includeTransactions: false });
+
+    res.json({
+      success: true,
+      source,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      min_days: minDays,
+      ...buildFulfillmentReport(enrichedOrders, { minDays })
+    });
+  } catch (error) {
+    logger.error('Error in /fulfillment/report endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build fulfillment report',
       message: error.message
     });
   }
 });
 
 /**
- * Get specific order details
+ * Get specific order details (local store first, Shopify when fresh=true or not synced yet)
  */
-app.get('/apps/order-report-proxy/orders/:orderId', async (req, res) => {
+app.get('/apps/order-report-proxy/orders/:orderId', parseOrderView, async (req, res) => {
   try {
     const { orderId } = req.params;
-    console.log(`📊 Fetching order ${orderId}...`);
 
-    const order = await fetchOrderDetails(orderId);
+    const storedOrder = req.query.fresh !== 'true' ? req.shop.orderStore.getOrder(orderId) : null;
+    if (storedOrder) {
+      return res.json({
+        success: true,
+        source: 'store',
+        order: presentOrder(withDerivedFields(req.shop, enrichOrderWithCustomerData(req.shop, storedOrder)), req.access, req.orderView)
+      });
+    }
+
+    const order = await fetchOrderDetails(req.shop, orderId);
     
     if (!order) {
       return res.status(404).json({
@@ -531,14 +2150,15 @@ app.get('/apps/order-report-proxy/orders/:orderId', async (req, res) => {
       });
     }
 
-    const enrichedOrder = await enrichOrderWithTransactions(order);
+    const enrichedOrder = await enrichOrderWithTransactions(req.shop, order);
 
     res.json({
       success: true,
-      order: enrichedOrder
+      source: 'shopify',
+      order: presentOrder(enrichedOrder, req.access, req.orderView)
     });
   } catch (error) {
-    console.error(`❌ Error fetching order:`, error.message);
+    logger.error('Error fetching order', { order_id: req.params.orderId, error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch order',
@@ -548,39 +2168,282 @@ app.get('/apps/order-report-proxy/orders/:orderId', async (req, res) => {
 });
 
 /**
- * Health check endpoint
+ * Stores served by this deployment, and which one the request was routed to
+ */
+app.get('/apps/order-report-proxy/stores', (req, res) => {
+  res.json({
+    success: true,
+    current: req.shop.id,
+    stores: stores.stores.map(describeShop)
+  });
+});
+
+/**
+ * Health check endpoint (for the request's store)
  */
 app.get('/apps/order-report-proxy/health', (req, res) => {
+  const { orderStore } = req.shop;
   res.json({
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    cache_status: {
-      has_customer_data: Object.keys(customerDataCache).length > 0,
-      customer_count: Object.keys(customerDataCache).length,
-      last_update: lastCacheUpdate
+    store: describeShop(req.shop),
+    shopify_mode: SHOPIFY_MODE,
+    cache_status: getCustomerCacheStatus(req.shop),
+    order_store: {
+      order_count: orderStore.countOrders(),
+      last_sync_at: orderStore.getSyncState('last_sync_at'),
+      last_sync_finished_at: orderStore.getSyncState('last_sync_finished_at'),
+      last_sync_count: parseInt(orderStore.getSyncState('last_sync_count')) || 0,
+      last_sync_error: orderStore.getSyncState('last_sync_error'),
+      sync_in_progress: req.shop.orderSyncInProgress,
+      sync_interval_minutes: ORDER_SYNC_INTERVAL_MINUTES
+    },
+    variant_cache: req.shop.variantCache.stats()
+  });
+});
+
+/**
+ * Run an incremental order sync now
+ */
+app.post('/apps/order-report-proxy/sync', requireOpsRole, async (req, res) => {
+  try {
+    logger.info('Manual order sync requested');
+    const result = await syncOrders(req.shop);
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'An order sync is already running'
+      });
     }
+
+    res.json({
+      success: true,
+      ...result,
+      order_count: req.shop.orderStore.countOrders()
+    });
+  } catch (error) {
+    logger.error('Error syncing orders', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync orders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Whether an Authorization header carries the expected bearer token (constant-time comparison)
+ */
+function isValidBearerToken(header, token) {
+  const given = Buffer.from(header || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Prometheus metrics. Not an app proxy route - scraped directly, with METRICS_TOKEN as a bearer token when set.
+ */
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !isValidBearerToken(req.get('Authorization'), METRICS_TOKEN)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid metrics token'
+    });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+/**
+ * Shopify webhook receiver (orders/create, orders/updated, orders/paid, refunds/create,
+ * order_transactions/create). Not an app proxy route - requests are verified by HMAC instead.
+ */
+app.post('/webhooks/shopify', (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+  // Each store signs its webhooks with its own secret; an unknown store can't be verified at all
+  const shop = stores.findByDomain(req.get('X-Shopify-Shop-Domain'));
+
+  if (!shop || !isValidWebhookHmac(rawBody, req.get('X-Shopify-Hmac-Sha256'), shop.webhookSecret)) {
+    logger.warn('Rejected webhook with missing or invalid HMAC', { topic, shop: req.get('X-Shopify-Shop-Domain'), configured: Boolean(shop) });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook HMAC'
+    });
+  }
+
+  addLogContext({ store: shop.id });
+
+  if (!WEBHOOK_TOPICS.includes(topic)) {
+    logger.info('Ignoring webhook topic', { topic });
+    return res.json({ success: true, ignored: true });
+  }
+
+  if (!webhookId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing X-Shopify-Webhook-Id header'
+    });
+  }
+
+  const payload = rawBody.toString('utf8');
+  const isNew = shop.orderStore.recordWebhook({
+    webhookId,
+    topic,
+    shop: shop.domain,
+    payload
   });
+
+  if (!isNew) {
+    logger.info('Webhook already received, skipping', { topic, webhook_id: webhookId });
+    return res.json({ success: true, duplicate: true });
+  }
+
+  // Acknowledge straight away - Shopify retries anything slower than 5 seconds
+  res.json({ success: true });
+  enqueueWebhook(shop, webhookId, topic, payload);
+});
+
+/**
+ * Debug: recently received webhooks and whether they were processed
+ */
+app.get('/apps/order-report-proxy/webhooks', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  res.json({
+    success: true,
+    webhooks: req.shop.orderStore.listWebhooks(limit)
+  });
+});
+
+/**
+ * Debug: re-process a stored webhook payload
+ */
+app.post('/apps/order-report-proxy/webhooks/:webhookId/replay', requireFullAccess, async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const event = req.shop.orderStore.getWebhook(webhookId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    logger.info('Replaying webhook', { topic: event.topic, webhook_id: webhookId });
+    const result = await enqueueWebhook(req.shop, webhookId, event.topic, event.payload);
+
+    res.json({
+      success: result.processed,
+      webhook_id: webhookId,
+      topic: event.topic,
+      ...(result.error && { error: result.error })
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook',
+      message: error.message
+    });
+  }
 });
 
 /**
- * Refresh Google Sheets customer data cache
+ * Refresh the store's Google Sheets customer data cache
  */
-app.post('/apps/order-report-proxy/refresh-customer-data', async (req, res) => {
+app.post('/apps/order-report-proxy/refresh-customer-data', requireOpsRole, async (req, res) => {
+  const state = req.shop.customerData;
   try {
-    console.log('🔄 Manual refresh of customer data requested...');
-    await refreshCustomerDataCache();
+    logger.info('Manual customer data refresh requested');
+    const change = await refreshCustomerDataCache(req.shop);
+    const { lastImportReport } = state;
     res.json({
       success: true,
       message: 'Customer data cache refreshed successfully',
-      customer_count: Object.keys(customerDataCache).length,
-      last_update: lastCacheUpdate
+      customer_count: Object.keys(state.cache).length,
+      last_update: state.lastUpdate,
+      changes: change && { added: change.added, changed: change.changed, removed: change.removed },
+      import_report: lastImportReport && {
+        total_rows: lastImportReport.total_rows,
+        imported: lastImportReport.imported,
+        skipped_rows: lastImportReport.skipped_rows.length,
+        duplicate_order_numbers: lastImportReport.duplicate_order_numbers.length,
+        mapping_errors: lastImportReport.mapping_errors
+      }
+    });
+  } catch (error) {
+    logger.error('Error refreshing customer data', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh customer data - the previous snapshot is still in use',
+      message: error.message,
+      customer_count: Object.keys(state.cache).length,
+      last_update: state.lastUpdate
+    });
+  }
+});
+
+/**
+ * Order numbers added, changed and removed by recent customer data refreshes, newest first
+ */
+app.get('/apps/order-report-proxy/customer-data/changes', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, MAX_CUSTOMER_DATA_CHANGES);
+  const { changes } = req.shop.customerData;
+
+  res.json({
+    success: true,
+    count: Math.min(limit, changes.length),
+    changes: changes.slice(0, limit)
+  });
+});
+
+/**
+ * Validation report from the last Google Sheets import
+ */
+app.get('/apps/order-report-proxy/customer-data/report', (req, res) => {
+  const { lastImportReport } = req.shop.customerData;
+  if (!lastImportReport) {
+    return res.status(404).json({
+      success: false,
+      error: 'No customer data import has completed yet'
+    });
+  }
+
+  res.json({
+    success: true,
+    report: lastImportReport
+  });
+});
+
+/**
+ * Customer data quality: each order in range compared with its Google Sheets row field by field.
+ * Lists conflicts, sheet rows for orders that don't exist and orders with no email or phone.
+ * Accepts the same filters as /orders. Shows unmasked customer details, so it needs full access.
+ */
+app.get('/apps/order-report-proxy/customer-data/discrepancies', requireFullAccess, async (req, res) => {
+  try {
+    const { orders, nextCursor, source } = await fetchReportOrders(req.shop, req.query);
+    // The store has every order, so a sheet row missing from it really is an orphan. Fetched orders
+    // are only those matching the filters, so the orphan check is skipped rather than guessed.
+    const knownOrderNumbers = source === 'store' ? req.shop.orderStore.listOrderNumbers() : null;
+
+    res.json({
+      success: true,
+      source,
+      truncated: Boolean(nextCursor),
+      next_cursor: nextCursor,
+      orphan_check: knownOrderNumbers ? 'store' : 'skipped',
+      ...buildCustomerDataReport(orders, req.shop.customerData.cache, { knownOrderNumbers })
     });
   } catch (error) {
-    console.error('❌ Error refreshing customer data:', error.message);
+    logger.error('Error in /customer-data/discrepancies endpoint', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to refresh customer data',
+      error: 'Failed to build customer data discrepancy report',
       message: error.message
     });
   }
@@ -589,12 +2452,12 @@ app.post('/apps/order-report-proxy/refresh-customer-data', async (req, res) => {
 /**
  * Debug endpoint: View raw order data for troubleshooting
  */
-app.get('/apps/order-report-proxy/debug/order/:orderId', async (req, res) => {
+app.get('/apps/order-report-proxy/debug/order/:orderId', requireFullAccess, async (req, res) => {
   try {
     const { orderId } = req.params;
-    console.log(`🔍 DEBUG: Fetching raw order ${orderId}...`);
+    logger.info('Debug: fetching raw order', { order_id: orderId });
 
-    const order = await fetchOrderDetails(orderId);
+    const order = await fetchOrderDetails(req.shop, orderId);
     
     if (!order) {
       return res.status(404).json({
@@ -622,7 +2485,7 @@ app.get('/apps/order-report-proxy/debug/order/:orderId', async (req, res) => {
       raw_order: order
     });
   } catch (error) {
-    console.error(`❌ DEBUG Error:`, error.message);
+    logger.error('Debug: error fetching raw order', { order_id: req.params.orderId, error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch order',
@@ -632,27 +2495,112 @@ app.get('/apps/order-report-proxy/debug/order/:orderId', async (req, res) => {
 });
 
 /**
- * GraphQL endpoint for more complex queries (optional)
+ * List the persisted GraphQL queries clients can call by ID
  */
-app.post('/apps/order-report-proxy/graphql', async (req, res) => {
+app.get('/apps/order-report-proxy/graphql/queries', requireFullAccess, (req, res) => {
+  res.json({
+    success: true,
+    persisted_only: GRAPHQL_PERSISTED_ONLY,
+    max_query_cost: GRAPHQL_MAX_QUERY_COST,
+    queries: [...persistedQueries.values()].map(({ id, description, operation_types }) => ({ id, description, operation_types }))
+  });
+});
+
+/**
+ * Execute a GraphQL query against the Admin API.
+ * Body: { id, variables } for a persisted query, or { query, variables } for an ad-hoc read-only query.
+ * Mutations and subscriptions are only allowed in persisted queries.
+ */
+app.post('/apps/order-report-proxy/graphql', requireFullAccess, async (req, res) => {
+  const { id, query: adHocQuery, variables } = req.body || {};
+  const persisted = id !== undefined ? persistedQueries.get(String(id)) : null;
+  const query = persisted ? persisted.query : adHocQuery;
+
+  // Variable values can hold customer details, so only their names are logged
+  const audit = {
+    shop: req.shop.domain,
+    customer_id: req.query.logged_in_customer_id || null,
+    api_key: req.access.keyName,
+    role: req.access.role,
+    ip: req.ip,
+    query_id: persisted ? persisted.id : null,
+    query_hash: query ? hashQuery(query) : null,
+    variables: variables && typeof variables === 'object' ? Object.keys(variables) : []
+  };
+
+  const reject = (status, error, details = {}) => {
+    graphqlAuditLog.record({ ...audit, outcome: 'rejected', status, error });
+    return res.status(status).json({ success: false, error, ...details });
+  };
+
+  if (id !== undefined && !persisted) {
+    return reject(404, `Unknown persisted query "${id}"`);
+  }
+  if (!persisted && GRAPHQL_PERSISTED_ONLY) {
+    return reject(403, 'Only persisted queries are allowed - send { "id": ... } instead of a query');
+  }
+  if (typeof query !== 'string' || !query.trim()) {
+    return reject(400, 'Missing GraphQL query (send "id" for a persisted query or "query")');
+  }
+
+  const operationTypes = persisted ? persisted.operation_types : getOperationTypes(query);
+  if (!operationTypes) {
+    return reject(400, 'Could not parse GraphQL query');
+  }
+  if (!persisted && isWriteOperation(operationTypes)) {
+    return reject(403, 'Mutations and subscriptions are not allowed through the proxy - use a persisted query');
+  }
+
+  const { shopify, graphqlQueryCosts } = req.shop;
+  const costKey = queryCostKey(persisted ? `persisted:${persisted.id}` : `query:${hashQuery(query)}`, variables);
+  const knownCost = graphqlQueryCosts.get(costKey);
+  if (knownCost > GRAPHQL_MAX_QUERY_COST) {
+    return reject(422, `Query cost ${knownCost} exceeds the limit of ${GRAPHQL_MAX_QUERY_COST}`, { requested_query_cost: knownCost });
+  }
+
   try {
-    const { query, variables } = req.body;
-
-    const response = await axios.post(
-      `https://${SHOPIFY_STORE}/admin/api/2024-01/graphql.json`,
-      { query, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const result = await shopify.graphql(query, variables, knownCost ? { estimatedCost: knownCost } : undefined);
+    const cost = result.extensions?.cost;
+    if (cost?.requestedQueryCost !== undefined) {
+      graphqlQueryCosts.set(costKey, cost.requestedQueryCost);
+    }
+
+    // Shopify has already run it by now. A read's results are withheld; a mutation's are returned
+    // (it has been applied either way) and the audit log records that it was over the limit.
+    const overCostLimit = cost?.requestedQueryCost > GRAPHQL_MAX_QUERY_COST;
+    if (overCostLimit && !isWriteOperation(operationTypes)) {
+      return reject(422, `Query cost ${cost.requestedQueryCost} exceeds the limit of ${GRAPHQL_MAX_QUERY_COST}`, { requested_query_cost: cost.requestedQueryCost });
+    }
+
+    const status = result.errors?.length && !result.data ? statusForGraphqlErrors(result.errors) : 200;
+    graphqlAuditLog.record({
+      ...audit,
+      operation_types: operationTypes,
+      outcome: status === 200 ? 'ok' : 'error',
+      status,
+      requested_query_cost: cost?.requestedQueryCost ?? null,
+      actual_query_cost: cost?.actualQueryCost ?? null,
+      over_cost_limit: overCostLimit || undefined,
+      errors: result.errors?.length ? result.errors.map(e => e.message) : undefined
+    });
 
-    res.json(response.data);
+    res.status(status).json(result);
   } catch (error) {
-    console.error('❌ GraphQL Error:', error.message);
-    res.status(500).json({
+    logger.error('GraphQL proxy error', { error });
+
+    // Pass Shopify's own status and errors through (401 bad token, 402 frozen shop, 429 throttled, ...)
+    if (error.response) {
+      const status = error.response.status;
+      graphqlAuditLog.record({ ...audit, operation_types: operationTypes, outcome: 'error', status, error: error.message });
+      return res.status(status).json({
+        success: false,
+        error: 'Shopify rejected the GraphQL request',
+        errors: error.response.data?.errors ?? error.response.data ?? null
+      });
+    }
+
+    graphqlAuditLog.record({ ...audit, operation_types: operationTypes, outcome: 'error', status: 502, error: error.message });
+    res.status(502).json({
       success: false,
       error: 'GraphQL query failed',
       message: error.message
@@ -660,11 +2608,32 @@ app.post('/apps/order-report-proxy/graphql', async (req, res) => {
   }
 });
 
+/**
+ * Recent GraphQL proxy audit log entries, newest first
+ */
+app.get('/apps/order-report-proxy/graphql/audit', requireFullAccess, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const entries = await graphqlAuditLog.tail(limit);
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    logger.error('Error reading GraphQL audit log', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read GraphQL audit log',
+      message: error.message
+    });
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 Order Report Proxy Server running on port ${PORT}`);
-  console.log(`📍 Store: ${SHOPIFY_STORE}`);
-  console.log(`✅ Ready to fetch orders with payment details`);
+  logger.info('Order Report Proxy Server running', {
+    port: Number(PORT),
+    api_version: SHOPIFY_API_VERSION,
+    shopify_mode: SHOPIFY_MODE,
+    stores: stores.stores.map(shop => `${shop.id} (${shop.domain})`)
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, maskOrder, requireRole, requireFullAccess, parseOrderView } = require('../lib/accessControl');
+
+const access = role => ({ keyName: `${role} key`, role, ...ROLES[role] });
+
+const order = {
+  id: 1001,
+  name: '#1001',
+  email: 'sara.khan@example.com',
+  contact_email: 'sara.khan@example.com',
+  phone: '+966 50 123 4567',
+  total_price: '120.00',
+  customer: { first_name: 'Sara', last_name: 'Khan', email: 'sara.khan@example.com', phone: '+966501234567' },
+  customer_info: { full_name: 'Sara Khan', email: 'sara.khan@example.com', phone: '+966501234567' },
+  shipping_address: {
+    first_name: 'Sara', last_name: 'Khan', name: 'Sara Khan', phone: '+966501234567',
+    address1: '12 King Fahd Road', address2: 'Apt 4', zip: '12271', company: 'Acme',
+    city: 'Riyadh', province: 'Riyadh', country: 'Saudi Arabia'
+  },
+  billing_address: { name: 'Sara Khan', address1: '12 King Fahd Road', city: 'Riyadh', country: 'Saudi Arabia' }
+};
+
+/**
+ * Run a middleware against a fake request; returns what it did
+ */
+function runMiddleware(middleware, req) {
+  const outcome = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  middleware(req, res, () => { outcome.nextCalled = true; });
+  return outcome;
+}
+
+test('admin sees the order untouched', () => {
+  assert.equal(maskOrder(order, access('admin')), order);
+});
+
+test('ops sees names, phones and addresses, with emails masked', () => {
+  const masked = maskOrder(order, access('ops'));
+  assert.equal(masked.email, 's***@example.com');
+  assert.equal(masked.customer.email, 's***@example.com');
+  assert.equal(masked.phone, order.phone);
+  assert.equal(masked.customer_info.full_name, 'Sara Khan');
+  assert.equal(masked.shipping_address.address1, '12 King Fahd Road');
+});
+
+test('finance sees names in full, masked contacts and no street address', () => {
+  const masked = maskOrder(order, access('finance'));
+  assert.equal(masked.customer.first_name, 'Sara');
+  assert.equal(masked.contact_email, 's***@example.com');
+  assert.equal(masked.phone, '+*** ** *** 4567');
+  assert.equal(masked.customer.phone, '+********4567');
+  for (const field of ['address1', 'address2', 'zip', 'company']) {
+    assert.equal(masked.shipping_address[field], null, field);
+  }
+  assert.equal(masked.billing_address.address1, null);
+  assert.equal(masked.shipping_address.city, 'Riyadh');
+  assert.equal(masked.shipping_address.country, 'Saudi Arabia');
+});
+
+test('viewer sees no customer details at all, but keeps order figures and places', () => {
+  const masked = maskOrder(order, access('viewer'));
+  const serialized = JSON.stringify(masked);
+  for (const value of ['Sara', 'Khan', 'sara.khan', '4567', 'King Fahd', '12271']) {
+    assert.ok(!serialized.includes(value), `${value} is visible to viewer`);
+  }
+  assert.equal(masked.total_price, '120.00');
+  assert.equal(masked.shipping_address.city, 'Riyadh');
+});
+
+test('masking leaves the original order alone', () => {
+  const copy = structuredClone(order);
+  maskOrder(order, access('viewer'));
+  assert.deepEqual(order, copy);
+});
+
+test('requireRole only lets the named roles through', () => {
+  const financeWrites = requireRole('admin', 'finance');
+  assert.equal(runMiddleware(financeWrites, { access: access('admin') }).nextCalled, true);
+  assert.equal(runMiddleware(financeWrites, { access: access('finance') }).nextCalled, true);
+  for (const role of ['ops', 'viewer']) {
+    const outcome = runMiddleware(financeWrites, { access: access(role) });
+    assert.equal(outcome.nextCalled, false);
+    assert.equal(outcome.status, 403);
+    assert.match(outcome.body.error, new RegExp(`The ${role} role cannot use this route`));
+  }
+});
+
+test('requireFullAccess is admin only', () => {
+  assert.equal(runMiddleware(requireFullAccess, { access: access('admin') }).nextCalled, true);
+  assert.equal(runMiddleware(requireFullAccess, { access: access('ops') }).status, 403);
+});
+
+test('roles without full access default to the report view and cannot ask for the full one', () => {
+  const req = { query: {}, access: access('finance') };
+  assert.equal(runMiddleware(parseOrderView, req).nextCalled, true);
+  assert.equal(req.orderView.view, 'report');
+  assert.ok(req.orderView.columns.length > 0);
+
+  const full = runMiddleware(parseOrderView, { query: { view: 'full' }, access: access('viewer') });
+  assert.equal(full.status, 403);
+  assert.equal(full.body.error, 'The viewer role can only use view=report');
+});
+
+test('admin defaults to the full view, and fields switches to the report view', () => {
+  const req = { query: {}, access: access('admin') };
+  runMiddleware(parseOrderView, req);
+  assert.deepEqual(req.orderView, { view: 'full', columns: null });
+
+  const picked = { query: { fields: 'order_name,amount' }, access: access('admin') };
+  runMiddleware(parseOrderView, picked);
+  assert.equal(picked.orderView.view, 'report');
+});
+
+test('invalid views and fields are 400s', () => {
+  assert.equal(runMiddleware(parseOrderView, { query: { view: 'raw' }, access: access('admin') }).status, 400);
+  assert.equal(runMiddleware(parseOrderView, { query: { view: 'full', fields: 'amount' }, access: access('admin') }).status, 400);
+  assert.equal(runMiddleware(parseOrderView, { query: { fields: 'nope' }, access: access('admin') }).status, 400);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeProxySignature, isValidProxySignature, requireProxySignature } = require('../lib/appProxySignature');
+
+// Signed examples from Shopify's app proxy documentation (secret "hush")
+const SECRET = 'hush';
+const SIGNED = 'extra=1&extra=2&shop=shop-name.myshopify.com&path_prefix=%2Fapps%2Fawesome_reviews&timestamp=1317327555'
+  + '&signature=a9718877bea71c2484f91608a7eaea1532bdf71f5c56825065fa4ccabe549ef3';
+const SIGNED_WITH_CUSTOMER = 'extra=1&extra=2&shop=shop-name.myshopify.com&logged_in_customer_id=1&path_prefix=%2Fapps%2Fawesome_reviews&timestamp=1317327555'
+  + '&signature=4c68c8624d737112c91818c11017d24d334b524cb5c2b8ba08daa056f7395ddb';
+
+/**
+ * Run the middleware on a request for path?query; resolves to { nextCalled, status, body }
+ */
+function runMiddleware(middleware, query) {
+  const outcome = { nextCalled: false, status: null, body: null };
+  const req = { method: 'GET', path: '/apps/order-report-proxy/orders', originalUrl: `/apps/order-report-proxy/orders${query ? `?${query}` : ''}` };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  middleware(req, res, () => { outcome.nextCalled = true; });
+  return outcome;
+}
+
+test('computeProxySignature matches the documented signatures', () => {
+  assert.equal(computeProxySignature(SIGNED, SECRET), 'a9718877bea71c2484f91608a7eaea1532bdf71f5c56825065fa4ccabe549ef3');
+  assert.equal(computeProxySignature(SIGNED_WITH_CUSTOMER, SECRET), '4c68c8624d737112c91818c11017d24d334b524cb5c2b8ba08daa056f7395ddb');
+});
+
+test('computeProxySignature ignores parameter order', () => {
+  const reordered = 'timestamp=1317327555&path_prefix=%2Fapps%2Fawesome_reviews&shop=shop-name.myshopify.com&extra=1&extra=2';
+  assert.equal(computeProxySignature(reordered, SECRET), 'a9718877bea71c2484f91608a7eaea1532bdf71f5c56825065fa4ccabe549ef3');
+});
+
+test('isValidProxySignature accepts known-good query strings', () => {
+  assert.equal(isValidProxySignature(SIGNED, SECRET), true);
+  assert.equal(isValidProxySignature(SIGNED_WITH_CUSTOMER, SECRET), true);
+});
+
+test('isValidProxySignature rejects tampered query strings', () => {
+  assert.equal(isValidProxySignature(SIGNED.replace('timestamp=1317327555', 'timestamp=1317327556'), SECRET), false);
+  assert.equal(isValidProxySignature(SIGNED.replace('extra=2', 'extra=3'), SECRET), false);
+  assert.equal(isValidProxySignature(`${SIGNED}&logged_in_customer_id=1`, SECRET), false);
+  assert.equal(isValidProxySignature(SIGNED.replace('signature=a97', 'signature=b97'), SECRET), false);
+});
+
+test('isValidProxySignature rejects a wrong secret, a missing signature or a missing secret', () => {
+  assert.equal(isValidProxySignature(SIGNED, 'not-the-secret'), false);
+  assert.equal(isValidProxySignature(SIGNED.replace(/&signature=.*$/, ''), SECRET), false);
+  assert.equal(isValidProxySignature(`${SIGNED.replace(/&signature=.*$/, '')}&signature=`, SECRET), false);
+  assert.equal(isValidProxySignature(SIGNED, undefined), false);
+});
+
+test('requireProxySignature passes signed requests through', () => {
+  const outcome = runMiddleware(requireProxySignature({ secret: SECRET }), SIGNED);
+  assert.equal(outcome.nextCalled, true);
+  assert.equal(outcome.status, null);
+});
+
+test('requireProxySignature answers 401 for tampered and unsigned requests', () => {
+  for (const query of [SIGNED.replace('extra=1', 'extra=9'), SIGNED.replace(/&signature=.*$/, ''), '']) {
+    const outcome = runMiddleware(requireProxySignature({ secret: SECRET }), query);
+    assert.equal(outcome.nextCalled, false);
+    assert.equal(outcome.status, 401);
+    assert.deepEqual(outcome.body, { success: false, error: 'Invalid app proxy signature' });
+  }
+});
+
+test('requireProxySignature takes the secret from the request when given a function', () => {
+  const middleware = requireProxySignature({ secret: req => (req.path.startsWith('/apps/') ? SECRET : 'other') });
+  assert.equal(runMiddleware(middleware, SIGNED).nextCalled, true);
+});
+
+test('requireProxySignature lets everything through when bypassed', () => {
+  const outcome = runMiddleware(requireProxySignature({ secret: SECRET, bypass: true }), '');
+  assert.equal(outcome.nextCalled, true);
+  assert.equal(outcome.status, null);
+});
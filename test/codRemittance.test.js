@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRemittanceFile, mergeRemittances, computeCodStatus } = require('../lib/codRemittance');
+
+test('amounts must be numbers; a bare sign or point lands in invalid instead of counting as 0', () => {
+  const { rows, invalid } = parseRemittanceFile([
+    'Order No,Amount Collected,Remittance Date',
+    '#1001,"AED 1,200.50",2024-03-01',
+    '#1002,-,2024-03-01',
+    '#1003,.,2024-03-01',
+    '#1004,12 50,2024-03-01',
+    ',100.00,2024-03-01',
+    '#1005,100.00,'
+  ].join('\n'));
+
+  assert.deepEqual(rows.map(({ order_number, amount }) => ({ order_number, amount })), [
+    { order_number: '1001', amount: '1200.50' }
+  ]);
+  assert.deepEqual(invalid.map(({ line, reason }) => ({ line, reason })), [
+    { line: 3, reason: 'invalid amount "-"' },
+    { line: 4, reason: 'invalid amount "."' },
+    { line: 5, reason: 'invalid amount "12 50"' },
+    { line: 6, reason: 'missing order number' },
+    { line: 7, reason: 'missing remittance date' }
+  ]);
+});
+
+test('equal collections for one order both count, and re-uploading the file adds nothing', () => {
+  const text = 'Order No,Amount Collected,Remittance Date\n1001,100.00,2024-03-01\n1001,100.00,2024-03-01';
+  const stored = {};
+
+  assert.deepEqual(mergeRemittances(stored, parseRemittanceFile(text).rows), { imported: 2, duplicates: 0 });
+  assert.deepEqual(mergeRemittances(stored, parseRemittanceFile(text).rows), { imported: 0, duplicates: 2 });
+  const status = computeCodStatus({ id: 1, name: '#1001', order_number: 1001, total_price: '200.00' }, stored['1001']);
+  assert.equal(status.status, 'collected');
+  assert.equal(status.collected_amount, '200.00');
+});
+
+test('a courier reference identifies a row across different files', () => {
+  const first = 'Order No,Amount,Date,Remittance ID\n1001,100.00,2024-03-01,R-1';
+  const weekly = 'Order No,Amount,Date,Remittance ID\n1002,50.00,2024-03-08,R-2\n1001,100.00,2024-03-01,R-1';
+  const stored = {};
+
+  mergeRemittances(stored, parseRemittanceFile(first).rows);
+  assert.deepEqual(mergeRemittances(stored, parseRemittanceFile(weekly).rows), { imported: 1, duplicates: 1 });
+});
+
+test('rows stored before rows had ids are still matched by amount and date', () => {
+  const stored = { 1001: [{ order_number: '1001', amount: '100', remitted_at: '2024-03-01' }] };
+  const { rows } = parseRemittanceFile('Order No,Amount,Date\n1001,100.00,2024-03-01');
+  assert.deepEqual(mergeRemittances(stored, rows), { imported: 0, duplicates: 1 });
+});
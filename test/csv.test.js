@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, normalizeHeader } = require('../lib/csv');
+
+test('quoted fields keep commas and line breaks', () => {
+  assert.deepEqual(parseCsv('order,address\n1001,"12 Main St,\nApt 4"\n1002,Dubai\n'), [
+    ['order', 'address'],
+    ['1001', '12 Main St,\nApt 4'],
+    ['1002', 'Dubai']
+  ]);
+});
+
+test('"" inside a quoted field is one quote', () => {
+  assert.deepEqual(parseCsv('note\n"She said ""leave it at the door"""'), [['note'], ['She said "leave it at the door"']]);
+});
+
+test('CRLF line endings and a UTF-8 BOM are handled', () => {
+  assert.deepEqual(parseCsv('\uFEFForder,phone\r\n1001,050\r\n'), [['order', 'phone'], ['1001', '050']]);
+});
+
+test('blank lines are dropped unless kept for row numbers', () => {
+  const text = 'order\n\n1001\n';
+  assert.deepEqual(parseCsv(text), [['order'], ['1001']]);
+  assert.deepEqual(parseCsv(text, { keepBlankLines: true }), [['order'], [''], ['1001']]);
+});
+
+test('an unterminated quote is an error, not the rest of the file in one field', () => {
+  assert.throws(() => parseCsv('order,note\n1001,ok\n1002,"never closed\n1003,lost\n'), /Unterminated quoted field starting on line 3/);
+});
+
+test('headers are normalised in any script', () => {
+  assert.equal(normalizeHeader(' Created (UTC) '), 'created_utc');
+  assert.equal(normalizeHeader('رقم الطلب'), 'رقم_الطلب');
+  assert.notEqual(normalizeHeader('الاسم'), normalizeHeader('رقم الطلب'));
+  assert.equal(normalizeHeader('#'), '');
+});
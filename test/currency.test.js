@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertAmount } = require('../lib/currency');
+
+test('conversions are exact where floats would drift', () => {
+  assert.equal(convertAmount('100.00', '3.75', 'SAR'), '375.00');
+  // 12345678.99 * 3.672500000001 needs more digits than a double holds
+  assert.equal(convertAmount('12345678.99', '3.672500000001', 'AED'), '45339506.09');
+});
+
+test('half a minor unit rounds away from zero, for negative amounts too', () => {
+  assert.equal(convertAmount('0.01', '0.5', 'USD'), '0.01');
+  assert.equal(convertAmount('-0.01', '0.5', 'USD'), '-0.01');
+  assert.equal(convertAmount('0.01', '0.4', 'USD'), '0.00');
+  // Half a thousandth, in a currency that has thousandths
+  assert.equal(convertAmount('0.001', '0.5', 'KWD'), '0.001');
+  assert.equal(convertAmount('-0.001', '0.5', 'KWD'), '-0.001');
+});
+
+test('amounts are rounded to the target currency\'s own minor unit', () => {
+  assert.equal(convertAmount('1.00', '0.3071', 'KWD'), '0.307');
+  assert.equal(convertAmount('10.00', '149.55', 'JPY'), '1496.00');
+  assert.equal(convertAmount('1.00', '0.5', 'JPY'), '1.00');
+  assert.equal(convertAmount('-1.00', '0.5', 'JPY'), '-1.00');
+});
+
+test('rounding happens once, not to thousandths first', () => {
+  // 0.4995 yen: rounding to 0.500 first would then round up to 1
+  assert.equal(convertAmount('1.00', '0.4995', 'JPY'), '0.00');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCustomerDataReport } = require('../lib/customerDataQuality');
+
+const orders = [
+  { id: 1, name: '#1001', order_number: 1001, email: 'a@example.com', shipping_address: { city: 'Dubai' } },
+  { id: 2, name: '#1002', order_number: 1002, email: 'b@example.com', shipping_address: { city: 'Sharjah' } }
+];
+
+// 1001 is fetched, 1500 exists but is outside the filters, 9999 exists nowhere
+const sheetData = {
+  1001: { email: 'A@example.com', city: 'Abu Dhabi' },
+  1500: { email: 'c@example.com' },
+  9999: { phone: '0501234567' }
+};
+
+test('rows for order numbers missing from the known orders are orphans', () => {
+  const report = buildCustomerDataReport(orders, sheetData, { knownOrderNumbers: new Set(['1001', '1002', '1500']) });
+  assert.equal(report.orphan_sheet_row_count, 1);
+  assert.deepEqual(report.orphan_sheet_rows, [{ order_number: '9999', fields: ['phone'] }]);
+});
+
+test('without the full list of orders the orphan check is skipped, not guessed from the fetched ones', () => {
+  for (const knownOrderNumbers of [undefined, null]) {
+    const report = buildCustomerDataReport(orders, sheetData, { knownOrderNumbers });
+    assert.equal(report.orphan_sheet_row_count, null);
+    assert.equal(report.orphan_sheet_rows, null);
+  }
+});
+
+test('fields are compared whether or not orphans are checked', () => {
+  const report = buildCustomerDataReport(orders, sheetData);
+  assert.equal(report.orders_with_sheet_row, 1);
+  assert.deepEqual(report.field_summary.email, { agree: 1, conflict: 0, sheets_only: 0, shopify_only: 1, missing: 0 });
+  assert.deepEqual(report.conflicts.map(({ field, sheets, shopify }) => ({ field, sheets, shopify })), [
+    { field: 'city', sheets: 'Abu Dhabi', shopify: 'Dubai' }
+  ]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveColumns, importCustomerRows } = require('../lib/customerSheetImport');
+
+test('a Name column is not taken as the order number', () => {
+  const { columns, errors } = resolveColumns(['Name', 'Order #', 'Phone']);
+  assert.deepEqual(errors, []);
+  assert.equal(columns.order, 1);
+  assert.equal(columns.phone, 2);
+});
+
+test('exact candidates are tried in preference order, not sheet order', () => {
+  const { columns } = resolveColumns(['Order ID', 'Number', 'Order Number']);
+  assert.equal(columns.order, 2);
+});
+
+test('exact names win over loose matches that come first in the sheet', () => {
+  const { columns } = resolveColumns(['Order Notes', 'Order', 'Mobile Phone', 'Phone']);
+  assert.equal(columns.order, 1);
+  assert.equal(columns.phone, 3);
+});
+
+test('loose matches fill fields no exact name found', () => {
+  const { columns } = resolveColumns(['Order Ref', 'Customer First', 'WhatsApp Mobile']);
+  assert.deepEqual(columns, { order: 0, first_name: 1, phone: 2 });
+});
+
+test('a sheet with Name, Order #, Phone imports every row', () => {
+  const { customerData, report } = importCustomerRows([
+    ['Name', 'Order #', 'Phone'],
+    ['Jane Doe', '#1001', '0501234567'],
+    ['Omar Ali', '1002', '0507654321']
+  ]);
+  assert.equal(report.imported, 2);
+  assert.deepEqual(report.skipped_rows, []);
+  assert.equal(customerData['1001'].phone, '0501234567');
+});
+
+test('explicit mappings to Arabic headers resolve to their own columns', () => {
+  const headers = ['رقم الطلب', 'الاسم', 'الجوال'];
+  const { columns, errors } = resolveColumns(headers, { order: 'رقم الطلب', first_name: 'الاسم', phone: 'الجوال' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(columns, { order: 0, first_name: 1, phone: 2 });
+
+  const { customerData } = importCustomerRows([headers, ['1001', 'سارة', '0501234567']], {
+    columnMapping: { order: 'رقم الطلب', first_name: 'الاسم', phone: 'الجوال' }
+  });
+  assert.equal(customerData['1001'].first_name, 'سارة');
+});
+
+test('a mapped header that is not in the sheet is an error and nothing is imported', () => {
+  const rows = [['رقم الطلب', 'الاسم'], ['1001', 'سارة']];
+  const { customerData, report } = importCustomerRows(rows, { columnMapping: { order: 'رقم الطلب', first_name: 'اسم العميل' } });
+  assert.deepEqual(report.mapping_errors, ['Mapped column "اسم العميل" for first_name is not in the sheet']);
+  assert.deepEqual(customerData, {});
+  assert.deepEqual(report.skipped_rows, [{ row: 2, reason: 'column mapping errors' }]);
+});
+
+test('two fields mapped to the same column is an error', () => {
+  const { errors } = resolveColumns(['Order', 'Contact'], { email: 'Contact', phone: 'contact' });
+  assert.deepEqual(errors, ['Mapped column "contact" for phone is already mapped to email']);
+});
+
+test('a mapping to a header of only punctuation matches nothing', () => {
+  const { errors } = resolveColumns(['Order', '#'], { phone: '--' });
+  assert.deepEqual(errors, ['Mapped column "--" for phone is not in the sheet']);
+});
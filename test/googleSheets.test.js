@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSheetsClient } = require('../lib/googleSheets');
+const { parseRange, createFixtureSheetsApi } = require('../lib/sheetsFixtures');
+
+const SHEET_ID = 'sheet-id';
+const header = ['Date', 'Orders', 'Total'];
+
+/**
+ * Sheets client over the fixture stand-in, recording every API call it makes
+ */
+function clientWith(tabs) {
+  const sheetsApi = createFixtureSheetsApi(tabs);
+  const calls = [];
+  const record = (name, fn) => async params => {
+    calls.push(name);
+    return fn(params);
+  };
+  const { spreadsheets } = sheetsApi;
+  const recorded = {
+    spreadsheets: {
+      get: record('get', spreadsheets.get),
+      batchUpdate: record('batchUpdate', spreadsheets.batchUpdate),
+      values: Object.fromEntries(Object.entries(spreadsheets.values).map(([name, fn]) => [name, record(`values.${name}`, fn)]))
+    }
+  };
+  return { client: createSheetsClient({ sheetsApi: recorded }), calls };
+}
+
+test('ranges are split into tab and cells', () => {
+  assert.deepEqual(parseRange("'Payment Report'!A1"), { tab: 'Payment Report', cells: 'A1' });
+  assert.deepEqual(parseRange("'Bob''s tab'"), { tab: "Bob's tab", cells: '' });
+  assert.deepEqual(parseRange('Sheet1!1:1'), { tab: 'Sheet1', cells: '1:1' });
+  assert.deepEqual(parseRange('A:ZZ'), { tab: null, cells: 'A:ZZ' });
+  assert.deepEqual(parseRange('Customers'), { tab: 'Customers', cells: '' });
+});
+
+test('writeTab creates a missing tab and writes the header and rows', async () => {
+  const { client, calls } = clientWith({ Customers: [['Order']] });
+  const result = await client.writeTab(SHEET_ID, 'Payment Report', { header, rows: [['2024-01-01', '3', '120.00']] });
+
+  assert.deepEqual(result, { created: true, mode: 'replace', rows_written: 1 });
+  assert.deepEqual(calls, ['get', 'batchUpdate', 'values.update']);
+  assert.deepEqual(await client.readValues(SHEET_ID, "'Payment Report'"), [header, ['2024-01-01', '3', '120.00']]);
+});
+
+test('writeTab replace clears what the tab held before', async () => {
+  const { client, calls } = clientWith({ 'Payment Report': [header, ['old', '1', '1'], ['older', '2', '2']] });
+  await client.writeTab(SHEET_ID, 'Payment Report', { header, rows: [['new', '5', '50']] });
+
+  assert.deepEqual(calls, ['get', 'values.clear', 'values.update']);
+  assert.deepEqual(await client.readValues(SHEET_ID, "'Payment Report'"), [header, ['new', '5', '50']]);
+});
+
+test('writeTab append adds rows below existing data without repeating the header', async () => {
+  const { client } = clientWith({ 'Payment Report': [header, ['2024-01-01', '3', '120.00']] });
+  const result = await client.writeTab(SHEET_ID, 'Payment Report', { header, rows: [['2024-01-02', '1', '40.00']], mode: 'append' });
+
+  assert.deepEqual(result, { created: false, mode: 'append', rows_written: 1 });
+  assert.deepEqual(await client.readValues(SHEET_ID, "'Payment Report'"), [
+    header, ['2024-01-01', '3', '120.00'], ['2024-01-02', '1', '40.00']
+  ]);
+});
+
+test('writeTab append to an empty tab starts with the header', async () => {
+  const { client } = clientWith({ 'Payment Report': [] });
+  await client.writeTab(SHEET_ID, 'Payment Report', { header, rows: [['2024-01-02', '1', '40.00']], mode: 'append' });
+  assert.deepEqual(await client.readValues(SHEET_ID, "'Payment Report'"), [header, ['2024-01-02', '1', '40.00']]);
+});
+
+test('writeTab rejects unknown modes before calling the API', async () => {
+  const { client, calls } = clientWith({ Customers: [] });
+  await assert.rejects(client.writeTab(SHEET_ID, 'Customers', { header, rows: [], mode: 'merge' }), /Unsupported write mode "merge"/);
+  assert.deepEqual(calls, []);
+});
+
+test('readValues reads the first tab for a range without a tab name, as strings', async () => {
+  const { client } = clientWith({ Customers: [['Order', 'Phone'], [1001, null]], Other: [['x']] });
+  assert.deepEqual(await client.readValues(SHEET_ID, 'A:ZZ'), [['Order', 'Phone'], ['1001', '']]);
+});
+
+test('the fixture is copied, so writes never change the caller\'s object', async () => {
+  const tabs = { Customers: [['Order']] };
+  const { client } = clientWith(tabs);
+  await client.writeTab(SHEET_ID, 'Customers', { header: ['Order'], rows: [['1001']], mode: 'append' });
+  assert.deepEqual(tabs, { Customers: [['Order']] });
+});
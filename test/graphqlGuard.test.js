@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { queryCostKey, createQueryCostCache } = require('../lib/graphqlGuard');
+
+test('the cost key depends on variable values, not their order', () => {
+  const key = queryCostKey('persisted:recent-orders', { first: 10, status: 'open' });
+  assert.equal(queryCostKey('persisted:recent-orders', { status: 'open', first: 10 }), key);
+  assert.notEqual(queryCostKey('persisted:recent-orders', { first: 250, status: 'open' }), key);
+  assert.notEqual(queryCostKey('persisted:other', { first: 10, status: 'open' }), key);
+  assert.equal(queryCostKey('query:abc', undefined), queryCostKey('query:abc', null));
+});
+
+test('cached costs expire, so a cost over the limit is not a permanent block', () => {
+  let clock = 0;
+  const costs = createQueryCostCache({ ttlMs: 1000, now: () => clock });
+  costs.set('key', 900);
+  clock = 1000;
+  assert.equal(costs.get('key'), 900);
+  clock = 1001;
+  assert.equal(costs.get('key'), undefined);
+});
+
+test('a new observation replaces the cached cost and restarts its expiry', () => {
+  let clock = 0;
+  const costs = createQueryCostCache({ ttlMs: 1000, now: () => clock });
+  costs.set('key', 900);
+  clock = 800;
+  costs.set('key', 120);
+  clock = 1500;
+  assert.equal(costs.get('key'), 120);
+});
+
+test('the oldest entries are dropped past maxEntries', () => {
+  const costs = createQueryCostCache({ ttlMs: 1000, maxEntries: 2 });
+  costs.set('a', 1);
+  costs.set('b', 2);
+  costs.set('c', 3);
+  assert.equal(costs.get('a'), undefined);
+  assert.equal(costs.get('b'), 2);
+  assert.equal(costs.get('c'), 3);
+});
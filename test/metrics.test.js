@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+
+test('gauges are read at scrape time and counters keep their label order', () => {
+  const metrics = createMetrics();
+  let queued = 1;
+  metrics.gauge('report_jobs', 'Report jobs', ['state'], {
+    collect: () => [{ labels: { state: 'queued' }, value: queued }]
+  });
+  const requests = metrics.counter('requests_total', 'Requests', ['store', 'status']);
+  requests.inc({ status: 200, store: 'main' });
+  requests.inc({ store: 'main', status: 200 }, 2);
+
+  queued = 3;
+  assert.equal(metrics.render(), [
+    '# HELP report_jobs Report jobs',
+    '# TYPE report_jobs gauge',
+    'report_jobs{state="queued"} 3',
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{store="main",status="200"} 3',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOrderSearch, searchedDetails, matchesOrderSearch, sortOrders } = require('../lib/orderSearch');
+
+const order = {
+  id: 1,
+  name: '#1001',
+  order_number: 1001,
+  email: 'old@example.com',
+  // Sheets overrides land in customer_info
+  customer_info: { email: 'Sara@Example.com', phone: '+971 50 123 4567' },
+  payment_gateway_names: ['Cash on Delivery (COD)'],
+  tags: 'VIP, wholesale',
+  fulfillment_status: null,
+  total_price: '450.00',
+  line_items: [{ sku: 'SERUM-100', barcode: '6290000000011' }, { sku: null }]
+};
+
+const matches = query => matchesOrderSearch(order, parseOrderSearch(query).filters);
+
+test('search parameters are parsed into lowercase lists, and bad values are refused', () => {
+  assert.deepEqual(parseOrderSearch({}), { filters: null, sort: null });
+  assert.deepEqual(parseOrderSearch({ sku: 'A-1, b-2', sort: '-total_price' }), {
+    filters: { sku: ['a-1', 'b-2'] },
+    sort: { field: 'total_price', descending: true }
+  });
+  assert.deepEqual(parseOrderSearch({ amount_min: '99.5' }).filters, { amount_min: 99500 });
+
+  assert.throws(() => parseOrderSearch({ tag: ' , ' }), /tag is empty/);
+  assert.throws(() => parseOrderSearch({ phone: '1234' }), /at least 6 digits/);
+  assert.throws(() => parseOrderSearch({ amount_max: '1,000' }), /amount_max must be a number/);
+  assert.throws(() => parseOrderSearch({ fulfillment_status: 'shipped' }), /Unsupported fulfillment_status/);
+  assert.throws(() => parseOrderSearch({ sort: 'customer' }), /Unsupported sort/);
+});
+
+test('email and phone match the Sheets details as well as Shopify\'s', () => {
+  assert.equal(matches({ email: 'sara@example' }), true);
+  assert.equal(matches({ email: 'old@example.com' }), true);
+  assert.equal(matches({ email: 'someone@else.com' }), false);
+
+  // With or without the country code or trunk zero
+  assert.equal(matches({ phone: '0501234567' }), true);
+  assert.equal(matches({ phone: '+971501234567' }), true);
+  assert.equal(matches({ phone: '0509999999' }), false);
+  assert.deepEqual(searchedDetails(parseOrderSearch({ phone: '0501234567', sku: 'x' }).filters), ['phone']);
+});
+
+test('order, SKU, barcode, gateway, tag and fulfillment filters', () => {
+  assert.equal(matches({ order: '#1001' }), true);
+  assert.equal(matches({ order: '1001' }), true);
+  assert.equal(matches({ order: '1002,1001' }), true);
+  assert.equal(matches({ sku: 'serum-100' }), true);
+  assert.equal(matches({ sku: 'SERUM' }), false);
+  assert.equal(matches({ barcode: '6290000000011' }), true);
+  assert.equal(matches({ gateway: 'cod' }), true);
+  assert.equal(matches({ gateway: 'stripe' }), false);
+  assert.equal(matches({ tag: 'vip' }), true);
+  assert.equal(matches({ tag: 'vi' }), false);
+  assert.equal(matches({ fulfillment_status: 'unfulfilled' }), true);
+  assert.equal(matches({ fulfillment_status: 'fulfilled' }), false);
+  // Every parameter must match
+  assert.equal(matches({ sku: 'serum-100', gateway: 'stripe' }), false);
+});
+
+test('amount range uses the shop currency total when there is one', () => {
+  assert.equal(matches({ amount_min: '450', amount_max: '450.00' }), true);
+  assert.equal(matches({ amount_min: '450.01' }), false);
+  const converted = { ...order, total_price: '122.50', shop_money: { total_price: '450.00' } };
+  assert.equal(matchesOrderSearch(converted, parseOrderSearch({ amount_min: '400' }).filters), true);
+});
+
+test('sorting keeps ties in order and puts missing values last', () => {
+  const orders = [
+    { id: 1, total_price: '10.00' },
+    { id: 2, total_price: null },
+    { id: 3, total_price: '30.00' },
+    { id: 4, total_price: '10.00' }
+  ];
+  assert.deepEqual(sortOrders(orders, { field: 'total_price', descending: false }).map(o => o.id), [1, 4, 3, 2]);
+  assert.deepEqual(sortOrders(orders, { field: 'total_price', descending: true }).map(o => o.id), [3, 1, 4, 2]);
+  assert.deepEqual(orders.map(o => o.id), [1, 2, 3, 4]);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InvalidCursorError, createOrderStore } = require('../lib/orderStore');
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-'));
+  const store = createOrderStore(path.join(dir, 'orders.sqlite'));
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+test('Stripe disputes are kept per order and a re-upload does not add them twice', t => {
+  const store = tempStore(t);
+
+  const disputes = [
+    { id: 'txn_3', order_id: 1001, category: 'dispute', amount: '-120.00', currency: 'USD' },
+    { id: 'txn_4', order_id: 1001, category: 'dispute_reversal', amount: '120.00', currency: 'USD' }
+  ];
+
+  assert.equal(store.saveDisputes(disputes), 2);
+  assert.equal(store.saveDisputes(disputes), 0);
+  assert.deepEqual(store.listDisputes(1001), disputes);
+  assert.deepEqual(store.listDisputes(1002), []);
+});
+
+test('a re-import replaces the disputes of its orders within its window only', t => {
+  const store = tempStore(t);
+  const dispute = (id, order_id, created) => ({ id, order_id, category: 'dispute', amount: '-10.00', currency: 'USD', created });
+  store.saveDisputes([
+    dispute('txn_1', 1001, '2024-01-10'),
+    dispute('txn_2', 1001, '2024-01-15'),
+    dispute('txn_3', 1001, '2023-12-01'),
+    dispute('txn_4', 1002, '2024-01-12'),
+    dispute('txn_5', 1001, null)
+  ]);
+
+  const inWindow = stored => stored.created >= '2024-01-01' && stored.created <= '2024-01-31';
+  const result = store.replaceDisputes({ orderIds: [1001], inWindow }, [
+    dispute('txn_1', 1001, '2024-01-10'),
+    dispute('txn_6', 1001, '2024-01-20')
+  ]);
+
+  assert.deepEqual(result, { added: 1, removed: 1 });
+  assert.deepEqual(store.listDisputes(1001).map(stored => stored.id).sort(), ['txn_1', 'txn_3', 'txn_5', 'txn_6']);
+  assert.deepEqual(store.listDisputes(1002).map(stored => stored.id), ['txn_4']);
+});
+
+test('financial_status=unpaid finds every unpaid status, not a literal "unpaid"', t => {
+  const store = tempStore(t);
+  const statuses = ['pending', 'authorized', 'partially_paid', 'paid', 'refunded'];
+  store.saveOrders(statuses.map((financial_status, index) => ({ order: { id: index + 1, financial_status }, transactions: [] })));
+
+  const { orders } = store.findOrders({ financial_status: 'unpaid' });
+  assert.deepEqual(orders.map(order => order.financial_status).sort(), ['authorized', 'partially_paid', 'pending']);
+  assert.deepEqual(store.findOrders({ financial_status: 'paid' }).orders.map(order => order.id), [4]);
+});
+
+test('store cursors continue where max_orders stopped; unreadable ones throw InvalidCursorError', t => {
+  const store = tempStore(t);
+  store.saveOrders([1, 2, 3].map(id => ({ order: { id, financial_status: 'paid' }, transactions: [] })));
+
+  const first = store.findOrders({ max_orders: 2 });
+  assert.deepEqual(first.orders.map(order => order.id), [3, 2]);
+  const rest = store.findOrders({ max_orders: 2, page_info: first.nextCursor });
+  assert.deepEqual(rest.orders.map(order => order.id), [1]);
+  assert.equal(rest.nextCursor, null);
+
+  for (const cursor of ['not json', Buffer.from('42').toString('base64url'), Buffer.from('{"status":"any"}').toString('base64url')]) {
+    assert.throws(() => store.findOrders({ page_info: cursor }), InvalidCursorError);
+  }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPaymentLedger } = require('../lib/paymentLedger');
+
+const order = {
+  id: 1001,
+  currency: 'USD',
+  total_price: '120.00',
+  financial_status: 'paid',
+  transactions: [
+    { kind: 'sale', status: 'success', amount: '120.00', gateway: 'stripe', authorization: 'ch_1' }
+  ]
+};
+
+const chargeback = { id: 'txn_1', category: 'dispute', charge_id: 'ch_1', amount: '-120.00', fee: '15.00', currency: 'USD' };
+const reversal = { id: 'txn_2', category: 'dispute_reversal', charge_id: 'ch_1', amount: '120.00', fee: '-15.00', currency: 'USD' };
+
+test('an order with no disputes shows none', () => {
+  const ledger = buildPaymentLedger(order);
+  assert.equal(ledger.disputed, '0.00');
+  assert.equal(ledger.dispute_count, 0);
+  assert.equal(ledger.net_received, '120.00');
+  assert.equal(ledger.outstanding, '0.00');
+});
+
+test('a chargeback is taken off what was received, so it shows as outstanding', () => {
+  const ledger = buildPaymentLedger(order, { disputes: [chargeback] });
+  assert.equal(ledger.disputed, '120.00');
+  assert.equal(ledger.dispute_count, 1);
+  assert.equal(ledger.net_received, '0.00');
+  assert.equal(ledger.outstanding, '120.00');
+  // Shopify still says paid, and that is what it should say for a Stripe chargeback
+  assert.equal(ledger.financial_status_mismatch, false);
+});
+
+test('a dispute won back cancels its chargeback', () => {
+  const ledger = buildPaymentLedger(order, { disputes: [chargeback, reversal] });
+  assert.equal(ledger.disputed, '0.00');
+  assert.equal(ledger.dispute_count, 1);
+  assert.equal(ledger.net_received, '120.00');
+});
+
+test('disputes in another currency are counted but not summed', () => {
+  const ledger = buildPaymentLedger(order, { disputes: [{ ...chargeback, amount: '-441.00', currency: 'AED' }] });
+  assert.equal(ledger.disputed, '0.00');
+  assert.equal(ledger.dispute_count, 1);
+  assert.equal(ledger.disputes_in_other_currency, 1);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toMinorUnits, fromMinorUnits, classifyGateway, summarizePayments, summaryToSheetRows } = require('../lib/paymentSummary');
+
+test('decimal strings become integer thousandths', () => {
+  assert.equal(toMinorUnits('99.99'), 99990);
+  assert.equal(toMinorUnits('-0.5'), -500);
+  assert.equal(toMinorUnits('1.234'), 1234);
+  assert.equal(toMinorUnits(' 12 '), 12000);
+  assert.equal(toMinorUnits(null), 0);
+  assert.equal(toMinorUnits(undefined), 0);
+});
+
+test('amounts that aren\'t plain decimals throw instead of counting as 0', () => {
+  for (const amount of ['1,200.00', 'SAR 10', '', '-', '.', '1e3']) {
+    assert.throws(() => toMinorUnits(amount), /Invalid amount/, amount);
+  }
+});
+
+test('thousandths format with 2 decimals, or 3 when needed', () => {
+  assert.equal(fromMinorUnits(99990), '99.99');
+  assert.equal(fromMinorUnits(1234), '1.234');
+  assert.equal(fromMinorUnits(-500), '-0.50');
+  assert.equal(fromMinorUnits(0), '0.00');
+});
+
+const transaction = (kind, gateway, amount, createdAt, status = 'success') => ({ kind, gateway, amount, status, currency: 'AED', created_at: createdAt });
+
+const orders = [
+  {
+    financial_status: 'partially_refunded',
+    currency: 'AED',
+    transactions: [
+      transaction('sale', 'stripe', '100.10', '2024-06-03T10:00:00+04:00'),
+      transaction('refund', 'stripe', '20.05', '2024-06-05T10:00:00+04:00')
+    ]
+  },
+  {
+    financial_status: 'paid',
+    currency: 'AED',
+    transactions: [
+      transaction('authorization', 'Cash on Delivery (COD)', '50.00', '2024-06-09T10:00:00+04:00'),
+      transaction('capture', 'Cash on Delivery (COD)', '50.00', '2024-06-09T12:00:00+04:00'),
+      transaction('sale', 'stripe', '9.99', '2024-06-09T12:00:00+04:00', 'failure')
+    ]
+  }
+];
+
+test('gateways are bucketed into cod, stripe and other', () => {
+  assert.equal(classifyGateway('Cash on Delivery (COD)'), 'cod');
+  assert.equal(classifyGateway('cod'), 'cod');
+  assert.equal(classifyGateway('Stripe'), 'stripe');
+  assert.equal(classifyGateway('manual'), 'other');
+  assert.equal(classifyGateway(null), 'other');
+});
+
+test('only money that moved is summed, with refunds netted per gateway', () => {
+  const summary = summarizePayments(orders);
+
+  assert.equal(summary.order_count, 2);
+  assert.deepEqual(summary.financial_status_counts, { partially_refunded: 1, paid: 1 });
+  assert.deepEqual(summary.totals, [
+    { currency: 'AED', transaction_count: 3, gross_sales: '150.10', refunds: '20.05', net_received: '130.05' }
+  ]);
+  assert.deepEqual(summary.by_gateway.map(({ gateway, net_received }) => ({ gateway, net_received })), [
+    { gateway: 'cod', net_received: '50.00' },
+    { gateway: 'stripe', net_received: '80.05' }
+  ]);
+});
+
+test('week grouping starts on the Monday of the shop\'s local day', () => {
+  const { by_period } = summarizePayments(orders, { groupBy: 'week' });
+  // 3 and 5 June 2024 fall in the week of Monday 3 June; Sunday 9 June too
+  assert.deepEqual(by_period.map(({ period, transaction_count }) => ({ period, transaction_count })), [
+    { period: '2024-06-03', transaction_count: 3 }
+  ]);
+  assert.deepEqual(summarizePayments(orders).by_period.map(row => row.period), ['2024-06-03', '2024-06-05', '2024-06-09']);
+});
+
+test('sheet rows follow the summary breakdown with numbers as numbers', () => {
+  const rows = summaryToSheetRows(summarizePayments(orders), '2024-06-10T00:00:00Z');
+  assert.deepEqual(rows[0], ['2024-06-10T00:00:00Z', '2024-06-03', 'stripe', 'AED', 1, 100.1, 0, 100.1]);
+  assert.equal(rows.length, 3);
+});
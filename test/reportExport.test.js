@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { EXPORT_FORMATS, createRowWriter } = require('../lib/reportExport');
+
+/**
+ * A writable that never finishes a write, so its buffer stays full like a stalled client's
+ */
+function stalledStream() {
+  return new Writable({ highWaterMark: 1, write() {} });
+}
+
+test('EXPORT_FORMATS only has csv and xlsx of its own', () => {
+  assert.deepEqual(Object.keys(EXPORT_FORMATS).sort(), ['csv', 'xlsx']);
+  assert.equal(Object.hasOwn(EXPORT_FORMATS, 'toString'), false);
+});
+
+test('a CSV write waiting for drain rejects when the stream closes', async () => {
+  const stream = stalledStream();
+  const writer = createRowWriter(stream, 'csv');
+  const started = writer.start();
+  stream.destroy();
+  await assert.rejects(started, /closed before the report was written/);
+});
+
+test('a CSV write waiting for drain rejects when the stream fails', async () => {
+  const stream = stalledStream();
+  stream.on('error', () => {});
+  const writer = createRowWriter(stream, 'csv');
+  const started = writer.start();
+  stream.destroy(new Error('socket hang up'));
+  await assert.rejects(started, /socket hang up|closed before the report was written/);
+});
+
+test('writing to an already closed stream rejects straight away', async () => {
+  const stream = stalledStream();
+  stream.destroy();
+  await assert.rejects(createRowWriter(stream, 'csv').writeRows([{ order_name: '#1001' }]), /closed before the report was written/);
+});
+
+test('an XLSX batch waits for a stalled client and rejects once it disconnects', async () => {
+  const stream = stalledStream();
+  stream.on('error', () => {});
+  const writer = createRowWriter(stream, 'xlsx');
+  await writer.start();
+
+  let settled = false;
+  const written = writer.writeRows(Array.from({ length: 200 }, (_, i) => ({ order_name: `#${i}` })));
+  written.then(() => { settled = true; }, () => { settled = true; });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(settled, false);
+
+  stream.destroy();
+  await assert.rejects(written, /closed before the report was written/);
+  await assert.rejects(writer.writeRows([{ order_name: '#1' }]), /closed before the report was written/);
+});
+
+test('an XLSX export to a client that keeps up is written in full', async () => {
+  const chunks = [];
+  const stream = new Writable({ highWaterMark: 16, write(chunk, encoding, callback) { chunks.push(chunk); setImmediate(callback); } });
+  const writer = createRowWriter(stream, 'xlsx');
+  await writer.start();
+  await writer.writeRows(Array.from({ length: 200 }, (_, i) => ({ order_name: `#${i}` })));
+  await writer.end();
+
+  // A zip archive, starting with its local file header signature
+  assert.equal(Buffer.concat(chunks).subarray(0, 4).toString('hex'), '504b0304');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JOB_STATUS, createJobQueue } = require('../lib/reportJobs');
+
+function tempQueue(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createJobQueue({ dir, ...options });
+}
+
+/**
+ * A job runner that waits until release() is called (or the job is cancelled)
+ */
+function heldRun() {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const run = async ({ signal, setProgress }) => {
+    setProgress({ stage: 'enriching', processed: 1, total: 2 });
+    await Promise.race([released, new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))]);
+    return { content_type: 'application/json' };
+  };
+  return { run, release };
+}
+
+async function waitForStatus(queue, jobId, status) {
+  for (let attempt = 0; attempt < 100 && queue.get(jobId)?.status !== status; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(queue.get(jobId)?.status, status);
+}
+
+test('jobs beyond the concurrency limit wait in the queue, and a full queue refuses more', async t => {
+  const queue = tempQueue(t, { concurrency: 1, maxQueued: 1 });
+  const first = heldRun();
+  const second = heldRun();
+
+  const running = queue.submit({ type: 'orders', params: {}, run: first.run });
+  const queued = queue.submit({ type: 'orders', params: {}, run: second.run });
+  assert.equal(queue.submit({ type: 'orders', params: {}, run: heldRun().run }), null);
+
+  assert.equal(queue.get(running.id).status, JOB_STATUS.RUNNING);
+  assert.deepEqual(queue.get(running.id).progress, { stage: 'enriching', processed: 1, total: 2 });
+  assert.equal(queue.get(queued.id).status, JOB_STATUS.QUEUED);
+  assert.deepEqual(queue.stats().queued, 1);
+
+  first.release();
+  await waitForStatus(queue, running.id, JOB_STATUS.COMPLETED);
+  assert.equal(queue.get(queued.id).status, JOB_STATUS.RUNNING);
+  second.release();
+});
+
+test('a completed job keeps its result file until it is deleted', async t => {
+  const queue = tempQueue(t);
+  const job = queue.submit({
+    type: 'orders',
+    params: {},
+    run: async ({ resultFile }) => {
+      await fs.promises.writeFile(resultFile('csv'), 'Order\n#1001\n');
+      return { content_type: 'text/csv', filename: 'order-report.csv' };
+    }
+  });
+  await waitForStatus(queue, job.id, JOB_STATUS.COMPLETED);
+
+  const resultPath = queue.getResultPath(job.id);
+  assert.equal(fs.readFileSync(resultPath, 'utf8'), 'Order\n#1001\n');
+  assert.equal(queue.get(job.id).result.filename, 'order-report.csv');
+  assert.ok(queue.get(job.id).expires_at);
+
+  assert.equal(queue.cancel(job.id).status, JOB_STATUS.COMPLETED);
+  assert.equal(queue.get(job.id), null);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(fs.existsSync(resultPath), false);
+});
+
+test('cancelling stops a running job and drops a queued one; failures keep their error', async t => {
+  const queue = tempQueue(t, { concurrency: 1 });
+  const running = queue.submit({ type: 'orders', params: {}, run: heldRun().run });
+  const queued = queue.submit({ type: 'orders', params: {}, run: heldRun().run });
+
+  assert.equal(queue.cancel(queued.id).status, JOB_STATUS.CANCELLED);
+  queue.cancel(running.id);
+  await waitForStatus(queue, running.id, JOB_STATUS.CANCELLED);
+  assert.equal(queue.getResultPath(running.id), null);
+
+  const failed = queue.submit({ type: 'summary', params: {}, run: async () => { throw new Error('Shopify unavailable'); } });
+  await waitForStatus(queue, failed.id, JOB_STATUS.FAILED);
+  assert.equal(queue.get(failed.id).error, 'Shopify unavailable');
+});
+
+test('clients never see the runner, abort controller or file path', t => {
+  const queue = tempQueue(t);
+  const job = queue.submit({ type: 'orders', store: 'main', role: 'finance', params: { format: 'csv' }, run: heldRun().run });
+  assert.equal(['run', 'controller', 'resultPath'].some(key => key in job), false);
+  assert.deepEqual(queue.list().map(listed => listed.id), [job.id]);
+  queue.cancel(job.id);
+});
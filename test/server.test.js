@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { spawn } = require('child_process');
+const { isValidWebhookHmac } = require('../lib/webhookSignature');
+const fixtureOrders = require('../fixtures/shopify/orders.json').orders;
+
+// server.js runs in its own process against the Shopify fixtures (SHOPIFY_MODE=mock)
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js with a fresh DATA_DIR and return its base URL once it answers and its first
+ * order sync is over, so the sync can't overwrite what a test writes to the order store.
+ * Settings from a local .env or the shell are overridden so only env applies.
+ */
+async function startServer(t, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-report-server-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      SHOPIFY_MODE: 'mock',
+      SHOPIFY_STORE_DOMAIN: '',
+      STORES_FILE: '',
+      STORES_JSON: '',
+      API_KEYS_FILE: '',
+      API_KEYS_JSON: '',
+      GOOGLE_SHEETS_ID: '',
+      SHOPIFY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      SKIP_PROXY_SIGNATURE: 'true',
+      ORDER_SYNC_INTERVAL_MINUTES: '0',
+      CUSTOMER_DATA_REFRESH_MINUTES: '0',
+      LOG_LEVEL: 'error',
+      DATA_DIR: dataDir,
+      PORT: String(port),
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  t.after(async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; ; attempt++) {
+    const health = await getJson(`${baseUrl}/apps/order-report-proxy/health`).catch(() => null);
+    const sync = health?.body.order_store;
+    if (sync && !sync.sync_in_progress && (sync.last_sync_finished_at || sync.last_sync_error)) return baseUrl;
+    if (child.exitCode !== null || attempt >= 100) throw new Error('server.js did not start');
+    await sleep(100);
+  }
+}
+
+async function getJson(url) {
+  const response = await fetch(url);
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * POST a webhook signed as Shopify would (or with the given HMAC)
+ */
+function sendWebhook(baseUrl, { id, topic, payload, hmac }) {
+  const body = JSON.stringify(payload);
+  return fetch(`${baseUrl}/webhooks/shopify`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Webhook-Id': id,
+      'X-Shopify-Shop-Domain': 'mock-store.myshopify.com',
+      'X-Shopify-Hmac-Sha256': hmac ?? crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('base64')
+    },
+    body
+  });
+}
+
+/**
+ * Wait until the server has processed a webhook it acknowledged
+ */
+async function waitForWebhook(baseUrl, webhookId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await getJson(`${baseUrl}/apps/order-report-proxy/webhooks`);
+    const webhook = body.webhooks.find(w => w.webhook_id === webhookId);
+    if (webhook?.processed_at) return webhook;
+    await sleep(100);
+  }
+  throw new Error(`Webhook ${webhookId} was not processed`);
+}
+
+test('webhook HMACs are checked against the raw body', () => {
+  const body = Buffer.from('{"id":1}');
+  const hmac = crypto.createHmac('sha256', 'secret').update(body).digest('base64');
+
+  assert.equal(isValidWebhookHmac(body, hmac, 'secret'), true);
+  assert.equal(isValidWebhookHmac(Buffer.from('{"id":2}'), hmac, 'secret'), false);
+  assert.equal(isValidWebhookHmac(body, hmac, 'other-secret'), false);
+  assert.equal(isValidWebhookHmac(body, 'short', 'secret'), false);
+  assert.equal(isValidWebhookHmac(body, undefined, 'secret'), false);
+  assert.equal(isValidWebhookHmac(body, hmac, undefined), false);
+});
+
+test('webhooks are verified, applied to the order store once, and never roll an order back', async t => {
+  const baseUrl = await startServer(t);
+  const [order] = fixtureOrders;
+  const storedOrder = async () => (await getJson(`${baseUrl}/apps/order-report-proxy/orders/${order.id}`)).body.order;
+
+  const updated = { ...order, tags: 'webhook-test', updated_at: '2030-01-01T00:00:00Z' };
+  const forged = await sendWebhook(baseUrl, { id: 'wh-forged', topic: 'orders/updated', payload: updated, hmac: 'bm90IHRoZSBobWFj' });
+  assert.equal(forged.status, 401);
+
+  const first = await sendWebhook(baseUrl, { id: 'wh-1', topic: 'orders/updated', payload: updated });
+  assert.deepEqual(await first.json(), { success: true });
+  const processed = await waitForWebhook(baseUrl, 'wh-1');
+  assert.equal(processed.error, null);
+  assert.equal((await storedOrder()).tags, 'webhook-test');
+
+  // Shopify retries with the same webhook ID: acknowledged, not applied again
+  const retry = await sendWebhook(baseUrl, { id: 'wh-1', topic: 'orders/updated', payload: { ...updated, tags: 'retried' } });
+  assert.deepEqual(await retry.json(), { success: true, duplicate: true });
+
+  // A payload older than the stored order (delivered out of order) is skipped
+  await sendWebhook(baseUrl, { id: 'wh-2', topic: 'orders/updated', payload: { ...order, tags: 'older' } });
+  await waitForWebhook(baseUrl, 'wh-2');
+  assert.equal((await storedOrder()).tags, 'webhook-test');
+
+  const { body } = await getJson(`${baseUrl}/apps/order-report-proxy/webhooks`);
+  assert.deepEqual(body.webhooks.map(w => w.webhook_id).sort(), ['wh-1', 'wh-2']);
+});
+
+/**
+ * /health's customer data status once the startup load from Sheets has finished
+ */
+async function customerCacheStatus(baseUrl) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await getJson(`${baseUrl}/apps/order-report-proxy/health`);
+    const status = body.cache_status;
+    if (!status.refresh_in_progress && (status.last_update || status.last_error)) return status;
+    await sleep(100);
+  }
+  throw new Error('The customer data load did not finish');
+}
+
+const SHEETS_MOCK = { GOOGLE_SHEETS_MODE: 'mock', GOOGLE_SHEETS_ID: 'fixture-sheet', GOOGLE_SHEETS_TAB: 'Customers' };
+
+test('/health reports fresh customer data as not stale, and never flags a deployment without Sheets', async t => {
+  const withSheets = await startServer(t, SHEETS_MOCK);
+  const status = await customerCacheStatus(withSheets);
+  assert.equal(status.stale, false);
+  assert.equal(status.has_customer_data, true);
+  assert.equal(status.last_error, null);
+  assert.equal(status.stale_after_minutes, 180);
+
+  const withoutSheets = await startServer(t);
+  const { body } = await getJson(`${withoutSheets}/apps/order-report-proxy/health`);
+  assert.equal(body.cache_status.stale, false);
+  assert.equal(body.cache_status.last_update, null);
+});
+
+test('/health flags customer data older than CUSTOMER_DATA_STALE_MINUTES as stale', async t => {
+  const baseUrl = await startServer(t, { ...SHEETS_MOCK, CUSTOMER_DATA_STALE_MINUTES: '0' });
+  await customerCacheStatus(baseUrl);
+  await sleep(1000);
+
+  const { body } = await getJson(`${baseUrl}/apps/order-report-proxy/health`);
+  assert.ok(body.cache_status.age_seconds > 0);
+  assert.equal(body.cache_status.stale, true);
+});
+
+test('/health flags customer data that never loaded as stale, with the error', async t => {
+  const baseUrl = await startServer(t, { ...SHEETS_MOCK, GOOGLE_SHEETS_TAB: 'No Such Tab' });
+  const status = await customerCacheStatus(baseUrl);
+  assert.equal(status.stale, true);
+  assert.equal(status.has_customer_data, false);
+  assert.equal(status.age_seconds, null);
+  assert.match(status.last_error, /No Such Tab/);
+});
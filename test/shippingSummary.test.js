@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildShippingSummary, buildFulfillmentReport } = require('../lib/shippingSummary');
+
+const now = new Date('2025-03-10T12:00:00Z');
+
+test('the shipping summary takes tracking from the latest fulfillment and the ship date from the first', () => {
+  const order = {
+    fulfillment_status: 'fulfilled',
+    shipping_lines: [{ title: 'Express' }],
+    fulfillments: [
+      { status: 'success', created_at: '2025-03-05T08:00:00Z', tracking_company: 'Aramex', tracking_number: 'A1', shipment_status: 'in_transit' },
+      // Failed fulfillments are ignored even when they are the latest
+      { status: 'failure', created_at: '2025-03-09T08:00:00Z', tracking_company: 'Nope', tracking_number: 'X' },
+      {
+        status: 'success',
+        created_at: '2025-03-07T08:00:00Z',
+        updated_at: '2025-03-08T15:00:00Z',
+        tracking_company: 'DHL',
+        tracking_numbers: ['D2'],
+        tracking_urls: ['https://track.example/D2'],
+        shipment_status: 'delivered'
+      }
+    ]
+  };
+
+  assert.deepEqual(buildShippingSummary(order, { now }), {
+    fulfillment_status: 'fulfilled',
+    shipping_method: 'Express',
+    carrier: 'DHL',
+    tracking_number: 'D2',
+    tracking_url: 'https://track.example/D2',
+    shipment_status: 'delivered',
+    fulfillment_count: 2,
+    shipped_at: '2025-03-05T08:00:00Z',
+    delivered_at: '2025-03-08T15:00:00Z',
+    days_since_shipment: 5
+  });
+});
+
+test('an order that has not shipped has an empty shipping summary', () => {
+  assert.deepEqual(buildShippingSummary({ fulfillment_status: null }, { now }), {
+    fulfillment_status: 'unfulfilled',
+    shipping_method: null,
+    carrier: null,
+    tracking_number: null,
+    tracking_url: null,
+    shipment_status: null,
+    fulfillment_count: 0,
+    shipped_at: null,
+    delivered_at: null,
+    days_since_shipment: null
+  });
+});
+
+const shipped = createdAt => [{ status: 'success', created_at: createdAt, tracking_company: 'Aramex' }];
+const orders = [
+  { id: 1, name: '#1001', created_at: '2025-03-08T00:00:00Z', financial_status: 'paid', fulfillment_status: null, payment_gateway_names: ['stripe'] },
+  { id: 2, name: '#1002', created_at: '2025-03-01T00:00:00Z', financial_status: 'partially_refunded', fulfillment_status: 'partial', payment_gateway_names: ['stripe'], fulfillments: shipped('2025-03-02T00:00:00Z') },
+  { id: 3, name: '#1003', created_at: '2025-03-01T00:00:00Z', financial_status: 'paid', fulfillment_status: null, cancelled_at: '2025-03-02T00:00:00Z' },
+  { id: 4, name: '#1004', created_at: '2025-03-01T00:00:00Z', financial_status: 'pending', fulfillment_status: 'fulfilled', payment_gateway_names: ['Cash on Delivery (COD)'], fulfillments: shipped('2025-03-08T00:00:00Z') },
+  { id: 5, name: '#1005', created_at: '2025-02-20T00:00:00Z', financial_status: 'pending', fulfillment_status: 'fulfilled', payment_gateway_names: ['Cash on Delivery (COD)'], fulfillments: shipped('2025-02-21T00:00:00Z') },
+  // Paid COD orders and unshipped COD orders are not chased
+  { id: 6, name: '#1006', created_at: '2025-02-20T00:00:00Z', financial_status: 'paid', fulfillment_status: 'fulfilled', payment_gateway_names: ['Cash on Delivery (COD)'], fulfillments: shipped('2025-02-21T00:00:00Z') },
+  { id: 7, name: '#1007', created_at: '2025-02-20T00:00:00Z', financial_status: 'pending', fulfillment_status: null, payment_gateway_names: ['Cash on Delivery (COD)'] }
+];
+
+test('the fulfillment report lists paid unshipped orders oldest first and shipped unpaid COD orders', () => {
+  const report = buildFulfillmentReport(orders, { now });
+
+  assert.deepEqual(report.paid_unfulfilled.orders.map(o => [o.order_name, o.days_since_order]), [['#1002', 9], ['#1001', 2]]);
+  assert.equal(report.paid_unfulfilled.order_count, 2);
+  assert.deepEqual(report.cod_shipped_unpaid.orders.map(o => [o.order_name, o.days_since_shipment]), [['#1005', 17], ['#1004', 2]]);
+
+  const entry = report.cod_shipped_unpaid.orders[0];
+  assert.equal(entry.payment_gateway, 'Cash on Delivery (COD)');
+  assert.equal(entry.carrier, 'Aramex');
+  assert.equal(entry.customer_info, undefined);
+});
+
+test('minDays keeps only COD orders shipped at least that long ago', () => {
+  const report = buildFulfillmentReport(orders, { now, minDays: 7 });
+  assert.deepEqual(report.cod_shipped_unpaid.orders.map(o => o.order_name), ['#1005']);
+  assert.equal(report.paid_unfulfilled.order_count, 2);
+});
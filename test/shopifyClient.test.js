@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createShopifyClient } = require('../lib/shopifyClient');
+
+const ORDERS_QUERY = 'query { orders(first: 5) { nodes { id } } }';
+const TAG_MUTATION = 'mutation AddTags($id: ID!) { tagsAdd(id: $id, tags: ["vip"]) { userErrors { message } } }';
+
+/**
+ * Client whose HTTP calls are answered, in turn, by the given outcomes: an error to throw or a
+ * response to return. Records every request it was sent.
+ */
+function clientWith(outcomes) {
+  const requests = [];
+  const httpClient = {
+    request: async config => {
+      requests.push(config);
+      const outcome = outcomes[Math.min(requests.length - 1, outcomes.length - 1)];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    }
+  };
+  const client = createShopifyClient({ shop: 'test.myshopify.com', accessToken: 'token', baseDelayMs: 1, httpClient });
+  return { client, requests };
+}
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {}, data: {} } });
+const ok = data => ({ status: 200, headers: {}, data });
+const throttled = () => ok({ errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] });
+
+test('REST GETs are retried after network errors and 5xx', async () => {
+  const { client, requests } = clientWith([networkError(), httpError(503), ok({ orders: [] })]);
+  const response = await client.get('/orders.json');
+  assert.deepEqual(response.data, { orders: [] });
+  assert.equal(requests.length, 3);
+});
+
+test('GraphQL queries are retried after network errors and 5xx', async () => {
+  const { client, requests } = clientWith([networkError(), httpError(502), ok({ data: { orders: { nodes: [] } } })]);
+  const body = await client.graphql(ORDERS_QUERY);
+  assert.deepEqual(body.data, { orders: { nodes: [] } });
+  assert.equal(requests.length, 3);
+});
+
+test('GraphQL mutations are not sent again after a network error', async () => {
+  const { client, requests } = clientWith([networkError(), ok({ data: {} })]);
+  await assert.rejects(client.graphql(TAG_MUTATION, { id: 'gid://shopify/Order/1' }), /socket hang up/);
+  assert.equal(requests.length, 1);
+});
+
+test('GraphQL mutations are not sent again after a 5xx', async () => {
+  const { client, requests } = clientWith([httpError(500), ok({ data: {} })]);
+  await assert.rejects(client.graphql(TAG_MUTATION, { id: 'gid://shopify/Order/1' }), error => error.response.status === 500);
+  assert.equal(requests.length, 1);
+});
+
+test('documents that cannot be parsed are treated as writes', async () => {
+  const { client, requests } = clientWith([networkError(), ok({ data: {} })]);
+  await assert.rejects(client.graphql('query { unbalanced'), /socket hang up/);
+  assert.equal(requests.length, 1);
+});
+
+test('GraphQL mutations are still retried after 429 and THROTTLED, which Shopify did not run', async () => {
+  const { client, requests } = clientWith([httpError(429), throttled(), ok({ data: { tagsAdd: { userErrors: [] } } })]);
+  const body = await client.graphql(TAG_MUTATION, { id: 'gid://shopify/Order/1' });
+  assert.deepEqual(body.data, { tagsAdd: { userErrors: [] } });
+  assert.equal(requests.length, 3);
+});
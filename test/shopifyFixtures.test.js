@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scrubPii } = require('../lib/shopifyFixtures');
+
+// A Stripe transaction as Shopify returns it from /orders/<id>/transactions.json
+const stripeTransaction = {
+  id: 5001,
+  order_id: 1001,
+  kind: 'sale',
+  gateway: 'stripe',
+  status: 'success',
+  amount: '120.00',
+  receipt: {
+    id: 'pi_3Nx1',
+    object: 'payment_intent',
+    amount: 12000,
+    receipt_email: 'jane.doe@gmail.com',
+    charges: {
+      object: 'list',
+      data: [{
+        id: 'ch_3Nx1',
+        object: 'charge',
+        amount: 12000,
+        billing_details: {
+          address: {
+            city: 'Riyadh',
+            country: 'SA',
+            line1: '12 King Fahd Road',
+            line2: 'Apartment 4',
+            postal_code: '12271',
+            state: 'Riyadh Province'
+          },
+          email: 'jane.doe@gmail.com',
+          name: 'Jane Doe',
+          phone: '+966501234567'
+        },
+        receipt_email: 'jane.doe@gmail.com',
+        payment_method_details: { type: 'card', card: { brand: 'visa', last4: '4242' } }
+      }]
+    }
+  }
+};
+
+test('Stripe receipts lose the billing details of their charges', () => {
+  const scrubbed = scrubPii(stripeTransaction);
+  const charge = scrubbed.receipt.charges.data[0];
+  const serialized = JSON.stringify(scrubbed);
+
+  for (const value of ['jane.doe@gmail.com', 'Jane Doe', '+966501234567', '12 King Fahd Road', 'Apartment 4', '12271']) {
+    assert.ok(!serialized.includes(value), `${value} survived scrubbing`);
+  }
+  assert.match(scrubbed.receipt.receipt_email, /@example\.com$/);
+  assert.match(charge.billing_details.email, /@example\.com$/);
+  assert.equal(charge.billing_details.address.line2, null);
+  assert.equal(charge.billing_details.address.postal_code, '00000');
+});
+
+test('Stripe receipts keep what reconciliation and reports need', () => {
+  const charge = scrubPii(stripeTransaction).receipt.charges.data[0];
+  assert.equal(charge.id, 'ch_3Nx1');
+  assert.equal(charge.amount, 12000);
+  assert.deepEqual(charge.payment_method_details, stripeTransaction.receipt.charges.data[0].payment_method_details);
+  assert.equal(charge.billing_details.address.city, 'Riyadh');
+  assert.equal(charge.billing_details.address.country, 'SA');
+});
+
+test('the same customer gets the same stand-in across transactions', () => {
+  const [first, second] = scrubPii([stripeTransaction, { ...stripeTransaction, id: 5002 }]);
+  assert.equal(first.receipt.receipt_email, second.receipt.receipt_email);
+});
+
+test('note attribute values are dropped and their names kept', () => {
+  const order = scrubPii({
+    id: 1001,
+    note_attributes: [{ name: 'gift_message', value: 'Happy birthday Jane!' }, { name: 'whatsapp', value: '+966501234567' }]
+  });
+  assert.deepEqual(order.note_attributes, [{ name: 'gift_message', value: null }, { name: 'whatsapp', value: null }]);
+
+  const graphqlOrder = scrubPii({ customAttributes: [{ key: 'gift_message', value: 'Happy birthday Jane!' }] });
+  assert.deepEqual(graphqlOrder.customAttributes, [{ key: 'gift_message', value: null }]);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBundleMapping, splitAmount, summarizeSkuSales } = require('../lib/skuSales');
+
+const orders = [
+  {
+    id: 1,
+    name: '#1001',
+    currency: 'AED',
+    line_items: [
+      // Two units at 100, 20 off through a discount allocation, one unit refunded
+      { id: 11, sku: 'SERUM', barcode: '111', price: '100.00', quantity: 2, discount_allocations: [{ amount: '20.00' }] },
+      { id: 12, sku: 'GLOW-KIT', barcode: '222', price: '150.00', quantity: 1, total_discount: '0.00' }
+    ],
+    refunds: [{ refund_line_items: [{ line_item_id: 11, quantity: 1, subtotal: '90.00' }] }]
+  },
+  {
+    id: 2,
+    name: '#1002',
+    created_at: '2025-01-03T09:00:00Z',
+    currency: 'AED',
+    line_items: [
+      { id: 21, sku: 'SERUM', barcode: '111', price: '100.00', quantity: 1, total_discount: '10.00' },
+      { id: 22, sku: '', product_id: 9, variant_id: 99, title: 'Gift wrap', price: '5.00', quantity: 1 }
+    ]
+  },
+  { id: 3, name: '#1003', currency: 'AED', cancelled_at: '2025-01-02T00:00:00Z', line_items: [{ id: 31, sku: 'SERUM', price: '100.00', quantity: 5 }] }
+];
+
+const bundles = parseBundleMapping({
+  'GLOW-KIT': [{ sku: 'SERUM', quantity: 1, weight: 2 }, { sku: 'CREAM', quantity: 2, weight: 1 }]
+});
+
+test('units, revenue, discounts and refunds are summed per SKU, leaving out cancelled orders', () => {
+  const report = summarizeSkuSales(orders);
+  assert.equal(report.order_count, 2);
+  assert.equal(report.cancelled_order_count, 1);
+  assert.equal(report.bundles, undefined);
+  assert.deepEqual(report.items, [
+    {
+      sku: 'SERUM',
+      currency: 'AED',
+      order_count: 2,
+      units_sold: 3,
+      refunded_quantity: 1,
+      net_units: 2,
+      gross_revenue: '300.00',
+      discounts: '30.00',
+      refunded_amount: '90.00',
+      net_revenue: '180.00'
+    },
+    {
+      sku: 'GLOW-KIT',
+      currency: 'AED',
+      order_count: 1,
+      units_sold: 1,
+      refunded_quantity: 0,
+      net_units: 1,
+      gross_revenue: '150.00',
+      discounts: '0.00',
+      refunded_amount: '0.00',
+      net_revenue: '150.00'
+    }
+  ]);
+});
+
+test('line items without the grouping code are listed instead of counted', () => {
+  const report = summarizeSkuSales(orders);
+  assert.equal(report.unidentified_item_count, 1);
+  assert.deepEqual(report.unidentified_items[0], {
+    missing: 'sku',
+    order_id: 2,
+    order_name: '#1002',
+    created_at: '2025-01-03T09:00:00Z',
+    line_item_id: 22,
+    product_id: 9,
+    variant_id: 99,
+    title: 'Gift wrap',
+    variant_title: null,
+    sku: '',
+    quantity: 1
+  });
+
+  const byBarcode = summarizeSkuSales(orders, { groupBy: 'barcode' });
+  assert.deepEqual(byBarcode.items.map(item => item.barcode), ['111', '222']);
+  assert.equal(byBarcode.unidentified_items[0].missing, 'barcode');
+});
+
+test('bundles expand into their components by quantity and revenue weight', () => {
+  const report = summarizeSkuSales(orders, { bundles, expandBundles: true });
+  const item = sku => report.items.find(row => row.sku === sku);
+
+  assert.equal(item('GLOW-KIT'), undefined);
+  assert.equal(item('SERUM').units_sold, 4);
+  assert.equal(item('SERUM').gross_revenue, '400.00');
+  assert.equal(item('CREAM').units_sold, 2);
+  assert.equal(item('CREAM').gross_revenue, '50.00');
+  assert.deepEqual(report.bundles.map(row => [row.bundle_sku, row.units_sold, row.gross_revenue]), [['GLOW-KIT', 1, '150.00']]);
+
+  // Without expandBundles the mapping is ignored
+  assert.ok(summarizeSkuSales(orders, { bundles }).items.some(row => row.sku === 'GLOW-KIT'));
+});
+
+test('split amounts always add back up to the total', () => {
+  assert.deepEqual(splitAmount(100000, [1, 1, 1]), [33333, 33333, 33334]);
+  assert.deepEqual(splitAmount(0, [2, 1]), [0, 0]);
+});
+
+test('bundle mappings are checked', () => {
+  assert.deepEqual(parseBundleMapping({ KIT: [{ sku: ' A ' }] }).get('KIT'), [{ sku: 'A', quantity: 1, weight: 1 }]);
+  assert.throws(() => parseBundleMapping([]), /JSON object/);
+  assert.throws(() => parseBundleMapping({ KIT: [] }), /non-empty array/);
+  assert.throws(() => parseBundleMapping({ KIT: [{ quantity: 1 }] }), /component #1 needs a "sku"/);
+  assert.throws(() => parseBundleMapping({ KIT: [{ sku: 'A', quantity: 1.5 }] }), /whole "quantity"/);
+  assert.throws(() => parseBundleMapping({ KIT: [{ sku: 'A', weight: 0 }] }), /positive "weight"/);
+  assert.throws(() => parseBundleMapping({ KIT: [{ sku: 'MINI' }], MINI: [{ sku: 'A' }] }), /contains another bundle "MINI"/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStripeExport, parseStripeTime, reconcileStripe } = require('../lib/stripeReconciliation');
+
+// Balance change from activity (itemized) report
+const EXPORT = [
+  'balance_transaction_id,created_utc,charge_id,payment_intent_id,reporting_category,gross,fee,net,currency,automatic_payout_id',
+  'txn_1,2024-01-10 10:00:00,ch_1,pi_1,charge,120.00,3.78,116.22,usd,po_1',
+  'txn_2,2024-01-11 10:00:00,ch_2,pi_2,charge,80.00,2.62,77.38,usd,po_1',
+  'txn_3,2024-01-20 10:00:00,ch_1,pi_1,dispute,-120.00,15.00,-135.00,usd,po_2',
+  'txn_4,2024-02-20 10:00:00,ch_1,pi_1,dispute_reversal,120.00,-15.00,135.00,usd,po_3',
+  'txn_5,2024-01-21 10:00:00,ch_9,pi_9,dispute,-50.00,15.00,-65.00,usd,po_2',
+  'txn_6,2024-01-22 10:00:00,,,payout,-193.60,0.00,-193.60,usd,po_1'
+].join('\n');
+
+const orders = [
+  {
+    id: 1001,
+    name: '#1001',
+    currency: 'USD',
+    transactions: [{ id: 11, kind: 'sale', status: 'success', gateway: 'stripe', authorization: 'ch_1', amount: '120.00', currency: 'USD' }]
+  },
+  {
+    id: 1002,
+    name: '#1002',
+    currency: 'USD',
+    // Shopify may keep the payment intent rather than the charge
+    transactions: [{ id: 12, kind: 'sale', status: 'success', gateway: 'stripe', authorization: 'pi_2', amount: '80.00', currency: 'USD' }]
+  }
+];
+
+test('dispute rows are parsed apart from charges instead of being skipped', () => {
+  const { charges, disputes, skipped } = parseStripeExport(EXPORT);
+  assert.deepEqual(charges.map(charge => charge.charge_id), ['ch_1', 'ch_2']);
+  assert.equal(skipped, 1);
+  assert.deepEqual(disputes[0], {
+    id: 'txn_3',
+    category: 'dispute',
+    charge_id: 'ch_1',
+    payment_intent_id: 'pi_1',
+    amount: '-120.00',
+    fee: '15.00',
+    currency: 'USD',
+    created: '2024-01-20 10:00:00'
+  });
+  assert.deepEqual(disputes.map(dispute => dispute.category), ['dispute', 'dispute_reversal', 'dispute']);
+});
+
+test('disputes are matched to the order whose charge they are on', () => {
+  const { charges, disputes } = parseStripeExport(EXPORT);
+  const result = reconcileStripe(orders, charges, disputes);
+
+  assert.equal(result.summary.matched, 2);
+  assert.equal(result.summary.disputes, 2);
+  assert.deepEqual(result.disputes.map(({ id, order_id, transaction_id }) => ({ id, order_id, transaction_id })), [
+    { id: 'txn_3', order_id: 1001, transaction_id: 11 },
+    { id: 'txn_4', order_id: 1001, transaction_id: 11 }
+  ]);
+  assert.deepEqual(result.unmatched_disputes.map(dispute => dispute.id), ['txn_5']);
+});
+
+test('exports without a balance transaction ID still give each dispute a stable ID', () => {
+  const text = 'charge_id,reporting_category,gross,currency,created\nch_1,dispute,-120.00,usd,2024-01-20';
+  const [first] = parseStripeExport(text).disputes;
+  const [again] = parseStripeExport(text).disputes;
+  assert.equal(first.id, again.id);
+});
+
+test('the export period spans the created times of all its rows, read as UTC', () => {
+  assert.deepEqual(parseStripeExport(EXPORT).period, {
+    from: '2024-01-10T10:00:00.000Z',
+    to: '2024-02-20T10:00:00.000Z'
+  });
+  assert.equal(parseStripeExport('charge_id,gross\nch_1,10.00').period, null);
+});
+
+test('Stripe created times without a zone are UTC; ones with a zone keep it', () => {
+  assert.equal(parseStripeTime('2024-01-20 10:00:00'), Date.UTC(2024, 0, 20, 10));
+  assert.equal(parseStripeTime('2024-01-20T10:00:00+04:00'), Date.UTC(2024, 0, 20, 6));
+  assert.equal(parseStripeTime('2024-01-20'), Date.UTC(2024, 0, 20));
+  assert.ok(Number.isNaN(parseStripeTime('')));
+  assert.ok(Number.isNaN(parseStripeTime('not a date')));
+});
+
+test('a malformed amount fails the export instead of reconciling as 0', () => {
+  const text = 'charge_id,reporting_category,gross,fee,currency\nch_1,charge,120.00,3.78,usd\nch_2,charge,"1,200.00",3.78,usd';
+  assert.throws(() => parseStripeExport(text), /Row 3 has an invalid amount "1,200.00"/);
+  assert.throws(() => parseStripeExport('charge_id,reporting_category,gross,fee\nch_1,charge,10.00,-'), /Row 2 has an invalid fee/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VARIANT_LOOKUP_BATCH_SIZE, createVariantCache, lookupVariants } = require('../lib/variantCache');
+
+function tempCache(t, { ttlMs = 60 * 60 * 1000 } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-cache-'));
+  const cache = createVariantCache(path.join(dir, 'variants.sqlite'), { ttlMs });
+  t.after(() => {
+    cache.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return cache;
+}
+
+/**
+ * Admin API client stand-in answering nodes(ids:) from a variant table, recording the IDs asked for
+ */
+function fakeShopify(variants, { nodeFor } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async graphql(query, { ids }) {
+      calls.push(ids.map(gid => Number(gid.split('/').pop())));
+      const nodes = ids.map(gid => {
+        const id = gid.split('/').pop();
+        if (nodeFor) return nodeFor(id);
+        return variants[id] ? { legacyResourceId: id, ...variants[id] } : null;
+      });
+      return { data: { nodes } };
+    }
+  };
+}
+
+test('only cache misses are looked up, and later lookups are hits', async t => {
+  const cache = tempCache(t);
+  const shopify = fakeShopify({ 1: { sku: 'SERUM-100', barcode: '629' }, 2: { sku: 'MASK-200', barcode: null } });
+
+  const first = await lookupVariants(cache, shopify, [1, 2, 1, null]);
+  assert.deepEqual(first.get(1), { id: 1, sku: 'SERUM-100', barcode: '629' });
+  assert.deepEqual(shopify.calls, [[1, 2]]);
+
+  const second = await lookupVariants(cache, shopify, [2, 3]);
+  assert.deepEqual(second.get(2), { id: 2, sku: 'MASK-200', barcode: null });
+  assert.deepEqual(shopify.calls, [[1, 2], [3]]);
+
+  assert.deepEqual({ hits: cache.stats().hits, misses: cache.stats().misses }, { hits: 1, misses: 3 });
+});
+
+test('deleted variants and nodes that aren\'t variants are cached as empty, not looked up again', async t => {
+  const cache = tempCache(t);
+  // null for a deleted variant; {} when the ID belongs to another type, which the ProductVariant fragment doesn't match
+  const shopify = fakeShopify({}, { nodeFor: id => (id === '7' ? null : id === '8' ? {} : { legacyResourceId: id, sku: 'SPRAY-300', barcode: null }) });
+
+  const variants = await lookupVariants(cache, shopify, [7, 8, 9]);
+  assert.deepEqual(variants.get(7), { id: 7, sku: null, barcode: null });
+  assert.deepEqual(variants.get(8), { id: 8, sku: null, barcode: null });
+  assert.equal(variants.get(9).sku, 'SPRAY-300');
+
+  await lookupVariants(cache, shopify, [7, 8]);
+  assert.equal(shopify.calls.length, 1);
+});
+
+test('a failed lookup is not cached, so the variants are asked for again', async t => {
+  const cache = tempCache(t);
+  let fail = true;
+  const shopify = {
+    async graphql() {
+      if (fail) return { errors: [{ message: 'Throttled' }] };
+      return { data: { nodes: [{ legacyResourceId: '1', sku: 'SERUM-100', barcode: null }] } };
+    }
+  };
+
+  assert.equal((await lookupVariants(cache, shopify, [1])).has(1), false);
+  fail = false;
+  assert.equal((await lookupVariants(cache, shopify, [1])).get(1).sku, 'SERUM-100');
+});
+
+test('entries older than the TTL are misses', async t => {
+  const cache = tempCache(t, { ttlMs: -1 });
+  const shopify = fakeShopify({ 1: { sku: 'SERUM-100', barcode: null } });
+
+  await lookupVariants(cache, shopify, [1]);
+  await lookupVariants(cache, shopify, [1]);
+  assert.equal(shopify.calls.length, 2);
+  assert.equal(cache.stats().fresh_entries, 0);
+});
+
+test('unknown variants are looked up in batches', async t => {
+  const cache = tempCache(t);
+  const shopify = fakeShopify({});
+  const ids = Array.from({ length: VARIANT_LOOKUP_BATCH_SIZE + 1 }, (_, i) => i + 1);
+
+  await lookupVariants(cache, shopify, ids);
+  assert.deepEqual(shopify.calls.map(batch => batch.length), [VARIANT_LOOKUP_BATCH_SIZE, 1]);
+});